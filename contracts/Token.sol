@@ -1,23 +1,79 @@
 // SPDX-License-Identifier: MIT
 pragma solidity >=0.8.0 <0.9.0;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
-import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
-import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Pausable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/ERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC20BurnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC20PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC20PermitUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
+import "./interfaces/IUniswapV2Router02.sol";
 
 /**
  * @title CryptoSnack
+ * @dev Token logic shared by the immutable `CryptoSnackToken` and the proxied `CryptoSnackTokenUpgradeable`.
+ * Built on the upgradeable OpenZeppelin contracts (namespaced storage), so the state variables below start at slot 0:
+ * new ones must be appended at the end, `test/StorageLayout.test.js` fails otherwise.
  */
-contract CryptoSnackToken is ERC20, ERC20Burnable, ERC20Pausable, Ownable, ReentrancyGuard {
+abstract contract CryptoSnackTokenBase is
+    ERC20Upgradeable,
+    ERC20BurnableUpgradeable,
+    ERC20PausableUpgradeable,
+    ERC20PermitUpgradeable,
+    AccessControlUpgradeable,
+    ReentrancyGuardUpgradeable
+{
     using SafeERC20 for IERC20;
+    using Checkpoints for Checkpoints.Trace208;
 
     // Constants
     uint16 private constant TAX_PRECISION  = 10000; // used to set taxes with 2 decimals precision
     uint16 private constant MAX_TAX        = 2500;  // 25.00%
     uint8  private constant MAX_BATCH_SIZE = 200;   // for multi-transfers
+    uint16 private constant MAX_LAUNCH_TAX = 5000;  // 50.00%, anti-snipe taxes right after trading is opened
+    uint32 private constant MAX_LAUNCH_DURATION = 1 days;
+    uint16 private constant MAX_SWAP_SLIPPAGE = 2000;  // 20.00%, swap-and-liquify price tolerance
+    uint16 private constant MIN_MAX_TX     = 10;    // 0.10% of total supply, lowest max transaction amount
+    uint16 private constant MIN_MAX_WALLET = 50;    // 0.50% of total supply, lowest max wallet amount
+    uint32 private constant MAX_SELL_COOLDOWN = 1 hours;
+    uint32 private constant MAX_FREEZE_DURATION = 30 days;
+    uint32 private constant TIMELOCK_DELAY = 2 days; // for sensitive parameter changes once trading is open
+
+    // Roles, DEFAULT_ADMIN_ROLE manages them and keeps burn, multi-transfers, trading opening and reclaims
+    bytes32 public constant TAX_MANAGER_ROLE = keccak256("TAX_MANAGER_ROLE"); // taxes, DEX list, whitelist, limits
+    bytes32 public constant COMPLIANCE_ROLE  = keccak256("COMPLIANCE_ROLE");  // blacklist, freeze, recovery
+    bytes32 public constant PAUSER_ROLE      = keccak256("PAUSER_ROLE");
+
+    // Tax distribution legs, in the order the tax is split
+    enum TaxLeg { Marketing, Liquidity, Burn, Treasury }
+
+    /// @dev Shares of the tax in TAX_PRECISION units, must sum to TAX_PRECISION
+    struct TaxSplit {
+        uint16 marketing; // sent to the tax wallet
+        uint16 liquidity;
+        uint16 burn;
+        uint16 treasury;
+    }
+
+    /// @dev Rates of a DEX, used instead of the global taxes when `custom` is set
+    struct DexTaxes {
+        bool custom;
+        uint16 buyTax;
+        uint16 sellTax;
+    }
+
+    /// @dev One-sided tax exemption, e.g. a market maker exempt from sell tax only
+    struct TaxExemption {
+        bool buy;
+        bool sell;
+    }
+
+    // Taxes of transfers between two DEXes (e.g. arbitrage routes), Both charges the buy and the sell tax
+    enum DexToDexTax { Both, Buy, Sell, None }
 
     // Errors
     error BurnDisallowed();
@@ -34,21 +90,58 @@ contract CryptoSnackToken is ERC20, ERC20Burnable, ERC20Pausable, Ownable, Reent
     error AccountNotFrozen();
     error AccountAlreadyFrozen();
     error FrozenAccount(address account);
+    error InvalidFreezeDuration();
+    error TimelockRequired();
+    error InvalidOperation();
+    error OperationAlreadyQueued(bytes32 id);
+    error OperationNotQueued(bytes32 id);
+    error OperationNotReady(bytes32 id, uint256 readyAt);
+    error TradingNotOpen();
+    error TradingAlreadyOpen();
+    error InvalidLaunchDuration();
+    error InvalidTaxSplit();
+    error InvalidSwapSettings();
+    error InvalidLimit();
+    error MaxTransactionExceeded(uint256 maxTxAmount);
+    error MaxWalletExceeded(uint256 maxWalletAmount);
+    error SellCooldownActive(uint256 until);
+    error FutureLookup(uint256 blockNumber);
 
     // Events
     event BurnEnabled();
     event BurnDisabled();
     event TaxWalletUpdated(address indexed oldWallet, address indexed newWallet);
+    event LiquidityWalletUpdated(address indexed oldWallet, address indexed newWallet);
+    event TreasuryWalletUpdated(address indexed oldWallet, address indexed newWallet);
+    event BuyTaxSplitUpdated(TaxSplit split);
+    event SellTaxSplitUpdated(TaxSplit split);
+    event TaxDistributed(TaxLeg indexed leg, address indexed from, address indexed recipient, uint256 value);
+    event SwapRouterUpdated(address indexed oldRouter, address indexed newRouter);
+    event SwapSettingsUpdated(bool enabled, uint256 threshold, uint16 maxSlippage, uint256 maxAmount, uint256 minPrice);
+    event SwapAndLiquify(uint256 tokensSwapped, uint256 bnbReceived, uint256 tokensIntoLiquidity, uint256 bnbIntoLiquidity);
+    event SwapAndLiquifyFailed(uint256 tokensToSwap);
+    event MaxTxAmountUpdated(uint256 maxTxAmount);
+    event MaxWalletAmountUpdated(uint256 maxWalletAmount);
+    event SellCooldownUpdated(uint32 cooldown);
     event TaxesEnabled();
     event TaxesDisabled();
     event TaxesUpdated(uint16 buyTax, uint16 sellTax);
     event DexStatusChanged(address indexed dex, bool status);
+    event DexTaxesUpdated(address indexed dex, bool custom, uint16 buyTax, uint16 sellTax);
+    event DexToDexTaxUpdated(DexToDexTax mode);
+    event TaxExemptionChanged(address indexed account, bool buy, bool sell);
     event BlacklistStatusChanged(address indexed account, bool status);
     event WhitelistStatusChanged(address indexed account, bool status);
-    event AccountFrozen(address indexed account, uint256 until);
+    event AccountFrozen(address indexed account, uint256 until, uint8 reason);
+    event AccountUnfrozen(address indexed account);
+    event OperationQueued(bytes32 indexed id, bytes data, uint256 readyAt);
+    event OperationExecuted(bytes32 indexed id);
+    event OperationCancelled(bytes32 indexed id);
     event TokensRecovered(address indexed from, address indexed to, uint256 value);
     event TokenReclaimed(address indexed token, address indexed to, uint256 value);
     event BNBReclaimed(address indexed to, uint256 value);
+    event LaunchConfigUpdated(uint16 buyTax, uint16 sellTax, uint32 duration);
+    event TradingOpened(uint256 timestamp);
 
     // State variables
     mapping(address => bool)    private _blacklist;
@@ -60,39 +153,112 @@ contract CryptoSnackToken is ERC20, ERC20Burnable, ERC20Pausable, Ownable, Reent
     uint16  private _sellingTax;  // up to 10000
     uint16  private _buyingTax;   // up to 10000
     bool    private _taxEnabled;
-    address private _taxWallet;
-    bool    private _burnEnabled; // restricts token burn to owner only
+    address private _taxWallet;   // marketing leg
+    bool    private _burnEnabled; // restricts token burn to admins only
 
-    constructor(
-        string memory tokenName,
-        string memory tokenSymbol,
+    // Tax distribution
+    address  private _liquidityWallet;
+    address  private _treasuryWallet;
+    TaxSplit private _buyTaxSplit;
+    TaxSplit private _sellTaxSplit;
+
+    // Swap-and-liquify: marketing and liquidity legs accumulate here and are converted on sells
+    IUniswapV2Router02 private _swapRouter;
+    bool    private _swapEnabled;
+    uint16  private _swapSlippage;      // up to MAX_SWAP_SLIPPAGE
+    uint256 private _swapThreshold;     // accumulated tokens triggering a swap
+    uint256 private _tokensForMarketing;
+    uint256 private _tokensForLiquidity;
+
+    // Trading limits, DEX trades of non-whitelisted accounts only, 0 = no limit
+    uint256 private _maxTxAmount;
+    uint256 private _maxWalletAmount;
+    uint32  private _sellCooldown;     // seconds between sells of the same address
+    mapping(address => uint256) private _lastSell;
+
+    // Timelock, operation ID (hash of the call data) => timestamp it can be executed at
+    mapping(bytes32 => uint256) private _operations;
+
+    // Balance history for holder snapshots (votes, airdrops), block number => balance
+    mapping(address => Checkpoints.Trace208) private _balanceCheckpoints;
+    Checkpoints.Trace208 private _totalSupplyCheckpoints;
+
+    // Launch parameters
+    uint16  private _launchBuyTax;    // decays to _buyingTax over _launchDuration
+    uint16  private _launchSellTax;   // decays to _sellingTax over _launchDuration
+    uint32  private _launchDuration;  // seconds
+    bool    private _tradingOpen;     // DEX transfers are allowed for whitelisted accounts only until opened
+    uint256 private _tradingOpenedAt;
+
+    // Tax granularity, the whitelist still exempts from both taxes (and limits)
+    mapping(address => DexTaxes)     private _dexTaxes;
+    mapping(address => TaxExemption) private _taxExemptions;
+    DexToDexTax private _dexToDexTax;
+
+    // Swap-and-liquify bounds, the pool price can be moved within the swap transaction so on-chain quotes don't help
+    uint256 private _swapMaxAmount; // accumulated tokens swapped at once
+    uint256 private _swapMinPrice;  // BNB (wei) received at least per token (10^18 units) sold
+
+    /// @dev ERC20 name and symbol are set by the deriving contract
+    function __CryptoSnackToken_init(
         uint256 initialSupply,
         uint16 sellingTax,
         uint16 buyingTax,
         address initialOwner
-    ) ERC20(tokenName, tokenSymbol) Ownable(initialOwner) {
+    ) internal onlyInitializing {
+        __ERC20Burnable_init();
+        __ERC20Pausable_init();
+        __AccessControl_init();
+        __ReentrancyGuard_init();
+
         if (sellingTax > MAX_TAX) revert TaxTooHigh(sellingTax);
         if (buyingTax > MAX_TAX) revert TaxTooHigh(buyingTax);
 
+        bytes32[4] memory roles = [DEFAULT_ADMIN_ROLE, TAX_MANAGER_ROLE, COMPLIANCE_ROLE, PAUSER_ROLE];
+        for (uint256 i = 0; i < roles.length;) {
+            _grantRole(roles[i], initialOwner);
+            unchecked {++i;}
+        }
+
         _mint(initialOwner, initialSupply * (10 ** uint256(decimals())));
         _sellingTax = sellingTax;
         _buyingTax = buyingTax;
         _taxEnabled = sellingTax > 0 || buyingTax > 0;
         _burnEnabled = false;
+
+        // whole tax goes to the tax wallet until splits are configured
+        _buyTaxSplit = TaxSplit(TAX_PRECISION, 0, 0, 0);
+        _sellTaxSplit = TaxSplit(TAX_PRECISION, 0, 0, 0);
+    }
+
+    /**
+     * @dev Sensitive setters are called directly by `role` until trading is opened,
+     * afterwards they must go through queueOperation/executeOperation
+     */
+    modifier timelocked(bytes32 role) {
+        _checkTimelocked(role);
+        _;
+    }
+
+    function _checkTimelocked(bytes32 role) private view {
+        if (_msgSender() != address(this)) {
+            _checkRole(role);
+            if (_tradingOpen) revert TimelockRequired();
+        }
     }
 
     // Burn
     function burn(uint256 value) public override {
-        if (!_burnEnabled && _msgSender() != owner()) revert BurnDisallowed();
+        if (!_burnEnabled && !hasRole(DEFAULT_ADMIN_ROLE, _msgSender())) revert BurnDisallowed();
         super.burn(value);
     }
 
     function burnFrom(address account, uint256 value) public override {
-        if (!_burnEnabled && _msgSender() != owner()) revert BurnDisallowed();
+        if (!_burnEnabled && !hasRole(DEFAULT_ADMIN_ROLE, _msgSender())) revert BurnDisallowed();
         super.burnFrom(account, value);
     }
 
-    function setBurnEnabled(bool burnEnabled) external onlyOwner {
+    function setBurnEnabled(bool burnEnabled) external timelocked(DEFAULT_ADMIN_ROLE) {
         _burnEnabled = burnEnabled;
         if (burnEnabled) emit BurnEnabled();
         else emit BurnDisabled();
@@ -115,22 +281,129 @@ contract CryptoSnackToken is ERC20, ERC20Burnable, ERC20Pausable, Ownable, Reent
         return _isDex[account];
     }
 
+    function getDexTaxes(address dex) external view returns (DexTaxes memory) {
+        return _dexTaxes[dex];
+    }
+
+    function getDexToDexTax() external view returns (DexToDexTax) {
+        return _dexToDexTax;
+    }
+
+    function getTaxExemption(address account) external view returns (TaxExemption memory) {
+        return _taxExemptions[account];
+    }
+
+    /// @notice Buy and sell tax rates a transfer from `from` to `to` would pay now (0 when not applied)
+    function getEffectiveTaxes(address from, address to) external view returns (uint256 buyTax, uint256 sellTax) {
+        return _effectiveTaxes(from, to);
+    }
+
     function getTaxWallet() external view returns (address) {
         return _taxWallet;
     }
 
+    function getLiquidityWallet() external view returns (address) {
+        return _liquidityWallet;
+    }
+
+    function getTreasuryWallet() external view returns (address) {
+        return _treasuryWallet;
+    }
+
+    function getBuyTaxSplit() external view returns (TaxSplit memory) {
+        return _buyTaxSplit;
+    }
+
+    function getSellTaxSplit() external view returns (TaxSplit memory) {
+        return _sellTaxSplit;
+    }
+
+    function getSwapRouter() external view returns (address) {
+        return address(_swapRouter);
+    }
+
+    function getSwapSettings() external view returns (
+        bool enabled,
+        uint256 threshold,
+        uint16 maxSlippage,
+        uint256 maxAmount,
+        uint256 minPrice
+    ) {
+        return (_swapEnabled, _swapThreshold, _swapSlippage, _swapMaxAmount, _swapMinPrice);
+    }
+
+    /// @notice Tax tokens held by the contract, waiting to be swapped
+    function getAccumulatedTax() external view returns (uint256 marketing, uint256 liquidity) {
+        return (_tokensForMarketing, _tokensForLiquidity);
+    }
+
+    function getMaxTxAmount() external view returns (uint256) {
+        return _maxTxAmount;
+    }
+
+    function getMaxWalletAmount() external view returns (uint256) {
+        return _maxWalletAmount;
+    }
+
+    function getSellCooldown() external view returns (uint32) {
+        return _sellCooldown;
+    }
+
+    /// @notice Timestamp of the last limited sell of `account`
+    function getLastSell(address account) external view returns (uint256) {
+        return _lastSell[account];
+    }
+
     function getBurnEnabled() external view returns (bool) {
         return _burnEnabled;
     }
 
+    function isTradingOpen() external view returns (bool) {
+        return _tradingOpen;
+    }
+
+    function getTradingOpenedAt() external view returns (uint256) {
+        return _tradingOpenedAt;
+    }
+
+    function getLaunchConfig() external view returns (uint16 buyTax, uint16 sellTax, uint32 duration) {
+        return (_launchBuyTax, _launchSellTax, _launchDuration);
+    }
+
+    /// @notice Buying tax applied now, including the launch taxes decay
+    function getCurrentBuyingTax() external view returns (uint256) {
+        return _currentTax(_launchBuyTax, _buyingTax);
+    }
+
+    /// @notice Selling tax applied now, including the launch taxes decay
+    function getCurrentSellingTax() external view returns (uint256) {
+        return _currentTax(_launchSellTax, _sellingTax);
+    }
+
+    /// @notice Balance of `account` at the end of a past block
+    function balanceOfAt(address account, uint256 blockNumber) external view returns (uint256) {
+        return _balanceCheckpoints[account].upperLookupRecent(_pastBlock(blockNumber));
+    }
+
+    /// @notice Total supply at the end of a past block
+    function totalSupplyAt(uint256 blockNumber) external view returns (uint256) {
+        return _totalSupplyCheckpoints.upperLookupRecent(_pastBlock(blockNumber));
+    }
+
+    /// @dev Balances of the current block can still change
+    function _pastBlock(uint256 blockNumber) private view returns (uint48) {
+        if (blockNumber >= block.number) revert FutureLookup(blockNumber);
+        return SafeCast.toUint48(blockNumber);
+    }
+
     // Mass distribution (e.g. for airdrops)
     function multiTransfer(
         address[] calldata recipients,
         uint256[] calldata values
-    ) external onlyOwner nonReentrant whenNotPaused {
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) nonReentrant whenNotPaused {
         uint256 length = recipients.length;
         if (length != values.length) revert ArraysLengthMismatch();
-        if (length == 0 || length > MAX_BATCH_SIZE) revert InvalidBatchLength();
+        _checkBatchLength(length);
 
         address sender = _msgSender();
         uint256 totalValue;
@@ -156,9 +429,9 @@ contract CryptoSnackToken is ERC20, ERC20Burnable, ERC20Pausable, Ownable, Reent
     function multiTransferEqual(
         address[] calldata recipients,
         uint256 value
-    ) external onlyOwner nonReentrant whenNotPaused {
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) nonReentrant whenNotPaused {
         uint256 length = recipients.length;
-        if (length == 0 || length > MAX_BATCH_SIZE) revert InvalidBatchLength();
+        _checkBatchLength(length);
 
         address sender = _msgSender();
         uint256 totalValue;
@@ -180,53 +453,260 @@ contract CryptoSnackToken is ERC20, ERC20Burnable, ERC20Pausable, Ownable, Reent
         }
     }
 
+    // Timelock
+    /**
+     * @notice Queues a call of a timelocked setter (e.g. `setSellingTax`), executable after TIMELOCK_DELAY.
+     * Only the setter is checked: invalid arguments are queued and revert when executed (`snack:timelock-queue`
+     * simulates the call first).
+     */
+    function queueOperation(bytes calldata data) external returns (bytes32 id) {
+        _checkRole(_operationRole(data));
+        id = keccak256(data);
+        if (_operations[id] != 0) revert OperationAlreadyQueued(id);
+
+        uint256 readyAt = block.timestamp + TIMELOCK_DELAY;
+        _operations[id] = readyAt;
+        emit OperationQueued(id, data, readyAt);
+    }
+
+    function executeOperation(bytes calldata data) external nonReentrant {
+        _checkRole(_operationRole(data));
+        bytes32 id = keccak256(data);
+        uint256 readyAt = _operations[id];
+        if (readyAt == 0) revert OperationNotQueued(id);
+        if (block.timestamp < readyAt) revert OperationNotReady(id, readyAt);
+
+        delete _operations[id];
+        Address.functionCall(address(this), data); // passes the timelocked modifier as the contract itself
+        emit OperationExecuted(id);
+    }
+
+    function cancelOperation(bytes32 id) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_operations[id] == 0) revert OperationNotQueued(id);
+        delete _operations[id];
+        emit OperationCancelled(id);
+    }
+
+    /// @notice Timestamp a queued operation can be executed at, 0 if not queued
+    function getOperationReadyAt(bytes32 id) external view returns (uint256) {
+        return _operations[id];
+    }
+
+    function _operationRole(bytes calldata data) private pure returns (bytes32) {
+        if (data.length < 4) revert InvalidOperation();
+        bytes4 selector = bytes4(data);
+        if (selector == this.setBurnEnabled.selector) return DEFAULT_ADMIN_ROLE;
+        if (
+            selector == this.setSellingTax.selector ||
+            selector == this.setBuyingTax.selector ||
+            selector == this.setTaxWallet.selector ||
+            selector == this.setDex.selector ||
+            selector == this.setDexBatch.selector ||
+            selector == this.setDexTaxes.selector ||
+            selector == this.setDexToDexTax.selector ||
+            selector == this.setTaxEnabled.selector ||
+            selector == this.setTaxExemption.selector ||
+            selector == this.setWhitelist.selector ||
+            selector == this.setWhitelistBatch.selector ||
+            selector == this.setLiquidityWallet.selector ||
+            selector == this.setTreasuryWallet.selector ||
+            selector == this.setBuyTaxSplit.selector ||
+            selector == this.setSellTaxSplit.selector ||
+            selector == this.setSwapRouter.selector
+        ) return TAX_MANAGER_ROLE;
+        revert InvalidOperation();
+    }
+
     // Pause functionality
-    function pause() external onlyOwner {
+    function pause() external onlyRole(PAUSER_ROLE) {
         _pause(); // emits Paused
     }
 
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(PAUSER_ROLE) {
         _unpause(); // emits Unpaused
     }
 
     // Tax + DEX management
-    function setSellingTax(uint16 sellingTax) external onlyOwner {
+    function setSellingTax(uint16 sellingTax) external timelocked(TAX_MANAGER_ROLE) {
         if (sellingTax > MAX_TAX) revert TaxTooHigh(sellingTax);
         _sellingTax = sellingTax;
         emit TaxesUpdated(_buyingTax, sellingTax);
     }
 
-    function setBuyingTax(uint16 buyingTax) external onlyOwner {
+    function setBuyingTax(uint16 buyingTax) external timelocked(TAX_MANAGER_ROLE) {
         if (buyingTax > MAX_TAX) revert TaxTooHigh(buyingTax);
         _buyingTax = buyingTax;
         emit TaxesUpdated(buyingTax, _sellingTax);
     }
 
-    function setTaxEnabled(bool taxEnabled) external onlyOwner {
+    function setTaxEnabled(bool taxEnabled) external timelocked(TAX_MANAGER_ROLE) {
         _taxEnabled = taxEnabled;
         if (taxEnabled) emit TaxesEnabled();
         else emit TaxesDisabled();
     }
 
-    function setDex(address dex, bool status) external onlyOwner {
+    function setDex(address dex, bool status) external timelocked(TAX_MANAGER_ROLE) {
+        _setDex(dex, status);
+    }
+
+    function setDexBatch(address[] calldata dexes, bool status) external timelocked(TAX_MANAGER_ROLE) {
+        _checkBatchLength(dexes.length);
+        for (uint256 i = 0; i < dexes.length;) {
+            _setDex(dexes[i], status);
+            unchecked {++i;}
+        }
+    }
+
+    /// @notice Sets rates of a single DEX, `custom = false` makes it follow the global taxes again
+    function setDexTaxes(
+        address dex,
+        bool custom,
+        uint16 buyTax,
+        uint16 sellTax
+    ) external timelocked(TAX_MANAGER_ROLE) {
         if (dex == address(0)) revert InvalidDexAddress();
-        _isDex[dex] = status;
-        emit DexStatusChanged(dex, status);
+        if (buyTax > MAX_TAX) revert TaxTooHigh(buyTax);
+        if (sellTax > MAX_TAX) revert TaxTooHigh(sellTax);
+        _dexTaxes[dex] = DexTaxes(custom, buyTax, sellTax);
+        emit DexTaxesUpdated(dex, custom, buyTax, sellTax);
+    }
+
+    function setDexToDexTax(DexToDexTax mode) external timelocked(TAX_MANAGER_ROLE) {
+        _dexToDexTax = mode;
+        emit DexToDexTaxUpdated(mode);
     }
 
-    function setTaxWallet(address taxWallet) external onlyOwner {
+    function setTaxExemption(address account, bool buy, bool sell) external timelocked(TAX_MANAGER_ROLE) {
+        _taxExemptions[account] = TaxExemption(buy, sell);
+        emit TaxExemptionChanged(account, buy, sell);
+    }
+
+    function setTaxWallet(address taxWallet) external timelocked(TAX_MANAGER_ROLE) {
         if (taxWallet == address(0)) revert InvalidTaxWallet();
         address oldWallet = _taxWallet;
         _taxWallet = taxWallet;
         emit TaxWalletUpdated(oldWallet, taxWallet);
     }
 
-    // Whitelist management
-    function setWhitelist(address account, bool status) external onlyOwner {
-        if (_blacklist[account]) revert AccountIsBlacklisted();
-        if (_frozenUntil[account] > block.timestamp && status) revert FrozenAccount(account);
-        _whitelist[account] = status;
-        emit WhitelistStatusChanged(account, status);
+    function setLiquidityWallet(address liquidityWallet) external timelocked(TAX_MANAGER_ROLE) {
+        if (liquidityWallet == address(0)) revert InvalidTaxWallet();
+        address oldWallet = _liquidityWallet;
+        _liquidityWallet = liquidityWallet;
+        emit LiquidityWalletUpdated(oldWallet, liquidityWallet);
+    }
+
+    function setTreasuryWallet(address treasuryWallet) external timelocked(TAX_MANAGER_ROLE) {
+        if (treasuryWallet == address(0)) revert InvalidTaxWallet();
+        address oldWallet = _treasuryWallet;
+        _treasuryWallet = treasuryWallet;
+        emit TreasuryWalletUpdated(oldWallet, treasuryWallet);
+    }
+
+    function setBuyTaxSplit(TaxSplit calldata split) external timelocked(TAX_MANAGER_ROLE) {
+        _validateTaxSplit(split);
+        _buyTaxSplit = split;
+        emit BuyTaxSplitUpdated(split);
+    }
+
+    function setSellTaxSplit(TaxSplit calldata split) external timelocked(TAX_MANAGER_ROLE) {
+        _validateTaxSplit(split);
+        _sellTaxSplit = split;
+        emit SellTaxSplitUpdated(split);
+    }
+
+    // Swap-and-liquify
+    function setSwapRouter(address router) external timelocked(TAX_MANAGER_ROLE) {
+        if (router == address(0)) revert InvalidDexAddress();
+        address oldRouter = address(_swapRouter);
+        _swapRouter = IUniswapV2Router02(router);
+        emit SwapRouterUpdated(oldRouter, router);
+    }
+
+    /**
+     * @param maxSlippage Tolerance of the liquidity added, in TAX_PRECISION units
+     * @param maxAmount Tokens swapped at most per swap, bounds what a sandwiched swap can lose
+     * @param minPrice BNB (wei) received at least per token (10^18 units) sold, swaps below it fail and are retried.
+     * The only price protection of the swap: keep it close under the market price, a sandwich can take the difference
+     */
+    function setSwapSettings(
+        bool enabled,
+        uint256 threshold,
+        uint16 maxSlippage,
+        uint256 maxAmount,
+        uint256 minPrice
+    ) external onlyRole(TAX_MANAGER_ROLE) {
+        if (threshold == 0 || maxAmount == 0 || minPrice == 0 || maxSlippage > MAX_SWAP_SLIPPAGE) {
+            revert InvalidSwapSettings();
+        }
+        if (enabled && address(_swapRouter) == address(0)) revert InvalidSwapSettings();
+
+        _swapEnabled = enabled;
+        _swapThreshold = threshold;
+        _swapSlippage = maxSlippage;
+        _swapMaxAmount = maxAmount;
+        _swapMinPrice = minPrice;
+        emit SwapSettingsUpdated(enabled, threshold, maxSlippage, maxAmount, minPrice);
+    }
+
+    /// @notice Swaps the accumulated tax now, regardless of the threshold
+    function swapAndLiquify() external onlyRole(TAX_MANAGER_ROLE) {
+        _swapAndLiquify();
+    }
+
+    // Trading limits
+    function setMaxTxAmount(uint256 maxTxAmount) external onlyRole(TAX_MANAGER_ROLE) {
+        if (maxTxAmount != 0 && maxTxAmount < _calculateTax(totalSupply(), MIN_MAX_TX)) revert InvalidLimit();
+        _maxTxAmount = maxTxAmount;
+        emit MaxTxAmountUpdated(maxTxAmount);
+    }
+
+    function setMaxWalletAmount(uint256 maxWalletAmount) external onlyRole(TAX_MANAGER_ROLE) {
+        if (maxWalletAmount != 0 && maxWalletAmount < _calculateTax(totalSupply(), MIN_MAX_WALLET)) {
+            revert InvalidLimit();
+        }
+        _maxWalletAmount = maxWalletAmount;
+        emit MaxWalletAmountUpdated(maxWalletAmount);
+    }
+
+    function setSellCooldown(uint32 cooldown) external onlyRole(TAX_MANAGER_ROLE) {
+        if (cooldown > MAX_SELL_COOLDOWN) revert InvalidLimit();
+        _sellCooldown = cooldown;
+        emit SellCooldownUpdated(cooldown);
+    }
+
+    // Launch
+    function setLaunchConfig(uint16 buyTax, uint16 sellTax, uint32 duration) external onlyRole(TAX_MANAGER_ROLE) {
+        if (_tradingOpen) revert TradingAlreadyOpen();
+        if (buyTax > MAX_LAUNCH_TAX) revert TaxTooHigh(buyTax);
+        if (sellTax > MAX_LAUNCH_TAX) revert TaxTooHigh(sellTax);
+        if (duration > MAX_LAUNCH_DURATION) revert InvalidLaunchDuration();
+
+        _launchBuyTax = buyTax;
+        _launchSellTax = sellTax;
+        _launchDuration = duration;
+        emit LaunchConfigUpdated(buyTax, sellTax, duration);
+    }
+
+    /// @notice One-way switch, starts the launch taxes decay
+    function openTrading() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_tradingOpen) revert TradingAlreadyOpen();
+        _tradingOpen = true;
+        _tradingOpenedAt = block.timestamp;
+        emit TradingOpened(block.timestamp);
+    }
+
+    // Whitelist management, timelocked like setTaxExemption: whitelisted accounts pay no taxes and skip the limits
+    function setWhitelist(address account, bool status) external timelocked(TAX_MANAGER_ROLE) {
+        _setWhitelist(account, status);
+    }
+
+    /// @notice Same rules as setWhitelist for every account, one invalid account reverts the whole batch
+    function setWhitelistBatch(address[] calldata accounts, bool status) external timelocked(TAX_MANAGER_ROLE) {
+        _checkBatchLength(accounts.length);
+        for (uint256 i = 0; i < accounts.length;) {
+            _setWhitelist(accounts[i], status);
+            unchecked {++i;}
+        }
     }
 
     function isWhitelisted(address account) external view returns (bool) {
@@ -234,12 +714,17 @@ contract CryptoSnackToken is ERC20, ERC20Burnable, ERC20Pausable, Ownable, Reent
     }
 
     // Blacklist management
-    function setBlacklist(address account, bool status) external onlyOwner {
-        if (account == address(0)) revert InvalidBlacklistAccount();
-        if (_whitelist[account]) revert AccountIsWhitelisted();
-        if (_frozenUntil[account] > block.timestamp && status) revert FrozenAccount(account);
-        _blacklist[account] = status;
-        emit BlacklistStatusChanged(account, status);
+    function setBlacklist(address account, bool status) external onlyRole(COMPLIANCE_ROLE) {
+        _setBlacklist(account, status);
+    }
+
+    /// @notice Same rules as setBlacklist for every account, one invalid account reverts the whole batch
+    function setBlacklistBatch(address[] calldata accounts, bool status) external onlyRole(COMPLIANCE_ROLE) {
+        _checkBatchLength(accounts.length);
+        for (uint256 i = 0; i < accounts.length;) {
+            _setBlacklist(accounts[i], status);
+            unchecked {++i;}
+        }
     }
 
     function isBlacklisted(address account) external view returns (bool) {
@@ -247,20 +732,63 @@ contract CryptoSnackToken is ERC20, ERC20Burnable, ERC20Pausable, Ownable, Reent
     }
 
     // Token recovery
-    function freezeAccount(address account) external onlyOwner {
+    /// @param reason Incident code, only emitted for off-chain tracking
+    function freezeAccount(address account, uint32 duration, uint8 reason) external onlyRole(COMPLIANCE_ROLE) {
         if (_frozenUntil[account] > block.timestamp) revert AccountAlreadyFrozen();
+        _freeze(account, block.timestamp, duration, reason);
+    }
+
+    /// @notice Extends an active freeze by `duration`, up to MAX_FREEZE_DURATION from now
+    function extendFreeze(address account, uint32 duration, uint8 reason) external onlyRole(COMPLIANCE_ROLE) {
+        uint256 frozenUntil = _frozenUntil[account];
+        if (frozenUntil <= block.timestamp) revert AccountNotFrozen();
+        _freeze(account, frozenUntil, duration, reason);
+    }
 
-        uint256 freezeTime = block.timestamp + 24 hours;
-        _frozenUntil[account] = freezeTime;
-        emit AccountFrozen(account, freezeTime);
+    function unfreezeAccount(address account) external onlyRole(COMPLIANCE_ROLE) {
+        if (_frozenUntil[account] <= block.timestamp) revert AccountNotFrozen();
+        _unfreeze(account);
     }
 
-    function recoverStolenTokens(address from, address to, uint256 value) external onlyOwner nonReentrant {
+    function freezeAccounts(
+        address[] calldata accounts,
+        uint32 duration,
+        uint8 reason
+    ) external onlyRole(COMPLIANCE_ROLE) {
+        uint256 length = accounts.length;
+        _checkBatchLength(length);
+
+        for (uint256 i = 0; i < length;) {
+            // intended behavior: already frozen accounts are skipped, use extendFreeze for them
+            if (_frozenUntil[accounts[i]] <= block.timestamp) {
+                _freeze(accounts[i], block.timestamp, duration, reason);
+            }
+            unchecked {++i;}
+        }
+    }
+
+    function unfreezeAccounts(address[] calldata accounts) external onlyRole(COMPLIANCE_ROLE) {
+        uint256 length = accounts.length;
+        _checkBatchLength(length);
+
+        for (uint256 i = 0; i < length;) {
+            if (_frozenUntil[accounts[i]] > block.timestamp) {
+                _unfreeze(accounts[i]);
+            }
+            unchecked {++i;}
+        }
+    }
+
+    function recoverStolenTokens(
+        address from,
+        address to,
+        uint256 value
+    ) external onlyRole(COMPLIANCE_ROLE) nonReentrant {
         if (_frozenUntil[from] <= block.timestamp) revert AccountNotFrozen();
 
-        // Transfer tokens and reset freeze
+        // Reset freeze first, frozen accounts can't send tokens
+        _unfreeze(from);
         _transfer(from, to, value);
-        _frozenUntil[from] = 0;
 
         emit TokensRecovered(from, to, value);
     }
@@ -273,6 +801,44 @@ contract CryptoSnackToken is ERC20, ERC20Burnable, ERC20Pausable, Ownable, Reent
         return _frozenUntil[account];
     }
 
+    function _setDex(address dex, bool status) private {
+        if (dex == address(0)) revert InvalidDexAddress();
+        _isDex[dex] = status;
+        emit DexStatusChanged(dex, status);
+    }
+
+    function _setWhitelist(address account, bool status) private {
+        if (_blacklist[account]) revert AccountIsBlacklisted();
+        if (_frozenUntil[account] > block.timestamp && status) revert FrozenAccount(account);
+        _whitelist[account] = status;
+        emit WhitelistStatusChanged(account, status);
+    }
+
+    function _setBlacklist(address account, bool status) private {
+        if (account == address(0)) revert InvalidBlacklistAccount();
+        if (_whitelist[account]) revert AccountIsWhitelisted();
+        if (_frozenUntil[account] > block.timestamp && status) revert FrozenAccount(account);
+        _blacklist[account] = status;
+        emit BlacklistStatusChanged(account, status);
+    }
+
+    function _checkBatchLength(uint256 length) private pure {
+        if (length == 0 || length > MAX_BATCH_SIZE) revert InvalidBatchLength();
+    }
+
+    function _freeze(address account, uint256 start, uint32 duration, uint8 reason) private {
+        uint256 until = start + duration;
+        if (duration == 0 || until > block.timestamp + MAX_FREEZE_DURATION) revert InvalidFreezeDuration();
+
+        _frozenUntil[account] = until;
+        emit AccountFrozen(account, until, reason);
+    }
+
+    function _unfreeze(address account) private {
+        _frozenUntil[account] = 0;
+        emit AccountUnfrozen(account);
+    }
+
     // Override functions
     function transfer(address to, uint256 value) public override returns (bool) {
         _transferWithTax(_msgSender(), to, value);
@@ -289,54 +855,273 @@ contract CryptoSnackToken is ERC20, ERC20Burnable, ERC20Pausable, Ownable, Reent
         return (value * taxRate) / TAX_PRECISION;
     }
 
+    /// @dev Launch tax linearly decays to the configured tax during `_launchDuration` after trading is opened
+    function _currentTax(uint16 launchTax, uint16 tax) private view returns (uint256) {
+        if (!_tradingOpen || launchTax <= tax) return tax;
+
+        uint256 elapsed = block.timestamp - _tradingOpenedAt;
+        if (elapsed >= _launchDuration) return tax;
+
+        return tax + (uint256(launchTax - tax) * (_launchDuration - elapsed)) / _launchDuration;
+    }
+
+    function _validateTaxSplit(TaxSplit calldata split) private pure {
+        uint256 total = uint256(split.marketing) + split.liquidity + split.burn + split.treasury;
+        if (total != TAX_PRECISION) revert InvalidTaxSplit();
+    }
+
+    /**
+     * @dev Splits `taxAmount` between the legs of `split`. The last leg with a non-zero share receives
+     * the rounding remainder, so the legs always add up to `taxAmount`.
+     */
+    function _distributeTax(address from, uint256 taxAmount, TaxSplit memory split) private {
+        uint16[4] memory shares = [split.marketing, split.liquidity, split.burn, split.treasury];
+        address[4] memory recipients = [_taxWallet, _liquidityWallet, address(0), _treasuryWallet];
+
+        uint256 last;
+        for (uint256 i = 0; i < 4;) {
+            if (shares[i] > 0) last = i;
+            unchecked {++i;}
+        }
+
+        uint256 remaining = taxAmount;
+        for (uint256 i = 0; i <= last;) {
+            if (shares[i] > 0) {
+                uint256 amount = i == last ? remaining : _calculateTax(taxAmount, shares[i]);
+                remaining -= amount;
+
+                address recipient = recipients[i];
+                if (TaxLeg(i) == TaxLeg.Burn) {
+                    _burn(from, amount);
+                } else {
+                    if (recipient == address(0)) revert InvalidTaxWallet();
+                    if (_swapEnabled && TaxLeg(i) != TaxLeg.Treasury) {
+                        // converted on a later sell, see _swapAndLiquify
+                        recipient = address(this);
+                        if (TaxLeg(i) == TaxLeg.Marketing) _tokensForMarketing += amount;
+                        else _tokensForLiquidity += amount;
+                    }
+                    _transfer(from, recipient, amount);
+                }
+                emit TaxDistributed(TaxLeg(i), from, recipient, amount);
+            }
+            unchecked {++i;}
+        }
+    }
+
+    /**
+     * @dev Swaps the marketing tokens and half of the liquidity tokens to BNB, pairs the other half with
+     * its share of BNB into liquidity (LP tokens go to the liquidity wallet) and sends the marketing share
+     * of the BNB to the tax wallet. At most `_swapMaxAmount` tokens are converted per run, in proportion
+     * of both legs. Router failures don't revert, so sells keep working and the swap is retried later.
+     */
+    function _swapAndLiquify() private nonReentrant {
+        uint256 marketingTokens = _tokensForMarketing;
+        uint256 liquidityTokens = _tokensForLiquidity;
+        uint256 accumulated = marketingTokens + liquidityTokens;
+        uint256 maxAmount = _swapMaxAmount;
+        if (accumulated > maxAmount) {
+            marketingTokens = (marketingTokens * maxAmount) / accumulated;
+            liquidityTokens = maxAmount - marketingTokens;
+        }
+        uint256 pairTokens = liquidityTokens / 2;
+        uint256 swapTokens = marketingTokens + liquidityTokens - pairTokens;
+        if (swapTokens == 0) return;
+
+        IUniswapV2Router02 router = _swapRouter;
+        uint256 initialBalance = address(this).balance;
+        if (!_swapTokensForBNB(router, swapTokens)) {
+            emit SwapAndLiquifyFailed(swapTokens);
+            return;
+        }
+        uint256 bnbReceived = address(this).balance - initialBalance;
+
+        uint256 tokensIntoLiquidity;
+        uint256 bnbIntoLiquidity;
+        uint256 liquidityBnb = (bnbReceived * (liquidityTokens - pairTokens)) / swapTokens;
+        if (pairTokens > 0 && liquidityBnb > 0) {
+            _approve(address(this), address(router), pairTokens);
+            try router.addLiquidityETH{value: liquidityBnb}(
+                address(this),
+                pairTokens,
+                _withSlippage(pairTokens),
+                _withSlippage(liquidityBnb),
+                _liquidityWallet,
+                block.timestamp
+            ) returns (uint256 amountToken, uint256 amountETH, uint256) {
+                tokensIntoLiquidity = amountToken;
+                bnbIntoLiquidity = amountETH;
+            } catch {}
+        }
+
+        // tokens which couldn't be paired are kept for the next run
+        _tokensForMarketing -= marketingTokens;
+        _tokensForLiquidity -= liquidityTokens - pairTokens + tokensIntoLiquidity;
+
+        // liquidity BNB which couldn't be added stays in the contract (see reclaimBNB), not with the tax wallet
+        uint256 marketingBnb = bnbReceived - liquidityBnb;
+        address taxWallet = _taxWallet;
+        if (marketingBnb > 0 && taxWallet != address(0)) {
+            // a rejecting wallet must not block sells, the BNB can be reclaimed
+            (bool success,) = taxWallet.call{value: marketingBnb}("");
+            success;
+        }
+
+        emit SwapAndLiquify(swapTokens, bnbReceived, tokensIntoLiquidity, bnbIntoLiquidity);
+    }
+
+    function _swapTokensForBNB(IUniswapV2Router02 router, uint256 amount) private returns (bool) {
+        address[] memory path = new address[](2);
+        path[0] = address(this);
+        try router.WETH() returns (address weth) {
+            path[1] = weth;
+        } catch {
+            return false;
+        }
+
+        _approve(address(this), address(router), amount);
+        try router.swapExactTokensForETHSupportingFeeOnTransferTokens(
+            amount,
+            (amount * _swapMinPrice) / 1e18,
+            path,
+            address(this),
+            block.timestamp
+        ) {
+            return true;
+        } catch {
+            _approve(address(this), address(router), 0);
+            return false;
+        }
+    }
+
+    function _withSlippage(uint256 amount) private view returns (uint256) {
+        return (amount * (TAX_PRECISION - _swapSlippage)) / TAX_PRECISION;
+    }
+
+    /// @dev Max transaction, max wallet (buys) and sell cooldown, for DEX trades of non-whitelisted accounts
+    function _checkLimits(address from, address to, uint256 value) private {
+        bool isBuy = _isDex[from];
+        bool isSell = _isDex[to];
+        if (!isBuy && !isSell) return;
+
+        uint256 maxTxAmount = _maxTxAmount;
+        if (maxTxAmount != 0 && value > maxTxAmount) revert MaxTransactionExceeded(maxTxAmount);
+
+        uint256 maxWalletAmount = _maxWalletAmount;
+        if (isBuy && !isSell && maxWalletAmount != 0 && balanceOf(to) + value > maxWalletAmount) {
+            revert MaxWalletExceeded(maxWalletAmount);
+        }
+
+        if (isSell && !isBuy && _sellCooldown != 0) {
+            uint256 until = _lastSell[from] + _sellCooldown;
+            if (_lastSell[from] != 0 && block.timestamp < until) revert SellCooldownActive(until);
+            _lastSell[from] = block.timestamp;
+        }
+    }
+
     function _transferWithTax(address from, address to, uint256 value) private {
-        if (!_taxEnabled || _whitelist[from] || _whitelist[to]) {
+        // accumulated tax leaving the contract (swap-and-liquify, reclaim) is not taxed again
+        if (from == address(this)) {
             _transfer(from, to, value);
             return;
         }
 
-        uint256 taxAmount = 0;
-        if (_isDex[from] && _buyingTax > 0) {
-            taxAmount = _calculateTax(value, _buyingTax);
+        if (!_tradingOpen && (_isDex[from] || _isDex[to]) && !_whitelist[from] && !_whitelist[to]) {
+            revert TradingNotOpen();
         }
-        if (_isDex[to] && _sellingTax > 0) {
-            taxAmount += _calculateTax(value, _sellingTax);
+
+        if (!_whitelist[from] && !_whitelist[to]) {
+            _checkLimits(from, to, value);
         }
 
-        if (taxAmount > 0) {
-            address taxWallet = _taxWallet;
-            if (taxWallet == address(0)) revert InvalidTaxWallet();
-            _transfer(from, taxWallet, taxAmount);
-            _transfer(from, to, value - taxAmount);
-        } else {
+        (uint256 buyTax, uint256 sellTax) = _effectiveTaxes(from, to);
+        if (buyTax + sellTax == 0) {
             _transfer(from, to, value);
+            return;
+        }
+
+        if (
+            _swapEnabled && sellTax > 0 && !_reentrancyGuardEntered() &&
+            _tokensForMarketing + _tokensForLiquidity >= _swapThreshold
+        ) {
+            _swapAndLiquify();
         }
+
+        uint256 buyTaxAmount = _calculateTax(value, buyTax);
+        uint256 sellTaxAmount = _calculateTax(value, sellTax);
+        if (buyTaxAmount > 0) _distributeTax(from, buyTaxAmount, _buyTaxSplit);
+        if (sellTaxAmount > 0) _distributeTax(from, sellTaxAmount, _sellTaxSplit);
+        _transfer(from, to, value - buyTaxAmount - sellTaxAmount);
     }
 
-    function _update(address from, address to, uint256 value) internal virtual override(ERC20, ERC20Pausable) {
+    /**
+     * @dev Buy tax applies to transfers from a DEX, sell tax to transfers to a DEX, at the DEX's own rates if set.
+     * Whitelisted accounts pay neither, exemptions skip one side, `_dexToDexTax` picks the sides between two DEXes.
+     */
+    function _effectiveTaxes(address from, address to) private view returns (uint256 buyTax, uint256 sellTax) {
+        if (!_taxEnabled || from == address(this) || _whitelist[from] || _whitelist[to]) return (0, 0);
+
+        bool buy = _isDex[from] && !_taxExemptions[from].buy && !_taxExemptions[to].buy;
+        bool sell = _isDex[to] && !_taxExemptions[from].sell && !_taxExemptions[to].sell;
+        if (_isDex[from] && _isDex[to]) {
+            DexToDexTax mode = _dexToDexTax;
+            buy = buy && (mode == DexToDexTax.Both || mode == DexToDexTax.Buy);
+            sell = sell && (mode == DexToDexTax.Both || mode == DexToDexTax.Sell);
+        }
+
+        if (buy) {
+            DexTaxes memory dexTaxes = _dexTaxes[from];
+            buyTax = _currentTax(_launchBuyTax, dexTaxes.custom ? dexTaxes.buyTax : _buyingTax);
+        }
+        if (sell) {
+            DexTaxes memory dexTaxes = _dexTaxes[to];
+            sellTax = _currentTax(_launchSellTax, dexTaxes.custom ? dexTaxes.sellTax : _sellingTax);
+        }
+    }
+
+    function _update(address from, address to, uint256 value) internal virtual override(ERC20Upgradeable, ERC20PausableUpgradeable) {
         if (_blacklist[from]) revert BlacklistedAccount(from);
         if (_blacklist[to]) revert BlacklistedAccount(to);
 
-        // bypass check for tokens recovery
-        if (_msgSender() != owner()) {
-            if (from != address(0) && _frozenUntil[from] > block.timestamp) revert FrozenAccount(from);
-            if (to != address(0) && _frozenUntil[to] > block.timestamp) revert FrozenAccount(to);
-        }
+        // no bypass for privileged accounts, recoverStolenTokens unfreezes the account before moving its tokens
+        if (from != address(0) && _frozenUntil[from] > block.timestamp) revert FrozenAccount(from);
+        if (to != address(0) && _frozenUntil[to] > block.timestamp) revert FrozenAccount(to);
 
         super._update(from, to, value);
+
+        // taxes, burns and swaps all move tokens through here, so every balance change is checkpointed
+        uint48 blockNumber = SafeCast.toUint48(block.number);
+        if (from == address(0) || to == address(0)) {
+            _totalSupplyCheckpoints.push(blockNumber, SafeCast.toUint208(totalSupply()));
+        }
+        if (from != address(0)) _balanceCheckpoints[from].push(blockNumber, SafeCast.toUint208(balanceOf(from)));
+        if (to != address(0)) _balanceCheckpoints[to].push(blockNumber, SafeCast.toUint208(balanceOf(to)));
+    }
+
+    /// @dev Permit domain follows the token name, so it needs no initialization of its own
+    function _EIP712Name() internal view override returns (string memory) {
+        return name();
+    }
+
+    function _EIP712Version() internal pure override returns (string memory) {
+        return "1";
     }
 
     // Utilities
-    function reclaimToken(IERC20 token) external onlyOwner {
+    function reclaimToken(IERC20 token) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (address(token) == address(this)) {
+            _tokensForMarketing = 0;
+            _tokensForLiquidity = 0;
+        }
         uint256 balance = token.balanceOf(address(this));
-        token.safeTransfer(owner(), balance);
-        emit TokenReclaimed(address(token), owner(), balance);
+        token.safeTransfer(_msgSender(), balance);
+        emit TokenReclaimed(address(token), _msgSender(), balance);
     }
 
-    function reclaimBNB() external onlyOwner {
-        (bool success,) = owner().call{value: address(this).balance}("");
+    function reclaimBNB() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        (bool success,) = _msgSender().call{value: address(this).balance}("");
         if (!success) revert TransferFailed();
-        emit BNBReclaimed(owner(), address(this).balance);
+        emit BNBReclaimed(_msgSender(), address(this).balance);
     }
 
     /**
@@ -350,3 +1135,21 @@ contract CryptoSnackToken is ERC20, ERC20Burnable, ERC20Pausable, Ownable, Reent
      */
     fallback() external payable {}
 }
+
+/**
+ * @title CryptoSnack
+ * @dev Immutable deployment, see `CryptoSnackTokenUpgradeable` for the proxy variant
+ */
+contract CryptoSnackToken is CryptoSnackTokenBase {
+    constructor(
+        string memory tokenName,
+        string memory tokenSymbol,
+        uint256 initialSupply,
+        uint16 sellingTax,
+        uint16 buyingTax,
+        address initialOwner
+    ) initializer {
+        __ERC20_init(tokenName, tokenSymbol);
+        __CryptoSnackToken_init(initialSupply, sellingTax, buyingTax, initialOwner);
+    }
+}
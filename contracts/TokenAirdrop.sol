@@ -0,0 +1,94 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.8.0 <0.9.0;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+
+/**
+ * @title CryptoSnack Airdrop
+ * @dev Merkle distributor: recipients claim their allocation with a proof instead of the owner pushing transfers.
+ * Leaves are `keccak256(bytes.concat(keccak256(abi.encode(account, amount))))` (OpenZeppelin `StandardMerkleTree`),
+ * built with `npx hardhat airdrop:build`. The contract must be whitelisted on the token so claims are not taxed,
+ * blacklisted and frozen accounts can't claim since the token rejects transfers to them.
+ */
+contract CryptoSnackAirdrop is AccessControl {
+    using SafeERC20 for IERC20;
+
+    // Constants
+    uint32 private constant MAX_CLAIM_PERIOD = 365 days;
+
+    // Errors
+    error InvalidMerkleRoot();
+    error InvalidExpiry();
+    error InvalidProof();
+    error AlreadyClaimed(address account);
+    error ClaimExpired();
+    error ClaimNotExpired();
+
+    // Events
+    event Claimed(address indexed account, uint256 amount);
+    event Swept(address indexed to, uint256 amount);
+
+    // State variables
+    IERC20 private immutable _token;
+    bytes32 private immutable _merkleRoot;
+    uint256 private immutable _expiresAt;
+    mapping(address => bool) private _claimed;
+    uint256 private _totalClaimed;
+
+    constructor(address tokenAddress, bytes32 merkleRoot, uint256 expiresAt) {
+        if (merkleRoot == bytes32(0)) revert InvalidMerkleRoot();
+        if (expiresAt <= block.timestamp || expiresAt > block.timestamp + MAX_CLAIM_PERIOD) revert InvalidExpiry();
+
+        _token = IERC20(tokenAddress);
+        _merkleRoot = merkleRoot;
+        _expiresAt = expiresAt;
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+    }
+
+    // Views
+    function getToken() external view returns (IERC20) {
+        return _token;
+    }
+
+    function getMerkleRoot() external view returns (bytes32) {
+        return _merkleRoot;
+    }
+
+    function getExpiresAt() external view returns (uint256) {
+        return _expiresAt;
+    }
+
+    function getTotalClaimed() external view returns (uint256) {
+        return _totalClaimed;
+    }
+
+    function isClaimed(address account) external view returns (bool) {
+        return _claimed[account];
+    }
+
+    // Claims
+    /// @notice Sends `amount` to `account`, anyone can submit the claim (e.g. a relayer paying the gas)
+    function claim(address account, uint256 amount, bytes32[] calldata proof) external {
+        if (block.timestamp >= _expiresAt) revert ClaimExpired();
+        if (_claimed[account]) revert AlreadyClaimed(account);
+
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(account, amount))));
+        if (!MerkleProof.verifyCalldata(proof, _merkleRoot, leaf)) revert InvalidProof();
+
+        _claimed[account] = true;
+        _totalClaimed += amount;
+        _token.safeTransfer(account, amount);
+        emit Claimed(account, amount);
+    }
+
+    /// @notice Sends unclaimed tokens to the caller once the claim period is over
+    function sweep() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (block.timestamp < _expiresAt) revert ClaimNotExpired();
+
+        uint256 balance = _token.balanceOf(address(this));
+        _token.safeTransfer(msg.sender, balance);
+        emit Swept(msg.sender, balance);
+    }
+}
@@ -0,0 +1,114 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.8.0 <0.9.0;
+
+import "./Token.sol";
+
+/**
+ * @title CryptoSnack Tax Quoter
+ * @dev Read-only companion of the token: previews the tax of a transfer from the token's getters, so wallets and
+ * the swap UI can show the received amount without reimplementing the tax rules. A quote view on the token itself
+ * would not fit: both token builds are within a few hundred bytes of the 24,576-byte contract size limit (EIP-170)
+ * and this contract is about 3.8 KB. Works for the immutable and the proxied token alike.
+ * The quoter mirrors the revert checks of the token version it was built with and its token address is immutable:
+ * deploy a new quoter when a proxy upgrade changes the tax rules or limits, or when the token moves to a new
+ * address, and point the UI to it.
+ * `lib/quote.js` wraps `quoteTransfer` and decodes its result.
+ */
+contract CryptoSnackTaxQuoter {
+    // Constants
+    uint16 private constant TAX_PRECISION = 10000; // same as the token
+
+    // Reasons a quoted transfer would revert, combined as bit flags in `failures`
+    uint8 public constant PAUSED        = 1;
+    uint8 public constant BLACKLISTED   = 2;
+    uint8 public constant FROZEN        = 4;
+    uint8 public constant NO_TAX_WALLET = 8; // a tax split leg has no wallet set (InvalidTaxWallet)
+    uint8 public constant TRADING_NOT_OPEN    = 16;
+    uint8 public constant MAX_TX_EXCEEDED     = 32;
+    uint8 public constant MAX_WALLET_EXCEEDED = 64;
+    uint8 public constant SELL_COOLDOWN       = 128;
+
+    // What decided the tax, None for transfers outside a DEX or at a 0% rate
+    enum TaxRule { None, Whitelisted, TaxDisabled, Buy, Sell, BuyAndSell }
+
+    // State variables
+    CryptoSnackTokenBase private immutable _token;
+
+    constructor(CryptoSnackTokenBase token) {
+        _token = token;
+    }
+
+    function getToken() external view returns (CryptoSnackTokenBase) {
+        return _token;
+    }
+
+    /**
+     * @notice Tax and net amount a transfer of `amount` from `from` to `to` would have now, the rule that decided
+     * the tax and the reasons it would revert, including trading status and limits of DEX trades. The sender's
+     * balance isn't checked.
+     */
+    function quoteTransfer(
+        address from,
+        address to,
+        uint256 amount
+    ) external view returns (uint256 tax, uint256 net, TaxRule rule, uint8 failures) {
+        (uint256 buyTax, uint256 sellTax) = _token.getEffectiveTaxes(from, to);
+        // rounded per side, like the token
+        uint256 buyTaxAmount = (amount * buyTax) / TAX_PRECISION;
+        uint256 sellTaxAmount = (amount * sellTax) / TAX_PRECISION;
+        tax = buyTaxAmount + sellTaxAmount;
+        net = amount - tax;
+
+        if (_token.isWhitelisted(from) || _token.isWhitelisted(to)) {
+            rule = TaxRule.Whitelisted;
+        } else if (!_token.isTaxEnabled()) {
+            rule = TaxRule.TaxDisabled;
+        } else if (buyTax > 0 && sellTax > 0) {
+            rule = TaxRule.BuyAndSell;
+        } else if (buyTax > 0) {
+            rule = TaxRule.Buy;
+        } else if (sellTax > 0) {
+            rule = TaxRule.Sell;
+        }
+
+        if (_token.paused()) failures |= PAUSED;
+        if (_token.isBlacklisted(from) || _token.isBlacklisted(to)) failures |= BLACKLISTED;
+        if (_token.isFrozen(from) || _token.isFrozen(to)) failures |= FROZEN;
+        // whitelisted accounts and the token's own transfers skip trading checks, like in the token
+        if (from != address(_token) && !_token.isWhitelisted(from) && !_token.isWhitelisted(to)) {
+            failures |= _tradingFailures(from, to, amount);
+        }
+        if (
+            (buyTaxAmount > 0 && _missingWallet(_token.getBuyTaxSplit())) ||
+            (sellTaxAmount > 0 && _missingWallet(_token.getSellTaxSplit()))
+        ) {
+            failures |= NO_TAX_WALLET;
+        }
+    }
+
+    /// @dev Trading status and limits of DEX trades, see the token's `_checkLimits`
+    function _tradingFailures(address from, address to, uint256 amount) private view returns (uint8 failures) {
+        bool isBuy = _token.isDex(from);
+        bool isSell = _token.isDex(to);
+        if (!isBuy && !isSell) return 0;
+
+        if (!_token.isTradingOpen()) failures |= TRADING_NOT_OPEN;
+        uint256 maxTxAmount = _token.getMaxTxAmount();
+        if (maxTxAmount != 0 && amount > maxTxAmount) failures |= MAX_TX_EXCEEDED;
+        uint256 maxWalletAmount = _token.getMaxWalletAmount();
+        if (isBuy && !isSell && maxWalletAmount != 0 && _token.balanceOf(to) + amount > maxWalletAmount) {
+            failures |= MAX_WALLET_EXCEEDED;
+        }
+        if (isSell && !isBuy) {
+            uint256 lastSell = _token.getLastSell(from);
+            if (lastSell != 0 && block.timestamp < lastSell + _token.getSellCooldown()) failures |= SELL_COOLDOWN;
+        }
+    }
+
+    /// @dev Legs with a share need a wallet, except burn
+    function _missingWallet(CryptoSnackTokenBase.TaxSplit memory split) private view returns (bool) {
+        return (split.marketing > 0 && _token.getTaxWallet() == address(0)) ||
+            (split.liquidity > 0 && _token.getLiquidityWallet() == address(0)) ||
+            (split.treasury > 0 && _token.getTreasuryWallet() == address(0));
+    }
+}
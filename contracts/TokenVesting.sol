@@ -1,64 +1,110 @@
 // SPDX-License-Identifier: MIT
 pragma solidity >=0.8.0 <0.9.0;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
 
 /**
  * @title CryptoSnack Vesting
+ * @dev Vesting logic shared by the immutable `CryptoSnackVesting` and the proxied `CryptoSnackVestingUpgradeable`.
+ * State variables start at slot 0 (OpenZeppelin bases use namespaced storage), new ones must be appended at the end.
  */
-contract CryptoSnackVesting is Ownable, ReentrancyGuard {
+abstract contract CryptoSnackVestingBase is AccessControlUpgradeable, ReentrancyGuardUpgradeable {
     using SafeERC20 for IERC20;
+    using Checkpoints for Checkpoints.Trace208;
+
+    // Roles, DEFAULT_ADMIN_ROLE manages them, sets the treasury and reclaims tokens sent by mistake
+    bytes32 public constant VESTING_MANAGER_ROLE = keccak256("VESTING_MANAGER_ROLE"); // create, revoke, move
 
     struct VestingSchedule {
+        address beneficiary;
         uint256 totalAmount;
         uint256 startTime;
         uint256 cliff;
         uint256 duration;
+        uint256 slicePeriod;   // 0 for linear vesting, otherwise tokens unlock once per period
+        uint16 initialUnlock;  // share of totalAmount unlocked at startTime, up to 10000
         uint256 releasedAmount;
         bool revocable;
         bool revoked;
     }
 
+    struct VestingParameters {
+        uint256 startTime;
+        uint256 cliffDuration;
+        uint256 vestingDuration;
+        uint256 slicePeriod;
+        uint16 initialUnlock;
+        bool revocable;
+    }
+
     // Constants
     uint32 private constant MAX_START_OFFSET_TIME = 365 days;
     uint32 private constant MAX_VESTING_TIME = 10 * 365 days;
+    uint8  private constant MAX_BATCH_SIZE = 200; // for batch schedule creation
+    uint16 private constant UNLOCK_PRECISION = 10000; // used to set initial unlock with 2 decimals precision
 
     // Errors
     error InvalidBeneficiary();
     error NoVestingSchedule();
-    error VestingAlreadyExists();
+    error NotBeneficiary();
+    error NotPendingBeneficiary();
     error InvalidVestingParameters();
     error InsufficientTokenBalance();
     error NotRevocable();
     error AlreadyRevoked();
     error NothingToRelease();
     error TransferFailed();
+    error ArraysLengthMismatch();
+    error InvalidBatchLength();
+    error InvalidTreasury();
+    error FutureLookup(uint256 blockNumber);
 
     // Events
     event VestingScheduleCreated(
+        uint256 indexed scheduleId,
         address indexed beneficiary,
         uint256 amount,
         uint256 startTime,
         uint256 cliff,
         uint256 duration
     );
-    event TokensReleased(address indexed beneficiary, uint256 amount);
-    event TokensRefunded(uint256 amount);
-    event VestingRevoked(address indexed beneficiary);
+    event TokensReleased(uint256 indexed scheduleId, address indexed beneficiary, uint256 amount);
+    event TokensRefunded(uint256 indexed scheduleId, uint256 amount);
+    event VestingRevoked(uint256 indexed scheduleId, address indexed beneficiary);
+    event VestingTransferStarted(uint256 indexed scheduleId, address indexed newBeneficiary);
+    event VestingTransferred(uint256 indexed scheduleId, address indexed previousBeneficiary, address indexed newBeneficiary);
+    event TreasuryUpdated(address indexed oldTreasury, address indexed newTreasury);
     event TokenReclaimed(address indexed token, address indexed to, uint256 value);
     event BNBReclaimed(address indexed to, uint256 value);
 
     // State variables
-    mapping(address => VestingSchedule) private _vestingSchedules;
+    mapping(uint256 => VestingSchedule) private _vestingSchedules;
+    mapping(address => uint256[])       private _beneficiarySchedules; // schedule IDs per beneficiary
+    mapping(uint256 => address)         private _pendingBeneficiaries; // manager-initiated transfers
+    uint256 private _schedulesCount;
     uint256 private _totalAllocated;
 
+    // Unreleased tokens per beneficiary (vested or not), block number => amount
+    mapping(address => Checkpoints.Trace208) private _unreleasedCheckpoints;
+
     // Token parameters
-    IERC20 private immutable _token;
+    IERC20 private _token;
+
+    // Receives the unvested tokens of revoked schedules
+    address private _treasury;
+
+    function __CryptoSnackVesting_init(address tokenAddress) internal onlyInitializing {
+        __AccessControl_init();
+        __ReentrancyGuard_init();
 
-    constructor(address tokenAddress) Ownable(msg.sender) {
         _token = IERC20(tokenAddress);
+        _treasury = msg.sender;
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(VESTING_MANAGER_ROLE, msg.sender);
     }
 
     // Views
@@ -66,14 +112,44 @@ contract CryptoSnackVesting is Ownable, ReentrancyGuard {
         return _token;
     }
 
-    function getVestingSchedule(address beneficiary) external view returns (VestingSchedule memory) {
-        return _vestingSchedules[beneficiary];
+    function getVestingSchedule(uint256 scheduleId) external view returns (VestingSchedule memory) {
+        return _vestingSchedules[scheduleId];
+    }
+
+    function getSchedulesCount() external view returns (uint256) {
+        return _schedulesCount;
+    }
+
+    function getScheduleIds(address beneficiary) external view returns (uint256[] memory) {
+        return _beneficiarySchedules[beneficiary];
+    }
+
+    function getTreasury() external view returns (address) {
+        return _treasury;
+    }
+
+    function getPendingBeneficiary(uint256 scheduleId) external view returns (address) {
+        return _pendingBeneficiaries[scheduleId];
     }
 
     function getTotalAllocated() external view returns (uint256) {
         return _totalAllocated;
     }
 
+    /// @notice Tokens held for `beneficiary` across non-revoked schedules, vested or not
+    function getUnreleasedAmount(address beneficiary) external view returns (uint256) {
+        return _unreleasedCheckpoints[beneficiary].latest();
+    }
+
+    /**
+     * @notice Unreleased amount of `beneficiary` at the end of a past block, vested or not. The vested part grows with
+     * time rather than with transactions, so it isn't checkpointed: snack:snapshot computes it from the schedules.
+     */
+    function getUnreleasedAmountAt(address beneficiary, uint256 blockNumber) external view returns (uint256) {
+        if (blockNumber >= block.number) revert FutureLookup(blockNumber);
+        return _unreleasedCheckpoints[beneficiary].upperLookupRecent(SafeCast.toUint48(blockNumber));
+    }
+
     // Vesting
     function createVestingSchedule(
         address beneficiary,
@@ -82,7 +158,56 @@ contract CryptoSnackVesting is Ownable, ReentrancyGuard {
         uint256 cliffDuration,
         uint256 vestingDuration,
         bool revocable
-    ) external onlyOwner {
+    ) external onlyRole(VESTING_MANAGER_ROLE) returns (uint256 scheduleId) {
+        scheduleId = _createVestingSchedule(beneficiary, amount, VestingParameters({
+            startTime: startTime,
+            cliffDuration: cliffDuration,
+            vestingDuration: vestingDuration,
+            slicePeriod: 0,
+            initialUnlock: 0,
+            revocable: revocable
+        }));
+        if (_token.balanceOf(address(this)) < _totalAllocated) revert InsufficientTokenBalance();
+    }
+
+    /// @notice Creates a schedule with an initial unlock at start and/or periodic (step) releases
+    function createCustomVestingSchedule(
+        address beneficiary,
+        uint256 amount,
+        VestingParameters calldata parameters
+    ) external onlyRole(VESTING_MANAGER_ROLE) returns (uint256 scheduleId) {
+        scheduleId = _createVestingSchedule(beneficiary, amount, parameters);
+        if (_token.balanceOf(address(this)) < _totalAllocated) revert InsufficientTokenBalance();
+    }
+
+    /// @notice Creates schedules atomically: reverts the whole batch if any entry is invalid
+    function createVestingSchedules(
+        address[] calldata beneficiaries,
+        uint256[] calldata amounts,
+        VestingParameters[] calldata parameters
+    ) external onlyRole(VESTING_MANAGER_ROLE) {
+        uint256 length = beneficiaries.length;
+        if (length != amounts.length || length != parameters.length) revert ArraysLengthMismatch();
+        if (length == 0 || length > MAX_BATCH_SIZE) revert InvalidBatchLength();
+
+        for (uint256 i = 0; i < length;) {
+            _createVestingSchedule(beneficiaries[i], amounts[i], parameters[i]);
+            unchecked {++i;}
+        }
+
+        // single balance check for the whole batch, `_totalAllocated` already includes it
+        if (_token.balanceOf(address(this)) < _totalAllocated) revert InsufficientTokenBalance();
+    }
+
+    function _createVestingSchedule(
+        address beneficiary,
+        uint256 amount,
+        VestingParameters memory params
+    ) private returns (uint256 scheduleId) {
+        uint256 startTime = params.startTime;
+        uint256 cliffDuration = params.cliffDuration;
+        uint256 vestingDuration = params.vestingDuration;
+
         if (beneficiary == address(0)) revert InvalidBeneficiary();
         if (amount == 0) revert InvalidVestingParameters();
         if (startTime < block.timestamp) revert InvalidVestingParameters();
@@ -91,24 +216,31 @@ contract CryptoSnackVesting is Ownable, ReentrancyGuard {
         if (vestingDuration == 0) revert InvalidVestingParameters();
         if (cliffDuration > vestingDuration) revert InvalidVestingParameters();
         if (vestingDuration > MAX_VESTING_TIME) revert InvalidVestingParameters();
-        if (_vestingSchedules[beneficiary].totalAmount != 0) revert VestingAlreadyExists();
-        if (_token.balanceOf(address(this)) < amount + _totalAllocated) revert InsufficientTokenBalance();
+        if (params.slicePeriod > vestingDuration) revert InvalidVestingParameters();
+        if (params.initialUnlock > UNLOCK_PRECISION) revert InvalidVestingParameters();
 
         uint256 cliff = startTime + cliffDuration;
+        scheduleId = _schedulesCount++;
 
-        _vestingSchedules[beneficiary] = VestingSchedule({
+        _vestingSchedules[scheduleId] = VestingSchedule({
+            beneficiary: beneficiary,
             totalAmount: amount,
             startTime: startTime,
             cliff: cliff,
             duration: vestingDuration,
+            slicePeriod: params.slicePeriod,
+            initialUnlock: params.initialUnlock,
             releasedAmount: 0,
-            revocable: revocable,
+            revocable: params.revocable,
             revoked: false
         });
 
+        _beneficiarySchedules[beneficiary].push(scheduleId);
         _totalAllocated += amount;
+        _moveUnreleased(address(0), beneficiary, amount);
 
         emit VestingScheduleCreated(
+            scheduleId,
             beneficiary,
             amount,
             startTime,
@@ -117,87 +249,235 @@ contract CryptoSnackVesting is Ownable, ReentrancyGuard {
         );
     }
 
-    function release() external nonReentrant {
+    function release(uint256 scheduleId) external nonReentrant {
         address beneficiary = msg.sender;
-        VestingSchedule storage schedule = _vestingSchedules[beneficiary];
+        VestingSchedule storage schedule = _vestingSchedules[scheduleId];
 
         if (schedule.totalAmount == 0) revert NoVestingSchedule();
+        if (schedule.beneficiary != beneficiary) revert NotBeneficiary();
         if (schedule.revoked) revert AlreadyRevoked();
 
-        uint256 releasable = _getReleasableAmount(beneficiary);
+        uint256 releasable = _getReleasableAmount(schedule);
         if (releasable == 0) revert NothingToRelease();
 
         schedule.releasedAmount += releasable;
         _totalAllocated -= releasable;
+        _moveUnreleased(beneficiary, address(0), releasable);
         _token.safeTransfer(beneficiary, releasable);
-        emit TokensReleased(beneficiary, releasable);
+        emit TokensReleased(scheduleId, beneficiary, releasable);
     }
 
-    /// @notice Would automatically transfer releasable tokens to the beneficiary and then transfer the remaining tokens to the owner
-    function revoke(address beneficiary) external onlyOwner nonReentrant {
-        VestingSchedule storage schedule = _vestingSchedules[beneficiary];
+    /// @notice Releases tokens of all beneficiary's schedules in a single transfer
+    function releaseAll() external nonReentrant {
+        address beneficiary = msg.sender;
+        uint256[] storage scheduleIds = _beneficiarySchedules[beneficiary];
+        uint256 length = scheduleIds.length;
+
+        if (length == 0) revert NoVestingSchedule();
+
+        uint256 totalReleasable;
+        for (uint256 i = 0; i < length;) {
+            uint256 scheduleId = scheduleIds[i];
+            VestingSchedule storage schedule = _vestingSchedules[scheduleId];
+
+            uint256 releasable = _getReleasableAmount(schedule);
+            if (releasable > 0) {
+                schedule.releasedAmount += releasable;
+                totalReleasable += releasable;
+                emit TokensReleased(scheduleId, beneficiary, releasable);
+            }
+            unchecked {++i;}
+        }
+
+        if (totalReleasable == 0) revert NothingToRelease();
+
+        _totalAllocated -= totalReleasable;
+        _moveUnreleased(beneficiary, address(0), totalReleasable);
+        _token.safeTransfer(beneficiary, totalReleasable);
+    }
+
+    /// @notice Would automatically transfer releasable tokens to the beneficiary and the remaining tokens to the treasury
+    function revoke(uint256 scheduleId) external onlyRole(VESTING_MANAGER_ROLE) nonReentrant {
+        VestingSchedule storage schedule = _vestingSchedules[scheduleId];
 
         if (schedule.totalAmount == 0) revert NoVestingSchedule();
         if (!schedule.revocable) revert NotRevocable();
         if (schedule.revoked) revert AlreadyRevoked();
 
-        uint256 releasable = _getReleasableAmount(beneficiary);
+        address beneficiary = schedule.beneficiary;
+        _moveUnreleased(beneficiary, address(0), schedule.totalAmount - schedule.releasedAmount);
+
+        uint256 releasable = _getReleasableAmount(schedule);
         if (releasable > 0) {
             schedule.releasedAmount += releasable;
             _totalAllocated -= releasable;
             _token.safeTransfer(beneficiary, releasable);
-            emit TokensReleased(beneficiary, releasable);
+            emit TokensReleased(scheduleId, beneficiary, releasable);
         }
 
         uint256 remaining = schedule.totalAmount - schedule.releasedAmount;
         if (remaining > 0) {
             _totalAllocated -= remaining;
-            _token.safeTransfer(owner(), remaining);
-            emit TokensRefunded(remaining);
+            _token.safeTransfer(_treasury, remaining);
+            emit TokensRefunded(scheduleId, remaining);
         }
 
         schedule.revoked = true;
-        emit VestingRevoked(beneficiary);
+        emit VestingRevoked(scheduleId, beneficiary);
+    }
+
+    function setTreasury(address treasury) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (treasury == address(0)) revert InvalidTreasury();
+        address oldTreasury = _treasury;
+        _treasury = treasury;
+        emit TreasuryUpdated(oldTreasury, treasury);
     }
 
-    function _getReleasableAmount(address beneficiary) private view returns (uint256) {
-        VestingSchedule memory schedule = _vestingSchedules[beneficiary];
+    // Beneficiary change
+    /// @notice Moves the caller's schedule to a new address, keeping released amount, curve and revocability
+    function transferVestingSchedule(uint256 scheduleId, address newBeneficiary) external {
+        VestingSchedule storage schedule = _vestingSchedules[scheduleId];
 
-        if (block.timestamp < schedule.cliff) {
+        if (schedule.totalAmount == 0) revert NoVestingSchedule();
+        if (schedule.beneficiary != msg.sender) revert NotBeneficiary();
+
+        _transferVestingSchedule(scheduleId, schedule, newBeneficiary);
+    }
+
+    /// @notice Starts a transfer on behalf of the beneficiary, the new address has to accept it
+    function proposeVestingTransfer(
+        uint256 scheduleId,
+        address newBeneficiary
+    ) external onlyRole(VESTING_MANAGER_ROLE) {
+        VestingSchedule storage schedule = _vestingSchedules[scheduleId];
+
+        if (schedule.totalAmount == 0) revert NoVestingSchedule();
+        if (schedule.revoked) revert AlreadyRevoked();
+        if (newBeneficiary == address(0) || newBeneficiary == schedule.beneficiary) revert InvalidBeneficiary();
+
+        _pendingBeneficiaries[scheduleId] = newBeneficiary;
+        emit VestingTransferStarted(scheduleId, newBeneficiary);
+    }
+
+    function acceptVestingTransfer(uint256 scheduleId) external {
+        if (_pendingBeneficiaries[scheduleId] != msg.sender) revert NotPendingBeneficiary();
+        _transferVestingSchedule(scheduleId, _vestingSchedules[scheduleId], msg.sender);
+    }
+
+    function _transferVestingSchedule(
+        uint256 scheduleId,
+        VestingSchedule storage schedule,
+        address newBeneficiary
+    ) private {
+        address previousBeneficiary = schedule.beneficiary;
+
+        if (schedule.revoked) revert AlreadyRevoked();
+        if (newBeneficiary == address(0) || newBeneficiary == previousBeneficiary) revert InvalidBeneficiary();
+
+        // swap and pop the ID from the previous beneficiary's index
+        uint256[] storage scheduleIds = _beneficiarySchedules[previousBeneficiary];
+        uint256 lastIndex = scheduleIds.length - 1;
+        for (uint256 i = 0; i <= lastIndex;) {
+            if (scheduleIds[i] == scheduleId) {
+                scheduleIds[i] = scheduleIds[lastIndex];
+                scheduleIds.pop();
+                break;
+            }
+            unchecked {++i;}
+        }
+
+        schedule.beneficiary = newBeneficiary;
+        _beneficiarySchedules[newBeneficiary].push(scheduleId);
+        _moveUnreleased(previousBeneficiary, newBeneficiary, schedule.totalAmount - schedule.releasedAmount);
+        delete _pendingBeneficiaries[scheduleId];
+
+        emit VestingTransferred(scheduleId, previousBeneficiary, newBeneficiary);
+    }
+
+    /// @dev Checkpoints unreleased amounts, `from` is address(0) when a schedule is created, `to` when tokens leave
+    function _moveUnreleased(address from, address to, uint256 amount) private {
+        uint48 blockNumber = SafeCast.toUint48(block.number);
+        if (from != address(0)) {
+            Checkpoints.Trace208 storage checkpoints = _unreleasedCheckpoints[from];
+            checkpoints.push(blockNumber, checkpoints.latest() - SafeCast.toUint208(amount));
+        }
+        if (to != address(0)) {
+            Checkpoints.Trace208 storage checkpoints = _unreleasedCheckpoints[to];
+            checkpoints.push(blockNumber, checkpoints.latest() + SafeCast.toUint208(amount));
+        }
+    }
+
+    /**
+     * @dev Initial unlock is available from `startTime`, the rest vests from `startTime` to `startTime + duration`
+     * (continuously, or once per `slicePeriod`) and can't be released before the cliff.
+     */
+    function _getVestedAmount(VestingSchedule memory schedule, uint256 timestamp) private pure returns (uint256) {
+        if (timestamp < schedule.startTime) {
             return 0;
         }
 
+        uint256 initialAmount = (schedule.totalAmount * schedule.initialUnlock) / UNLOCK_PRECISION;
+        if (timestamp < schedule.cliff) {
+            return initialAmount;
+        }
+
+        if (timestamp >= schedule.startTime + schedule.duration) {
+            return schedule.totalAmount;
+        }
+
+        uint256 elapsed = timestamp - schedule.startTime;
+        if (schedule.slicePeriod > 0) {
+            elapsed = (elapsed / schedule.slicePeriod) * schedule.slicePeriod;
+        }
+
+        return initialAmount + ((schedule.totalAmount - initialAmount) * elapsed) / schedule.duration;
+    }
+
+    function _getReleasableAmount(VestingSchedule memory schedule) private view returns (uint256) {
         if (schedule.revoked) {
             return 0;
         }
 
-        uint256 vestedAmount;
-        if (block.timestamp >= schedule.startTime + schedule.duration) {
-            vestedAmount = schedule.totalAmount;
-        } else {
-            vestedAmount = (schedule.totalAmount * (block.timestamp - schedule.startTime)) / schedule.duration;
+        return _getVestedAmount(schedule, block.timestamp) - schedule.releasedAmount;
+    }
+
+    function getReleasableAmount(uint256 scheduleId) external view returns (uint256) {
+        return _getReleasableAmount(_vestingSchedules[scheduleId]);
+    }
+
+    /// @notice Amount vested by `timestamp` (including released tokens), used to render unlock calendars
+    function getVestedAmount(uint256 scheduleId, uint256 timestamp) external view returns (uint256) {
+        VestingSchedule memory schedule = _vestingSchedules[scheduleId];
+        if (schedule.revoked) {
+            return schedule.releasedAmount; // vesting stopped at revocation
         }
 
-        return vestedAmount - schedule.releasedAmount;
+        return _getVestedAmount(schedule, timestamp);
     }
 
-    function getReleasableAmount(address beneficiary) external view returns (uint256) {
-        return _getReleasableAmount(beneficiary);
+    /// @notice Sum of releasable amounts across all beneficiary's schedules
+    function getTotalReleasableAmount(address beneficiary) external view returns (uint256 total) {
+        uint256[] storage scheduleIds = _beneficiarySchedules[beneficiary];
+        uint256 length = scheduleIds.length;
+        for (uint256 i = 0; i < length;) {
+            total += _getReleasableAmount(_vestingSchedules[scheduleIds[i]]);
+            unchecked {++i;}
+        }
     }
 
     // Utilities
-    function reclaimToken(IERC20 token) external onlyOwner {
+    function reclaimToken(IERC20 token) external onlyRole(DEFAULT_ADMIN_ROLE) {
         if (token == _token) revert TransferFailed();
 
         uint256 balance = token.balanceOf(address(this));
-        token.safeTransfer(owner(), balance);
-        emit TokenReclaimed(address(token), owner(), balance);
+        token.safeTransfer(msg.sender, balance);
+        emit TokenReclaimed(address(token), msg.sender, balance);
     }
 
-    function reclaimBNB() external onlyOwner {
-        (bool success,) = owner().call{value: address(this).balance}("");
+    function reclaimBNB() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        (bool success,) = msg.sender.call{value: address(this).balance}("");
         if (!success) revert TransferFailed();
-        emit BNBReclaimed(owner(), address(this).balance);
+        emit BNBReclaimed(msg.sender, address(this).balance);
     }
 
     /**
@@ -211,3 +491,13 @@ contract CryptoSnackVesting is Ownable, ReentrancyGuard {
      */
     fallback() external payable {}
 }
+
+/**
+ * @title CryptoSnack Vesting
+ * @dev Immutable deployment, see `CryptoSnackVestingUpgradeable` for the proxy variant
+ */
+contract CryptoSnackVesting is CryptoSnackVestingBase {
+    constructor(address tokenAddress) initializer {
+        __CryptoSnackVesting_init(tokenAddress);
+    }
+}
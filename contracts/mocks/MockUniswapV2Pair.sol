@@ -0,0 +1,61 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.8.0 <0.9.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @dev Token/BNB constant product pool for tests. Tokens are sent to the pair before calling it,
+ * the same way the Uniswap V2 router does. Liquidity shares are only accounted, not minted as a token.
+ */
+contract MockUniswapV2Pair {
+    IERC20 public immutable token;
+    uint256 public reserveToken;
+    uint256 public reserveETH;
+
+    mapping(address => uint256) public liquidityOf;
+    uint256 public totalLiquidity;
+
+    constructor(IERC20 token_) {
+        token = token_;
+    }
+
+    function getReserves() external view returns (uint256, uint256) {
+        return (reserveToken, reserveETH);
+    }
+
+    /// @dev 0.25% fee, as PancakeSwap V2
+    function getAmountOut(uint256 amountIn, uint256 reserveIn, uint256 reserveOut) public pure returns (uint256) {
+        uint256 amountInWithFee = amountIn * 9975;
+        return (amountInWithFee * reserveOut) / (reserveIn * 10000 + amountInWithFee);
+    }
+
+    function swapTokensForETH(uint256 amountOutMin, address to) external returns (uint256 amountOut) {
+        uint256 balance = token.balanceOf(address(this));
+        amountOut = getAmountOut(balance - reserveToken, reserveToken, reserveETH);
+        require(amountOut >= amountOutMin, "MockPair: INSUFFICIENT_OUTPUT_AMOUNT");
+
+        reserveToken = balance;
+        reserveETH -= amountOut;
+        (bool success,) = to.call{value: amountOut}("");
+        require(success, "MockPair: ETH_TRANSFER_FAILED");
+    }
+
+    function swapETHForTokens(uint256 amountOutMin, address to) external payable returns (uint256 amountOut) {
+        amountOut = getAmountOut(msg.value, reserveETH, reserveToken);
+        require(amountOut >= amountOutMin, "MockPair: INSUFFICIENT_OUTPUT_AMOUNT");
+
+        reserveETH += msg.value;
+        token.transfer(to, amountOut);
+        reserveToken = token.balanceOf(address(this));
+    }
+
+    function mint(address to) external payable returns (uint256 liquidity) {
+        uint256 amountToken = token.balanceOf(address(this)) - reserveToken;
+        liquidity = totalLiquidity == 0 ? msg.value : (msg.value * totalLiquidity) / reserveETH;
+
+        reserveToken += amountToken;
+        reserveETH += msg.value;
+        liquidityOf[to] += liquidity;
+        totalLiquidity += liquidity;
+    }
+}
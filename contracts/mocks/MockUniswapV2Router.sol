@@ -0,0 +1,83 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.8.0 <0.9.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "../interfaces/IUniswapV2Router02.sol";
+import "./MockUniswapV2Pair.sol";
+
+/**
+ * @dev Minimal Uniswap V2 style router over a single MockUniswapV2Pair, for tests.
+ */
+contract MockUniswapV2Router is IUniswapV2Router02 {
+    MockUniswapV2Pair public immutable pair;
+    address public immutable weth;
+    bool public failing;          // makes swaps revert, to test the token keeps working
+    bool public failingLiquidity; // makes only addLiquidityETH revert
+
+    constructor(MockUniswapV2Pair pair_, address weth_) {
+        pair = pair_;
+        weth = weth_;
+    }
+
+    function setFailing(bool failing_) external {
+        failing = failing_;
+    }
+
+    function setFailingLiquidity(bool failingLiquidity_) external {
+        failingLiquidity = failingLiquidity_;
+    }
+
+    function WETH() external view returns (address) {
+        return weth;
+    }
+
+    function getAmountsOut(uint256 amountIn, address[] calldata path) external view returns (uint256[] memory amounts) {
+        require(path.length == 2, "MockRouter: INVALID_PATH");
+        (uint256 reserveToken, uint256 reserveETH) = pair.getReserves();
+
+        amounts = new uint256[](2);
+        amounts[0] = amountIn;
+        amounts[1] = path[1] == weth
+            ? pair.getAmountOut(amountIn, reserveToken, reserveETH)
+            : pair.getAmountOut(amountIn, reserveETH, reserveToken);
+    }
+
+    function swapExactTokensForETHSupportingFeeOnTransferTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external {
+        require(!failing, "MockRouter: FAILING");
+        require(deadline >= block.timestamp, "MockRouter: EXPIRED");
+        require(path.length == 2 && path[0] == address(pair.token()) && path[1] == weth, "MockRouter: INVALID_PATH");
+
+        IERC20(path[0]).transferFrom(msg.sender, address(pair), amountIn);
+        pair.swapTokensForETH(amountOutMin, to);
+    }
+
+    function swapExactETHForTokens(uint256 amountOutMin, address to) external payable {
+        pair.swapETHForTokens{value: msg.value}(amountOutMin, to);
+    }
+
+    function addLiquidityETH(
+        address token,
+        uint256 amountTokenDesired,
+        uint256 amountTokenMin,
+        uint256 amountETHMin,
+        address to,
+        uint256 deadline
+    ) external payable returns (uint256 amountToken, uint256 amountETH, uint256 liquidity) {
+        require(!failing && !failingLiquidity, "MockRouter: FAILING");
+        require(deadline >= block.timestamp, "MockRouter: EXPIRED");
+        require(amountTokenDesired >= amountTokenMin && msg.value >= amountETHMin, "MockRouter: INSUFFICIENT_AMOUNT");
+
+        amountToken = amountTokenDesired;
+        amountETH = msg.value;
+        IERC20(token).transferFrom(msg.sender, address(pair), amountToken);
+        liquidity = pair.mint{value: amountETH}(to);
+    }
+
+    receive() external payable {}
+}
@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.8.0 <0.9.0;
+
+import "@openzeppelin/contracts/utils/ShortStrings.sol";
+import "../Token.sol";
+
+/**
+ * @title CryptoSnack (upgradeable)
+ * @dev Implementation behind a `TransparentUpgradeableProxy`, upgrades go through the proxy's `ProxyAdmin`.
+ * The token is too close to the contract size limit for UUPS upgrade logic in the implementation. For the same
+ * reason name and symbol (up to 31 bytes) are immutables of the implementation instead of initialized storage,
+ * every new implementation must be deployed with the proxy's current `name()` and `symbol()`.
+ */
+contract CryptoSnackTokenUpgradeable is CryptoSnackTokenBase {
+    using ShortStrings for *;
+
+    ShortString private immutable _tokenName;
+    ShortString private immutable _tokenSymbol;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor state-variable-immutable
+    constructor(string memory tokenName, string memory tokenSymbol) {
+        _tokenName = tokenName.toShortString();
+        _tokenSymbol = tokenSymbol.toShortString();
+        _disableInitializers();
+    }
+
+    function initialize(
+        uint256 initialSupply,
+        uint16 sellingTax,
+        uint16 buyingTax,
+        address initialOwner
+    ) external initializer {
+        __CryptoSnackToken_init(initialSupply, sellingTax, buyingTax, initialOwner);
+    }
+
+    function name() public view override returns (string memory) {
+        return _tokenName.toString();
+    }
+
+    function symbol() public view override returns (string memory) {
+        return _tokenSymbol.toString();
+    }
+}
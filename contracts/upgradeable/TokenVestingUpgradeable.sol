@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.8.0 <0.9.0;
+
+import "../TokenVesting.sol";
+
+/**
+ * @title CryptoSnack Vesting (upgradeable)
+ * @dev Implementation behind a `TransparentUpgradeableProxy`, upgrades go through the proxy's `ProxyAdmin`.
+ * Roles are granted to the account initializing the proxy, as the constructor of `CryptoSnackVesting` does.
+ */
+contract CryptoSnackVestingUpgradeable is CryptoSnackVestingBase {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(address tokenAddress) external initializer {
+        __CryptoSnackVesting_init(tokenAddress);
+    }
+}
@@ -1,14 +1,46 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
 
+require("./tasks/snack");
+require("./tasks/vesting");
+require("./tasks/upgrades");
+require("./tasks/airdrop");
+require("./tasks/admin");
+
+// the token implementation has to fit the 24KB contract size limit; BSC supports cancun opcodes
+const compilerSettings = (runs) => ({
+  optimizer: {
+    enabled: true,
+    runs
+  },
+  viaIR: true,
+  evmVersion: "cancun",
+  // checked against storage-layout/*.json by test/StorageLayout.test.js
+  outputSelection: {
+    "*": {
+      "*": ["storageLayout"]
+    }
+  }
+});
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
-    version: "0.8.28",
-    settings: {
-      optimizer: {
-        enabled: true,
-        runs: 200
+    compilers: [
+      {
+        version: "0.8.28",
+        settings: compilerSettings(200)
+      }
+    ],
+    // favours code size over call gas, the token implementations are close to the 24KB limit
+    overrides: {
+      "contracts/Token.sol": {
+        version: "0.8.28",
+        settings: compilerSettings(1)
+      },
+      "contracts/upgradeable/TokenUpgradeable.sol": {
+        version: "0.8.28",
+        settings: compilerSettings(1)
       }
     }
   },
@@ -0,0 +1,20 @@
+// Deploys a CryptoSnackAirdrop campaign for an already deployed token and funds it with `airdropAmount`
+// (in wei, the `total` of `airdrop:build`). Claims are plain transfers, untaxed unless the recipient is a DEX;
+// the whitelist is timelocked once trading is open, so it isn't changed here.
+// Use a separate `--deployment-id` per campaign.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+module.exports = buildModule("CryptoSnackAirdropModule", (m) => {
+  const tokenAddress = m.getParameter("token");
+  const merkleRoot = m.getParameter("merkleRoot");
+  const expiresAt = m.getParameter("expiresAt"); // unix timestamp (seconds), at most a year ahead
+  const airdropAmount = m.getParameter("airdropAmount"); // in wei (18 decimals)
+
+  const token = m.contractAt("CryptoSnackToken", tokenAddress);
+  const airdrop = m.contract("CryptoSnackAirdrop", [token, merkleRoot, expiresAt]);
+
+  m.call(token, "transfer", [airdrop, airdropAmount], { id: "fundAirdrop" });
+
+  return { token, airdrop };
+});
@@ -0,0 +1,12 @@
+// Deploys the read-only CryptoSnackTaxQuoter for an already deployed token (immutable or proxy address).
+// It has no roles or state, redeploy it if the token moves to a new address or an upgrade changes its tax rules.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+module.exports = buildModule("CryptoSnackTaxQuoterModule", (m) => {
+  const tokenAddress = m.getParameter("token");
+
+  const quoter = m.contract("CryptoSnackTaxQuoter", [tokenAddress]);
+
+  return { quoter };
+});
@@ -0,0 +1,35 @@
+// Deploys CryptoSnackToken and runs its post-deploy setup (tax wallet, DEX addresses).
+// Constructor arguments come from the per-network files in `ignition/parameters`.
+//
+// Setup calls are sent by the deploying account, so `initialOwner` (who gets every role) must be that account.
+// Hand the roles over to multi-sigs with `grantRole`/`renounceRole` once the deployment is done.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+module.exports = buildModule("CryptoSnackTokenModule", (m) => {
+  const tokenName = m.getParameter("tokenName", "CryptoSnack 2.0");
+  const tokenSymbol = m.getParameter("tokenSymbol", "SNACK");
+  const initialSupply = m.getParameter("initialSupply", 10_000_000_000); // whole tokens
+  const sellingTax = m.getParameter("sellingTax", 250); // basis points, e.g. 250 == 2.5%
+  const buyingTax = m.getParameter("buyingTax", 250);   // basis points, e.g. 250 == 2.5%
+  const initialOwner = m.getParameter("initialOwner", m.getAccount(0));
+
+  const taxWallet = m.getParameter("taxWallet");
+  const dexRouterV2 = m.getParameter("dexRouterV2");
+  const dexRouterV3 = m.getParameter("dexRouterV3");
+
+  const token = m.contract("CryptoSnackToken", [
+    tokenName,
+    tokenSymbol,
+    initialSupply,
+    sellingTax,
+    buyingTax,
+    initialOwner,
+  ]);
+
+  m.call(token, "setTaxWallet", [taxWallet]);
+  m.call(token, "setDex", [dexRouterV2, true], { id: "setDexRouterV2" });
+  m.call(token, "setDex", [dexRouterV3, true], { id: "setDexRouterV3" });
+
+  return { token };
+});
@@ -0,0 +1,41 @@
+// Deploys CryptoSnackTokenUpgradeable behind a TransparentUpgradeableProxy and runs the same setup as
+// CryptoSnackTokenModule. Parameters come from the `CryptoSnackTokenProxyModule` section of `ignition/parameters`.
+//
+// The proxy deploys its own ProxyAdmin owned by `proxyAdminOwner`, the only account able to upgrade the token
+// (`npx hardhat snack:upgrade`). Like the roles, hand it over to a multi-sig once the deployment is done.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+module.exports = buildModule("CryptoSnackTokenProxyModule", (m) => {
+  const tokenName = m.getParameter("tokenName", "CryptoSnack 2.0");
+  const tokenSymbol = m.getParameter("tokenSymbol", "SNACK");
+  const initialSupply = m.getParameter("initialSupply", 10_000_000_000); // whole tokens
+  const sellingTax = m.getParameter("sellingTax", 250); // basis points, e.g. 250 == 2.5%
+  const buyingTax = m.getParameter("buyingTax", 250);   // basis points, e.g. 250 == 2.5%
+  const initialOwner = m.getParameter("initialOwner", m.getAccount(0));
+  const proxyAdminOwner = m.getParameter("proxyAdminOwner", m.getAccount(0));
+
+  const taxWallet = m.getParameter("taxWallet");
+  const dexRouterV2 = m.getParameter("dexRouterV2");
+  const dexRouterV3 = m.getParameter("dexRouterV3");
+
+  // name and symbol are immutables of the implementation
+  const implementation = m.contract("CryptoSnackTokenUpgradeable", [tokenName, tokenSymbol]);
+  const initialize = m.encodeFunctionCall(implementation, "initialize", [
+    initialSupply,
+    sellingTax,
+    buyingTax,
+    initialOwner,
+  ]);
+  const proxy = m.contract("TransparentUpgradeableProxy", [implementation, proxyAdminOwner, initialize]);
+
+  const proxyAdminAddress = m.readEventArgument(proxy, "AdminChanged", "newAdmin");
+  const proxyAdmin = m.contractAt("ProxyAdmin", proxyAdminAddress);
+  const token = m.contractAt("CryptoSnackTokenUpgradeable", proxy, { id: "CryptoSnackToken" });
+
+  m.call(token, "setTaxWallet", [taxWallet]);
+  m.call(token, "setDex", [dexRouterV2, true], { id: "setDexRouterV2" });
+  m.call(token, "setDex", [dexRouterV3, true], { id: "setDexRouterV3" });
+
+  return { token, proxy, proxyAdmin, implementation };
+});
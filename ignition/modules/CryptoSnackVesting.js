@@ -0,0 +1,18 @@
+// Deploys CryptoSnackVesting wired to the token from CryptoSnackTokenModule,
+// whitelists it on the token (no taxes on releases) and funds it.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const CryptoSnackTokenModule = require("./CryptoSnackToken");
+
+module.exports = buildModule("CryptoSnackVestingModule", (m) => {
+  const { token } = m.useModule(CryptoSnackTokenModule);
+
+  const vestingAmount = m.getParameter("vestingAmount", 0n); // in wei (18 decimals)
+
+  const vesting = m.contract("CryptoSnackVesting", [token]);
+
+  const whitelist = m.call(token, "setWhitelist", [vesting, true], { id: "whitelistVesting" });
+  m.call(token, "transfer", [vesting, vestingAmount], { id: "fundVesting", after: [whitelist] });
+
+  return { token, vesting };
+});
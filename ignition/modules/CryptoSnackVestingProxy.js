@@ -0,0 +1,26 @@
+// Deploys CryptoSnackVestingUpgradeable behind a TransparentUpgradeableProxy, wired to the token from
+// CryptoSnackTokenProxyModule, whitelists it on the token (no taxes on releases) and funds it.
+// Roles are granted to the deploying account, which initializes the proxy.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const CryptoSnackTokenProxyModule = require("./CryptoSnackTokenProxy");
+
+module.exports = buildModule("CryptoSnackVestingProxyModule", (m) => {
+  const { token } = m.useModule(CryptoSnackTokenProxyModule);
+
+  const vestingAmount = m.getParameter("vestingAmount", 0n); // in wei (18 decimals)
+  const proxyAdminOwner = m.getParameter("proxyAdminOwner", m.getAccount(0));
+
+  const implementation = m.contract("CryptoSnackVestingUpgradeable");
+  const initialize = m.encodeFunctionCall(implementation, "initialize", [token]);
+  const proxy = m.contract("TransparentUpgradeableProxy", [implementation, proxyAdminOwner, initialize]);
+
+  const proxyAdminAddress = m.readEventArgument(proxy, "AdminChanged", "newAdmin");
+  const proxyAdmin = m.contractAt("ProxyAdmin", proxyAdminAddress);
+  const vesting = m.contractAt("CryptoSnackVestingUpgradeable", proxy, { id: "CryptoSnackVesting" });
+
+  const whitelist = m.call(token, "setWhitelist", [vesting, true], { id: "whitelistVesting" });
+  m.call(token, "transfer", [vesting, vestingAmount], { id: "fundVesting", after: [whitelist] });
+
+  return { token, vesting, proxy, proxyAdmin, implementation };
+});
@@ -0,0 +1,58 @@
+// Merkle trees for CryptoSnackAirdrop. Leaves are `[address, uint256]` encoded like OpenZeppelin's
+// `StandardMerkleTree`, which is what the contract verifies with `MerkleProof`.
+
+const {StandardMerkleTree} = require("@openzeppelin/merkle-tree");
+const {getAddress, parseUnits} = require("ethers");
+
+const LEAF_ENCODING = ["address", "uint256"];
+
+/**
+ * Builds the tree from `{address, amount}` rows, amounts in whole tokens (e.g. "12.5").
+ * Throws on invalid addresses, invalid or non-positive amounts and duplicate addresses (merge them in the source file).
+ * Errors name the row (1-based entry, blank and comment lines of a CSV don't count), like the other imports.
+ */
+function buildAirdropTree(rows, decimals = 18) {
+    const seen = new Map();
+    const values = rows.map((row, i) => {
+        const name = `row ${i + 1}`;
+        let account;
+        try {
+            account = getAddress(String(row.address).trim());
+        } catch {
+            throw new Error(`${name}: invalid address ${row.address}`);
+        }
+        if (seen.has(account)) throw new Error(`${name}: duplicate address ${account} (row ${seen.get(account)})`);
+        seen.set(account, i + 1);
+
+        let amount;
+        try {
+            amount = parseUnits(String(row.amount).trim(), decimals);
+        } catch {
+            throw new Error(`${name}: invalid amount "${row.amount}"`);
+        }
+        if (amount <= 0n) throw new Error(`${name}: amount must be positive`);
+        return [account, amount.toString()];
+    });
+    if (values.length === 0) throw new Error("No recipients");
+
+    return StandardMerkleTree.of(values, LEAF_ENCODING);
+}
+
+/**
+ * Root, total and per-address proofs (the arguments of `claim(account, amount, proof)`), as published to claimers.
+ */
+function getAirdropProofs(tree) {
+    const claims = {};
+    let total = 0n;
+    for (const [i, [account, amount]] of tree.entries()) {
+        claims[account] = {amount: amount.toString(), proof: tree.getProof(i)};
+        total += BigInt(amount);
+    }
+    return {root: tree.root, total: total.toString(), recipients: tree.length, claims};
+}
+
+module.exports = {
+    LEAF_ENCODING,
+    buildAirdropTree,
+    getAirdropProofs,
+};
@@ -0,0 +1,51 @@
+// EIP-2612 permit signatures for CryptoSnackToken (approve without a transaction from the holder).
+// Works with any ethers v6 signer (`Wallet`, `JsonRpcSigner` of a browser wallet).
+
+const {Signature} = require("ethers");
+
+const PERMIT_TYPES = {
+    Permit: [
+        {name: "owner", type: "address"},
+        {name: "spender", type: "address"},
+        {name: "value", type: "uint256"},
+        {name: "nonce", type: "uint256"},
+        {name: "deadline", type: "uint256"},
+    ],
+};
+
+/**
+ * Builds the EIP-712 typed data of a permit, reading the domain (`eip712Domain`) and the owner's nonce from the token.
+ * `nonce` can be passed to sign several permits ahead, they must be used in order.
+ */
+async function buildPermit(token, {owner, spender, value, deadline, nonce}) {
+    const {name, version, chainId, verifyingContract} = await token.eip712Domain();
+
+    return {
+        domain: {name, version, chainId, verifyingContract},
+        types: PERMIT_TYPES,
+        message: {
+            owner,
+            spender,
+            value: BigInt(value),
+            nonce: nonce ?? await token.nonces(owner),
+            deadline: BigInt(deadline),
+        },
+    };
+}
+
+/**
+ * Signs a permit with `signer` as the owner and returns the arguments of `permit(owner, spender, value, deadline, v, r, s)`.
+ */
+async function signPermit(signer, token, {spender, value, deadline, nonce}) {
+    const owner = await signer.getAddress();
+    const {domain, types, message} = await buildPermit(token, {owner, spender, value, deadline, nonce});
+    const {v, r, s} = Signature.from(await signer.signTypedData(domain, types, message));
+
+    return {owner, spender, value: message.value, deadline: message.deadline, v, r, s};
+}
+
+module.exports = {
+    PERMIT_TYPES,
+    buildPermit,
+    signPermit,
+};
@@ -0,0 +1,49 @@
+// Transfer tax previews for wallets and the swap UI, from CryptoSnackTaxQuoter.quoteTransfer.
+// Works with any ethers v6 runner (provider or signer).
+
+// Indexes of the quoter's TaxRule enum
+const TAX_RULES = ["none", "whitelisted", "taxDisabled", "buy", "sell", "buyAndSell"];
+
+// Bit flags of `failures`, with the message to show
+const QUOTE_FAILURES = [
+    {flag: 1, reason: "paused", message: "Transfers are paused"},
+    {flag: 2, reason: "blacklisted", message: "Sender or recipient is blacklisted"},
+    {flag: 4, reason: "frozen", message: "Sender or recipient is frozen"},
+    {flag: 8, reason: "noTaxWallet", message: "Tax wallet is not set"},
+    {flag: 16, reason: "tradingNotOpen", message: "Trading is not open yet"},
+    {flag: 32, reason: "maxTxExceeded", message: "Amount exceeds the max transaction amount"},
+    {flag: 64, reason: "maxWalletExceeded", message: "Recipient balance would exceed the max wallet amount"},
+    {flag: 128, reason: "sellCooldown", message: "Sell cooldown of the sender is active"},
+];
+
+/**
+ * Decodes the `(tax, net, rule, failures)` result of `quoteTransfer`. `reasons` lists the failures
+ * (e.g. `["paused", "frozen"]`), `messages` the matching texts, the transfer goes through if `willRevert` is false.
+ */
+function decodeTaxQuote([tax, net, rule, failures]) {
+    const flags = Number(failures);
+    const found = QUOTE_FAILURES.filter(({flag}) => (flags & flag) !== 0);
+    return {
+        tax: BigInt(tax),
+        net: BigInt(net),
+        rule: TAX_RULES[Number(rule)] ?? `unknown(${rule})`,
+        reasons: found.map(({reason}) => reason),
+        messages: found.map(({message}) => message),
+        willRevert: flags !== 0,
+    };
+}
+
+/**
+ * Quotes a transfer of `amount` (wei) from `from` to `to`: for a buy `from` is the DEX (pair or router),
+ * for a sell `to` is.
+ */
+async function quoteTransfer(quoter, {from, to, amount}) {
+    return decodeTaxQuote(await quoter.quoteTransfer(from, to, BigInt(amount)));
+}
+
+module.exports = {
+    TAX_RULES,
+    QUOTE_FAILURES,
+    decodeTaxQuote,
+    quoteTransfer,
+};
@@ -0,0 +1,146 @@
+// Off-chain mirror of CryptoSnackVesting curves (`_getVestedAmount` / `_getReleasableAmount`).
+// All amounts are `bigint` and rounded exactly as the contract does (integer division).
+
+const UNLOCK_PRECISION = 10000n;
+const DAY = 24n * 60n * 60n;
+
+/**
+ * Normalizes a `VestingSchedule` struct (as returned by `getVestingSchedule`, or a plain object) to bigints.
+ */
+function toSchedule(schedule) {
+    return {
+        beneficiary: schedule.beneficiary,
+        totalAmount: BigInt(schedule.totalAmount),
+        startTime: BigInt(schedule.startTime),
+        cliff: BigInt(schedule.cliff),
+        duration: BigInt(schedule.duration),
+        slicePeriod: BigInt(schedule.slicePeriod ?? 0),
+        initialUnlock: BigInt(schedule.initialUnlock ?? 0),
+        releasedAmount: BigInt(schedule.releasedAmount ?? 0),
+        revocable: Boolean(schedule.revocable),
+        revoked: Boolean(schedule.revoked),
+    };
+}
+
+function curveAmount(schedule, timestamp) {
+    if (timestamp < schedule.startTime) {
+        return 0n;
+    }
+
+    const initialAmount = (schedule.totalAmount * schedule.initialUnlock) / UNLOCK_PRECISION;
+    if (timestamp < schedule.cliff) {
+        return initialAmount;
+    }
+
+    if (timestamp >= schedule.startTime + schedule.duration) {
+        return schedule.totalAmount;
+    }
+
+    let elapsed = timestamp - schedule.startTime;
+    if (schedule.slicePeriod > 0n) {
+        elapsed = (elapsed / schedule.slicePeriod) * schedule.slicePeriod;
+    }
+
+    return initialAmount + ((schedule.totalAmount - initialAmount) * elapsed) / schedule.duration;
+}
+
+function ceilDiv(a, b) {
+    return (a + b - 1n) / b;
+}
+
+/**
+ * Amount vested by `timestamp`, including released tokens. Same as `getVestedAmount` of the contract.
+ */
+function getVestedAmount(schedule, timestamp) {
+    const s = toSchedule(schedule);
+    if (s.revoked) {
+        return s.releasedAmount; // vesting stopped at revocation
+    }
+    return curveAmount(s, BigInt(timestamp));
+}
+
+/**
+ * Amount the beneficiary could release at `timestamp`. Same as `getReleasableAmount` of the contract.
+ */
+function getReleasableAmount(schedule, timestamp) {
+    const s = toSchedule(schedule);
+    if (s.revoked) {
+        return 0n;
+    }
+    return curveAmount(s, BigInt(timestamp)) - s.releasedAmount;
+}
+
+/**
+ * Vested, released, releasable and still locked amounts at `timestamp`.
+ */
+function getVestingStatus(schedule, timestamp) {
+    const s = toSchedule(schedule);
+    const vested = getVestedAmount(s, timestamp);
+    return {
+        vested,
+        released: s.releasedAmount,
+        releasable: getReleasableAmount(s, timestamp),
+        locked: s.revoked ? 0n : s.totalAmount - vested,
+    };
+}
+
+/**
+ * Next timestamp after `timestamp` at which the vested amount grows, `null` if fully vested or revoked.
+ * Accounts for the rounding of the contract, a linear schedule of few tokens doesn't grow every second.
+ */
+function getNextUnlock(schedule, timestamp) {
+    const s = toSchedule(schedule);
+    const t = BigInt(timestamp);
+    const end = s.startTime + s.duration;
+    const vested = curveAmount(s, t);
+
+    if (s.revoked || t >= end || vested === s.totalAmount) return null;
+    if (t < s.startTime && vested < curveAmount(s, s.startTime)) return s.startTime;
+    if (t < s.cliff && vested < curveAmount(s, s.cliff)) return s.cliff;
+
+    // first elapsed time (a slice boundary for sliced schedules) at which the curve passes `vested`
+    const initialAmount = (s.totalAmount * s.initialUnlock) / UNLOCK_PRECISION;
+    let elapsed = ceilDiv((vested - initialAmount + 1n) * s.duration, s.totalAmount - initialAmount);
+    if (s.slicePeriod > 0n) {
+        elapsed = ceilDiv(elapsed, s.slicePeriod) * s.slicePeriod;
+    }
+    const next = s.startTime + elapsed;
+    return next < end ? next : end;
+}
+
+/**
+ * Full unlock calendar of a schedule: `{timestamp, vested, unlocked}` for every point where the vested amount grows.
+ * Linear schedules are sampled every `interval` seconds (1 day by default) between the cliff and the end.
+ */
+function getUnlockTimeline(schedule, {interval = DAY} = {}) {
+    const s = toSchedule({...toSchedule(schedule), revoked: false});
+    const end = s.startTime + s.duration;
+    const step = s.slicePeriod > 0n ? s.slicePeriod : BigInt(interval);
+
+    const timestamps = [s.startTime, s.cliff];
+    for (let t = s.startTime + step; t < end; t += step) {
+        if (t > s.cliff) timestamps.push(t);
+    }
+    timestamps.push(end);
+
+    const timeline = [];
+    let previous = 0n;
+    for (const timestamp of timestamps) {
+        const vested = curveAmount(s, timestamp);
+        if (vested > previous) {
+            timeline.push({timestamp, vested, unlocked: vested - previous});
+            previous = vested;
+        }
+    }
+    return timeline;
+}
+
+module.exports = {
+    UNLOCK_PRECISION,
+    toSchedule,
+    getVestedAmount,
+    getReleasableAmount,
+    getVestingStatus,
+    getNextUnlock,
+    getUnlockTimeline,
+};
@@ -0,0 +1,292 @@
+const {task, types} = require("hardhat/config");
+const {outputRows, parseBool, requireRole, simulateAndSend} = require("./utils");
+const {getToken, readAddresses, chunk, simulateOperation} = require("./snack");
+
+// Mirrors CryptoSnackToken constants
+const MAX_TAX = 2500; // basis points
+const MAX_BATCH_SIZE = 200;
+
+const ERC20_ABI = [
+    "function balanceOf(address) view returns (uint256)",
+    "function symbol() view returns (string)",
+    "function decimals() view returns (uint8)",
+];
+
+/**
+ * Getter result as plain JSON values, tuples keyed by their component names.
+ */
+function formatOutput(type, value) {
+    if (type.baseType === "tuple") {
+        return Object.fromEntries(type.components.map((component, i) => [component.name || i, formatOutput(component, value[i])]));
+    }
+    if (type.baseType === "array") return [...value].map((item) => formatOutput(type.arrayChildren, item));
+    return typeof value === "bigint" ? value.toString() : value;
+}
+
+/**
+ * BNB (wei) the swap router quotes for one token (10^18 units), `null` if it can't quote.
+ */
+async function getSwapMarketPrice(hre, token) {
+    const router = await hre.ethers.getContractAt("IUniswapV2Router02", await token.getSwapRouter());
+    try {
+        const [, amountOut] = await router.getAmountsOut(10n ** 18n, [await token.getAddress(), await router.WETH()]);
+        return amountOut;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Call of a timelocked setter, queued in the timelock once trading is open (see snack:timelock-execute).
+ * The setter is simulated too, the queue doesn't check its arguments.
+ */
+async function timelockedCall(token, functionName, args) {
+    if (!await token.isTradingOpen()) return {contract: token, functionName, args};
+
+    const data = token.interface.encodeFunctionData(functionName, args);
+    await simulateOperation(token, data);
+    const call = args.map((arg) => Array.isArray(arg) ? `[${arg.length}]` : arg).join(", ");
+    return {contract: token, functionName: "queueOperation", args: [data], description: `queueOperation(${functionName}(${call}))`};
+}
+
+/**
+ * Prints current vs new values, checks the signer's role, then simulates and sends the calls.
+ */
+async function applyChanges(hre, token, {changes, calls, role, dryRun, yes}) {
+    if (changes.length > 0) console.table(changes);
+    if (calls.some((call) => call.functionName === "queueOperation")) {
+        console.log("Trading is open, timelocked changes are queued and can be executed after the delay");
+    }
+
+    const [signer] = await hre.ethers.getSigners();
+    await requireRole(token, role, signer.address);
+    const transactions = await simulateAndSend(calls, {dryRun, yes});
+    return {changes, transactions};
+}
+
+task("snack:status", "Prints every getter of the token")
+    .addOptionalParam("token", "Token address (defaults to the Ignition deployment)")
+    .addOptionalParam("format", "Output format: table, csv or json", "table")
+    .addOptionalParam("out", "Output file for csv/json (defaults to stdout)")
+    .setAction(async (args, hre) => {
+        const token = await getToken(hre, args.token);
+        const getters = token.interface.fragments
+            .filter((fragment) => fragment.type === "function" && fragment.constant && fragment.inputs.length === 0)
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        const status = {};
+        for (const getter of getters) {
+            const result = await token[getter.name].staticCallResult();
+            status[getter.name] = getter.outputs.length === 1
+                ? formatOutput(getter.outputs[0], result[0])
+                : Object.fromEntries(getter.outputs.map((output, i) => [output.name || i, formatOutput(output, result[i])]));
+        }
+
+        // swaps only check the minimum price, which has to follow the market (a sandwich takes the difference)
+        const {enabled, maxSlippage, minPrice} = status.getSwapSettings;
+        if (enabled) {
+            const marketPrice = await getSwapMarketPrice(hre, token);
+            status.swapMarketPrice = marketPrice === null ? "" : marketPrice.toString();
+            if (marketPrice === null) {
+                console.warn("WARNING: the swap router can't quote the token, check getSwapRouter");
+            } else if (BigInt(minPrice) > marketPrice) {
+                console.warn(`WARNING: swap minPrice ${minPrice} is above the market price ${marketPrice}, swaps fail until it is lowered`);
+            } else if (BigInt(minPrice) < (marketPrice * (10000n - BigInt(maxSlippage))) / 10000n) {
+                console.warn(
+                    `WARNING: swap minPrice ${minPrice} is more than maxSlippage below the market price ${marketPrice}, ` +
+                    "raise it to limit what a sandwiched swap can lose"
+                );
+            }
+        }
+
+        outputRows(Object.entries(status).map(([getter, value]) => ({
+            getter,
+            value: typeof value === "object" ? JSON.stringify(value) : String(value),
+        })), args.format, args.out);
+        return status;
+    });
+
+task("snack:set-tax", "Changes the buying/selling tax rates or enables/disables taxes")
+    .addOptionalParam("buy", `Buying tax in basis points (0-${MAX_TAX})`, undefined, types.int)
+    .addOptionalParam("sell", `Selling tax in basis points (0-${MAX_TAX})`, undefined, types.int)
+    .addOptionalParam("enabled", "Enable (true) or disable (false) taxes")
+    .addOptionalParam("token", "Token address (defaults to the Ignition deployment)")
+    .addFlag("dryRun", "Only print and simulate the changes")
+    .addFlag("yes", "Don't ask for confirmation")
+    .setAction(async (args, hre) => {
+        if (args.buy === undefined && args.sell === undefined && args.enabled === undefined) {
+            throw new Error("Nothing to set, pass --buy, --sell and/or --enabled");
+        }
+        for (const [name, value] of [["Buying", args.buy], ["Selling", args.sell]]) {
+            if (value !== undefined && (value < 0 || value > MAX_TAX)) {
+                throw new Error(`${name} tax must be between 0 and ${MAX_TAX} basis points`);
+            }
+        }
+
+        const token = await getToken(hre, args.token);
+        const changes = [];
+        const calls = [];
+        const setters = [
+            ["buying tax (bps)", "getBuyingTax", "setBuyingTax", args.buy],
+            ["selling tax (bps)", "getSellingTax", "setSellingTax", args.sell],
+            ["taxes enabled", "isTaxEnabled", "setTaxEnabled", args.enabled === undefined ? undefined : parseBool(args.enabled)],
+        ];
+        for (const [setting, getter, setter, value] of setters) {
+            if (value === undefined) continue;
+            const current = await token[getter]();
+            if (current === (typeof current === "bigint" ? BigInt(value) : value)) continue;
+
+            changes.push({setting, current: String(current), new: String(value)});
+            calls.push(await timelockedCall(token, setter, [value]));
+        }
+        return applyChanges(hre, token, {changes, calls, role: "TAX_MANAGER_ROLE", ...args});
+    });
+
+task("snack:set-dex", "Adds (or removes) DEX addresses, transfers from/to them are taxed as buys/sells")
+    .addOptionalVariadicPositionalParam("addresses", "DEX addresses (routers, pairs)")
+    .addOptionalParam("file", "CSV/JSON file with an `address` column")
+    .addOptionalParam("token", "Token address (defaults to the Ignition deployment)")
+    .addFlag("remove", "Remove the addresses from the DEX list instead")
+    .addFlag("dryRun", "Only print and simulate the changes")
+    .addFlag("yes", "Don't ask for confirmation")
+    .setAction(async (args, hre) => {
+        const addresses = readAddresses(hre, args.addresses, args.file);
+        if (addresses.includes(hre.ethers.ZeroAddress)) throw new Error("The zero address can't be a DEX");
+
+        const token = await getToken(hre, args.token);
+        const status = !args.remove;
+        const changes = [];
+        for (const address of addresses) {
+            const current = await token.isDex(address);
+            if (current !== status) changes.push({address, current, new: status});
+        }
+
+        const calls = [];
+        for (const batch of chunk(changes.map((change) => change.address), MAX_BATCH_SIZE)) {
+            calls.push(batch.length === 1
+                ? await timelockedCall(token, "setDex", [batch[0], status])
+                : await timelockedCall(token, "setDexBatch", [batch, status]));
+        }
+        return applyChanges(hre, token, {changes, calls, role: "TAX_MANAGER_ROLE", ...args});
+    });
+
+task("snack:blacklist", "Blacklists (or removes from the blacklist) a list of accounts")
+    .addOptionalVariadicPositionalParam("addresses", "Accounts to blacklist")
+    .addOptionalParam("file", "CSV/JSON file with an `address` column")
+    .addOptionalParam("token", "Token address (defaults to the Ignition deployment)")
+    .addFlag("remove", "Remove the accounts from the blacklist instead")
+    .addFlag("dryRun", "Only print and simulate the changes")
+    .addFlag("yes", "Don't ask for confirmation")
+    .setAction(async (args, hre) => {
+        const addresses = readAddresses(hre, args.addresses, args.file);
+        const token = await getToken(hre, args.token);
+        const status = !args.remove;
+
+        const errors = [];
+        const changes = [];
+        for (const address of addresses) {
+            const current = await token.isBlacklisted(address);
+            if (current === status) continue;
+            if (status && address === hre.ethers.ZeroAddress) errors.push("the zero address can't be blacklisted");
+            if (status && await token.isWhitelisted(address)) errors.push(`${address} is whitelisted, remove it first`);
+            if (status && await token.isFrozen(address)) errors.push(`${address} is frozen`);
+            changes.push({address, current, new: status});
+        }
+        if (errors.length > 0) {
+            errors.forEach((error) => console.error(`  ${error}`));
+            throw new Error(`${errors.length} error(s), nothing was sent`);
+        }
+
+        const calls = chunk(changes.map((change) => change.address), MAX_BATCH_SIZE).map((batch) => (
+            batch.length === 1
+                ? {contract: token, functionName: "setBlacklist", args: [batch[0], status]}
+                : {contract: token, functionName: "setBlacklistBatch", args: [batch, status]}
+        ));
+        return applyChanges(hre, token, {changes, calls, role: "COMPLIANCE_ROLE", ...args});
+    });
+
+task("snack:recover", "Moves tokens out of a frozen account (the account is unfrozen)")
+    .addParam("from", "Frozen account")
+    .addParam("to", "Recipient")
+    .addOptionalParam("amount", "Amount in tokens (defaults to the whole balance)")
+    .addOptionalParam("token", "Token address (defaults to the Ignition deployment)")
+    .addFlag("dryRun", "Only print and simulate the changes")
+    .addFlag("yes", "Don't ask for confirmation")
+    .setAction(async (args, hre) => {
+        const {ethers} = hre;
+        const from = ethers.getAddress(args.from);
+        const to = ethers.getAddress(args.to);
+        const token = await getToken(hre, args.token);
+        const decimals = await token.decimals();
+
+        if (!await token.isFrozen(from)) throw new Error(`${from} is not frozen, freeze it first (snack:freeze)`);
+        if (to === from || to === ethers.ZeroAddress) throw new Error(`Invalid recipient ${to}`);
+        if (await token.isBlacklisted(to) || await token.isFrozen(to)) {
+            throw new Error(`${to} is blacklisted or frozen and can't receive tokens`);
+        }
+
+        const balance = await token.balanceOf(from);
+        const amount = args.amount === undefined ? balance : ethers.parseUnits(String(args.amount), decimals);
+        if (amount <= 0n || amount > balance) {
+            throw new Error(`Amount must be positive and at most the balance of ${from} (${ethers.formatUnits(balance, decimals)})`);
+        }
+
+        const toBalance = await token.balanceOf(to);
+        const changes = [
+            {setting: `balance of ${from}`, current: ethers.formatUnits(balance, decimals), new: ethers.formatUnits(balance - amount, decimals)},
+            {setting: `balance of ${to}`, current: ethers.formatUnits(toBalance, decimals), new: ethers.formatUnits(toBalance + amount, decimals)},
+            {setting: `${from} frozen`, current: "true", new: "false"},
+        ];
+        const calls = [{contract: token, functionName: "recoverStolenTokens", args: [from, to, amount]}];
+        return applyChanges(hre, token, {changes, calls, role: "COMPLIANCE_ROLE", ...args});
+    });
+
+task("snack:pause", "Pauses (or unpauses) all token transfers")
+    .addOptionalParam("token", "Token address (defaults to the Ignition deployment)")
+    .addFlag("unpause", "Unpause transfers instead")
+    .addFlag("dryRun", "Only print and simulate the changes")
+    .addFlag("yes", "Don't ask for confirmation")
+    .setAction(async (args, hre) => {
+        const token = await getToken(hre, args.token);
+        const paused = await token.paused();
+        const changes = paused === !args.unpause ? [] : [{setting: "paused", current: paused, new: !args.unpause}];
+        const calls = changes.length === 0 ? [] : [{contract: token, functionName: args.unpause ? "unpause" : "pause", args: []}];
+        return applyChanges(hre, token, {changes, calls, role: "PAUSER_ROLE", ...args});
+    });
+
+task("snack:reclaim", "Sends BEP-20 tokens or BNB held by the token contract to the signer")
+    .addOptionalParam("erc20", "Token to reclaim (BNB if not set), the token's own address reclaims the accumulated tax")
+    .addOptionalParam("token", "Token address (defaults to the Ignition deployment)")
+    .addFlag("dryRun", "Only print and simulate the changes")
+    .addFlag("yes", "Don't ask for confirmation")
+    .setAction(async (args, hre) => {
+        const {ethers} = hre;
+        const token = await getToken(hre, args.token);
+        const tokenAddress = await token.getAddress();
+        const [signer] = await ethers.getSigners();
+
+        let symbol = "BNB";
+        let decimals = 18;
+        let balanceOf = (address) => ethers.provider.getBalance(address);
+        if (args.erc20) {
+            const erc20 = new ethers.Contract(ethers.getAddress(args.erc20), ERC20_ABI, ethers.provider);
+            [symbol, decimals] = [await erc20.symbol(), await erc20.decimals()];
+            balanceOf = (address) => erc20.balanceOf(address);
+        }
+
+        const held = await balanceOf(tokenAddress);
+        if (held === 0n) throw new Error(`The token contract holds no ${symbol}`);
+        const signerBalance = await balanceOf(signer.address);
+        const changes = [
+            {setting: `${symbol} held by the token`, current: ethers.formatUnits(held, decimals), new: "0.0"},
+            {
+                setting: `${symbol} of ${signer.address}`,
+                current: ethers.formatUnits(signerBalance, decimals),
+                new: ethers.formatUnits(signerBalance + held, decimals),
+            },
+        ];
+        const calls = [args.erc20
+            ? {contract: token, functionName: "reclaimToken", args: [ethers.getAddress(args.erc20)]}
+            : {contract: token, functionName: "reclaimBNB", args: []}];
+        return applyChanges(hre, token, {changes, calls, role: "DEFAULT_ADMIN_ROLE", ...args});
+    });
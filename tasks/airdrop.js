@@ -0,0 +1,20 @@
+const fs = require("fs");
+const {task, types} = require("hardhat/config");
+const {readRows, jsonReplacer} = require("./utils");
+const {buildAirdropTree, getAirdropProofs} = require("../lib/airdrop");
+
+task("airdrop:build", "Builds the Merkle tree of a CryptoSnackAirdrop campaign from a CSV/JSON allocation file")
+    .addParam("file", "Allocation file with address, amount (tokens)")
+    .addOptionalParam("out", "Proofs file published to claimers (defaults to <file>.proofs.json)")
+    .addOptionalParam("decimals", "Token decimals", 18, types.int)
+    .setAction(async (args, hre) => {
+        const tree = buildAirdropTree(readRows(args.file), args.decimals);
+        const proofs = getAirdropProofs(tree);
+        const out = args.out || `${args.file}.proofs.json`;
+        fs.writeFileSync(out, JSON.stringify(proofs, jsonReplacer, 2) + "\n");
+
+        console.log(`Recipients: ${proofs.recipients}, total: ${hre.ethers.formatUnits(proofs.total, args.decimals)}`);
+        console.log(`Merkle root: ${proofs.root}`);
+        console.log(`Proofs saved to ${out}`);
+        return proofs;
+    });
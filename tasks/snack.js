@@ -0,0 +1,795 @@
+const {task, types} = require("hardhat/config");
+const {
+    readRows,
+    outputRows,
+    readState,
+    writeState,
+    parseBool,
+    resolveAddress,
+    requireRole,
+    queryEvents,
+    confirmAction,
+    describeRevert,
+    simulateAndSend,
+} = require("./utils");
+const {toSchedule, getReleasableAmount} = require("../lib/vesting");
+
+// Mirrors CryptoSnackToken constants
+const MAX_BATCH_SIZE = 200;
+const MAX_FREEZE_DURATION = 30 * 24 * 60 * 60;
+const TIMELOCKED_FUNCTIONS = [
+    "setSellingTax", "setBuyingTax", "setTaxWallet", "setDex", "setDexBatch", "setBurnEnabled", "setDexTaxes",
+    "setDexToDexTax", "setTaxEnabled", "setTaxExemption", "setWhitelist", "setWhitelistBatch", "setLiquidityWallet",
+    "setTreasuryWallet", "setBuyTaxSplit", "setSellTaxSplit", "setSwapRouter",
+];
+
+const TOKEN_FUTURE_IDS = [
+    "CryptoSnackTokenModule#CryptoSnackToken",
+    "CryptoSnackTokenProxyModule#CryptoSnackToken",
+];
+
+async function getToken(hre, address) {
+    const tokenAddress = await resolveAddress(hre, address, TOKEN_FUTURE_IDS);
+    return hre.ethers.getContractAt("CryptoSnackToken", tokenAddress);
+}
+
+/**
+ * Addresses from the command line and/or the `address` column of a CSV/JSON file, deduplicated.
+ */
+function readAddresses(hre, addresses, file) {
+    const list = [...(addresses || [])];
+    if (file) {
+        list.push(...readRows(file).map((row) => row.address));
+    }
+    if (list.length === 0) throw new Error("No addresses given");
+    return [...new Set(list.map((address) => hre.ethers.getAddress(String(address).trim())))];
+}
+
+function chunk(list, size) {
+    const chunks = [];
+    for (let i = 0; i < list.length; i += size) {
+        chunks.push(list.slice(i, i + size));
+    }
+    return chunks;
+}
+
+function formatTimestamp(timestamp) {
+    return timestamp === 0n ? "-" : new Date(Number(timestamp) * 1000).toISOString();
+}
+
+task("snack:freeze", "Freezes (or unfreezes) a list of accounts and prints their freeze time")
+    .addOptionalVariadicPositionalParam("addresses", "Accounts to freeze")
+    .addOptionalParam("file", "CSV/JSON file with an `address` column")
+    .addOptionalParam("token", "Token address (defaults to the Ignition deployment)")
+    .addOptionalParam("duration", "Freeze duration in seconds", 24 * 60 * 60, types.int)
+    .addOptionalParam("reason", "Reason code emitted in AccountFrozen (0-255)", 0, types.int)
+    .addFlag("extend", "Extend the freeze of already frozen accounts by the duration")
+    .addFlag("unfreeze", "Unfreeze the accounts instead")
+    .addFlag("dryRun", "Only print and simulate the changes")
+    .addFlag("yes", "Don't ask for confirmation")
+    .setAction(async (args, hre) => {
+        if (args.duration < 1 || args.duration > MAX_FREEZE_DURATION) {
+            throw new Error(`Duration must be between 1 and ${MAX_FREEZE_DURATION} seconds`);
+        }
+        if (args.reason < 0 || args.reason > 255) {
+            throw new Error("Reason must be between 0 and 255");
+        }
+
+        const token = await getToken(hre, args.token);
+        const [signer] = await hre.ethers.getSigners();
+        await requireRole(token, "COMPLIANCE_ROLE", signer.address);
+        const accounts = readAddresses(hre, args.addresses, args.file);
+
+        const frozen = [];
+        const notFrozen = [];
+        const freezeTimes = new Map();
+        for (const account of accounts) {
+            freezeTimes.set(account, await token.getFreezeTime(account));
+            (await token.isFrozen(account) ? frozen : notFrozen).push(account);
+        }
+
+        const {timestamp} = await hre.ethers.provider.getBlock("latest");
+        const calls = [];
+        const changes = [];
+        const change = (account, freezeTime) => changes.push({
+            address: account,
+            current: formatTimestamp(freezeTimes.get(account)),
+            new: formatTimestamp(freezeTime),
+        });
+
+        if (args.unfreeze) {
+            frozen.forEach((account) => change(account, 0n));
+            for (const batch of chunk(frozen, MAX_BATCH_SIZE)) {
+                calls.push({contract: token, functionName: "unfreezeAccounts", args: [batch]});
+            }
+        } else {
+            // new freezes start at the block of the transaction, the time shown is approximate
+            notFrozen.forEach((account) => change(account, BigInt(timestamp + args.duration)));
+            for (const batch of chunk(notFrozen, MAX_BATCH_SIZE)) {
+                calls.push({contract: token, functionName: "freezeAccounts", args: [batch, args.duration, args.reason]});
+            }
+            if (args.extend) {
+                for (const account of frozen) {
+                    change(account, freezeTimes.get(account) + BigInt(args.duration));
+                    calls.push({contract: token, functionName: "extendFreeze", args: [account, args.duration, args.reason]});
+                }
+            } else if (frozen.length > 0) {
+                console.log(`${frozen.length} account(s) already frozen, pass --extend to extend their freeze`);
+            }
+        }
+
+        if (changes.length > 0) console.table(changes);
+        await simulateAndSend(calls, args);
+
+        const rows = [];
+        for (const account of accounts) {
+            const freezeTime = await token.getFreezeTime(account);
+            rows.push({
+                address: account,
+                frozen: await token.isFrozen(account),
+                freezeTime,
+                frozenUntil: formatTimestamp(freezeTime),
+            });
+        }
+        console.table(rows);
+        return rows;
+    });
+
+function parseDistribution(hre, rows, decimals) {
+    const errors = [];
+    const seen = new Set();
+    const distribution = [];
+    rows.forEach((row, index) => {
+        try {
+            const address = hre.ethers.getAddress(String(row.address).trim());
+            const amount = hre.ethers.parseUnits(String(row.amount).trim(), decimals);
+            if (amount <= 0n) throw new Error("amount must be positive");
+            if (seen.has(address)) throw new Error(`duplicate address ${address}, merge the rows`);
+            seen.add(address);
+            distribution.push({index, address, amount});
+        } catch (e) {
+            errors.push(`row ${index + 1}: ${e.shortMessage || e.message}`);
+        }
+    });
+    return {distribution, errors};
+}
+
+/**
+ * Settles rows sent by an interrupted run: mined transactions are kept, failed and dropped ones are sent again.
+ */
+async function settleSentRows(hre, state) {
+    const hashes = new Set(Object.values(state.rows).filter((row) => row.status === "sent").map((row) => row.txHash));
+    for (const hash of hashes) {
+        let receipt = await hre.ethers.provider.getTransactionReceipt(hash);
+        if (!receipt && await hre.ethers.provider.getTransaction(hash)) {
+            console.log(`Waiting for ${hash} from the previous run`);
+            receipt = await hre.ethers.provider.waitForTransaction(hash);
+        }
+        const status = !receipt ? "dropped" : receipt.status === 1 ? "done" : "failed";
+        for (const row of Object.values(state.rows)) {
+            if (row.txHash === hash) row.status = status;
+        }
+    }
+}
+
+/**
+ * Recipients of mined batches without a matching `Transfer` from the sender in the batch transaction
+ * (e.g. blacklisted after the pre-check, `multiTransfer` skips them without reverting).
+ */
+async function findUndelivered(hre, token, sender, rows) {
+    const transfers = new Map(); // txHash => ["recipient:value", ...] not matched to a row yet
+    const undelivered = [];
+    for (const row of rows) {
+        if (!transfers.has(row.txHash)) {
+            const receipt = await hre.ethers.provider.getTransactionReceipt(row.txHash);
+            transfers.set(row.txHash, receipt.logs
+                .map((log) => token.interface.parseLog(log))
+                .filter((event) => event?.name === "Transfer" && event.args.from === sender)
+                .map((event) => `${event.args.to}:${event.args.value}`));
+        }
+        const logs = transfers.get(row.txHash);
+        const match = logs.indexOf(`${row.address}:${row.amount}`);
+        if (match === -1) {
+            undelivered.push(row);
+        } else {
+            logs.splice(match, 1);
+        }
+    }
+    return undelivered;
+}
+
+task("snack:distribute", "Sends tokens to the recipients of a CSV/JSON file in multiTransfer batches")
+    .addParam("file", "Distribution file with address, amount (tokens)")
+    .addOptionalParam("token", "Token address (defaults to the Ignition deployment)")
+    .addOptionalParam("state", "State file used to resume the distribution (defaults to <file>.state.json)")
+    .addOptionalParam("batchSize", "Recipients per multiTransfer transaction", MAX_BATCH_SIZE, types.int)
+    .addFlag("dryRun", "Check the file, simulate the batches and print the summary without sending transactions")
+    .addFlag("yes", "Don't ask for confirmation")
+    .setAction(async (args, hre) => {
+        if (args.batchSize < 1 || args.batchSize > MAX_BATCH_SIZE) {
+            throw new Error(`Batch size must be between 1 and ${MAX_BATCH_SIZE}`);
+        }
+
+        const {ethers} = hre;
+        const token = await getToken(hre, args.token);
+        const tokenAddress = await token.getAddress();
+        const decimals = await token.decimals();
+        const format = (amount) => ethers.formatUnits(amount, decimals);
+        const [signer] = await ethers.getSigners();
+        const stateFile = args.state || `${args.file}.state.json`;
+
+        const {distribution, errors} = parseDistribution(hre, readRows(args.file), decimals);
+        const state = readState(stateFile, {token: tokenAddress, sender: signer.address, rows: {}});
+        if (state.token !== tokenAddress || state.sender !== signer.address) {
+            throw new Error(`State file ${stateFile} belongs to token ${state.token} and sender ${state.sender}`);
+        }
+        await settleSentRows(hre, state);
+
+        const done = [];
+        const pending = [];
+        const skipped = [];
+        for (const row of distribution) {
+            const previous = state.rows[row.index];
+            if (previous && (previous.address !== row.address || BigInt(previous.amount) !== row.amount)) {
+                errors.push(`row ${row.index + 1}: changed since the previous run, use a new state file`);
+            } else if (previous?.status === "done") {
+                done.push({...row, txHash: previous.txHash});
+            } else if (await token.isBlacklisted(row.address)) {
+                skipped.push({...row, reason: "blacklisted"});
+            } else if (await token.isFrozen(row.address)) {
+                skipped.push({...row, reason: "frozen"}); // a frozen recipient would revert the whole batch
+            } else {
+                pending.push(row);
+            }
+        }
+
+        const required = pending.reduce((sum, row) => sum + row.amount, 0n);
+        const balance = await token.balanceOf(signer.address);
+        if (balance < required) {
+            errors.push(`insufficient sender balance: ${format(balance)} available, ${format(required)} required`);
+        }
+        if (await token.paused()) errors.push("token is paused");
+        await requireRole(token, "DEFAULT_ADMIN_ROLE", signer.address);
+
+        // the batches only share the sender balance checked above, each is simulated against the current state
+        const batches = chunk(pending, args.batchSize);
+        if (errors.length === 0) {
+            for (const [i, batch] of batches.entries()) {
+                try {
+                    await token.multiTransfer.staticCall(batch.map((row) => row.address), batch.map((row) => row.amount));
+                } catch (e) {
+                    const rows = `rows ${batch[0].index + 1}-${batch.at(-1).index + 1}`;
+                    errors.push(`batch ${i + 1} (${rows}) would revert: ${describeRevert(token, e)}`);
+                }
+            }
+        }
+
+        console.log(`Token: ${tokenAddress}, sender: ${signer.address}`);
+        console.log(
+            `Rows: ${distribution.length}, to send: ${pending.length} in ${batches.length} ` +
+            `transaction(s), already sent: ${done.length}, skipped: ${skipped.length}`
+        );
+        console.log(`Tokens to send: ${format(required)}, sender balance: ${format(balance)}`);
+        if (skipped.length > 0) {
+            console.table(skipped.map((row) => ({address: row.address, amount: format(row.amount), reason: row.reason})));
+        }
+
+        if (errors.length > 0) {
+            errors.forEach((error) => console.error(`  ${error}`));
+            throw new Error(`Distribution has ${errors.length} error(s), nothing was sent`);
+        }
+        if (args.dryRun) return {pending, done, skipped};
+        if (batches.length > 0) await confirmAction(`Send ${batches.length} transaction(s)?`, args.yes);
+        writeState(stateFile, state);
+
+        // batches are sent back to back with explicit nonces, the state is saved before waiting for them
+        let nonce = await ethers.provider.getTransactionCount(signer.address, "pending");
+        const sent = [];
+        for (const batch of batches) {
+            const tx = await token.multiTransfer(
+                batch.map((row) => row.address),
+                batch.map((row) => row.amount),
+                {nonce}
+            );
+            for (const row of batch) {
+                state.rows[row.index] = {address: row.address, amount: row.amount, txHash: tx.hash, nonce, status: "sent"};
+            }
+            writeState(stateFile, state);
+            console.log(`  ${batch.length} recipient(s), nonce ${nonce}: ${tx.hash}`);
+            sent.push({tx, batch});
+            nonce++;
+        }
+
+        const failed = [];
+        for (const {tx, batch} of sent) {
+            let receipt;
+            try {
+                receipt = await tx.wait();
+            } catch (e) {
+                if (e.code !== "CALL_EXCEPTION") throw e; // interrupted, the next run settles the sent batches
+            }
+            const status = receipt ? "done" : "failed";
+            for (const row of batch) {
+                state.rows[row.index].status = status;
+                (receipt ? done : failed).push({...row, txHash: tx.hash});
+            }
+            writeState(stateFile, state);
+            if (!receipt) console.error(`  ${tx.hash} failed, run the task again to resend its batch`);
+        }
+
+        const undelivered = [
+            ...skipped,
+            ...failed.map((row) => ({...row, reason: "transaction failed"})),
+            ...(await findUndelivered(hre, token, signer.address, done)).map((row) => ({...row, reason: "no transfer"})),
+        ];
+        console.log(`Delivered to ${distribution.length - undelivered.length} of ${distribution.length} recipient(s)`);
+        if (undelivered.length > 0) {
+            console.table(undelivered.map((row) => ({address: row.address, amount: format(row.amount), reason: row.reason})));
+        }
+        console.log(`State saved to ${stateFile}`);
+        return {pending, done, skipped, undelivered};
+    });
+
+/**
+ * Operations still queued in the timelock, found from `OperationQueued` events and checked against the contract.
+ */
+async function getPendingOperations(hre, token, {fromBlock, toBlock, chunkSize}) {
+    const latest = await hre.ethers.provider.getBlock("latest");
+    const events = await queryEvents(token, "OperationQueued", fromBlock, toBlock ?? latest.number, chunkSize);
+
+    const queued = new Map(); // the same call can be queued again after being executed or cancelled
+    for (const event of events) {
+        queued.set(event.args.id, event.args.data);
+    }
+
+    const operations = [];
+    for (const [id, data] of queued) {
+        const readyAt = await token.getOperationReadyAt(id);
+        if (readyAt === 0n) continue; // executed or cancelled
+
+        const call = token.interface.parseTransaction({data});
+        operations.push({
+            id,
+            call: `${call.name}(${call.args.map(String).join(", ")})`,
+            data,
+            readyAt,
+            executableAt: formatTimestamp(readyAt),
+            ready: readyAt <= BigInt(latest.timestamp),
+        });
+    }
+    return operations;
+}
+
+/**
+ * Simulates a timelocked call as executeOperation makes it (the token calling itself). queueOperation only checks
+ * the setter, invalid arguments would be queued and revert once executed.
+ */
+async function simulateOperation(token, data) {
+    const tokenAddress = await token.getAddress();
+    try {
+        await token.runner.provider.call({from: tokenAddress, to: tokenAddress, data});
+    } catch (e) {
+        const {name} = token.interface.parseTransaction({data});
+        throw new Error(`${name} would revert when executed: ${describeRevert(token, e)}, nothing was queued`);
+    }
+}
+
+task("snack:timelock-queue", `Queues a timelocked change (${TIMELOCKED_FUNCTIONS.join(", ")})`)
+    .addPositionalParam("functionName", "Setter to call, e.g. setSellingTax")
+    .addOptionalVariadicPositionalParam("params", "Setter arguments, e.g. 700 (arrays and tuples comma-separated)", [])
+    .addOptionalParam("token", "Token address (defaults to the Ignition deployment)")
+    .setAction(async (args, hre) => {
+        if (!TIMELOCKED_FUNCTIONS.includes(args.functionName)) {
+            throw new Error(`${args.functionName} is not timelocked, expected one of ${TIMELOCKED_FUNCTIONS.join(", ")}`);
+        }
+
+        const token = await getToken(hre, args.token);
+        const fragment = token.interface.getFunction(args.functionName);
+        if (args.params.length !== fragment.inputs.length) {
+            throw new Error(`${fragment.format()} expects ${fragment.inputs.length} argument(s)`);
+        }
+        const values = fragment.inputs.map((input, i) => {
+            if (input.type === "bool") return parseBool(args.params[i]);
+            if (input.baseType === "array" || input.baseType === "tuple") {
+                return String(args.params[i]).split(",").map((value) => value.trim());
+            }
+            return args.params[i];
+        });
+        const data = token.interface.encodeFunctionData(fragment, values);
+        const id = hre.ethers.keccak256(data);
+        await simulateOperation(token, data);
+
+        const tx = await token.queueOperation(data);
+        await tx.wait();
+        const readyAt = await token.getOperationReadyAt(id);
+        console.log(`Queued ${args.functionName}(${values.join(", ")}): ${tx.hash}`);
+        console.log(`Operation ${id} is executable from ${formatTimestamp(readyAt)}`);
+        return {id, data, readyAt};
+    });
+
+task("snack:timelock-list", "Lists the changes queued in the timelock")
+    .addOptionalParam("token", "Token address (defaults to the Ignition deployment)")
+    .addOptionalParam("fromBlock", "First block to scan (e.g. the deployment block)", 0, types.int)
+    .addOptionalParam("toBlock", "Last block to scan (defaults to the latest block)", undefined, types.int)
+    .addOptionalParam("chunkSize", "Blocks per eth_getLogs request", 5000, types.int)
+    .addOptionalParam("format", "Output format: table, csv or json", "table")
+    .addOptionalParam("out", "Output file for csv/json (defaults to stdout)")
+    .setAction(async (args, hre) => {
+        const token = await getToken(hre, args.token);
+        const operations = await getPendingOperations(hre, token, args);
+
+        outputRows(operations.map(({data, ...operation}) => operation), args.format, args.out);
+        return operations;
+    });
+
+task("snack:timelock-execute", "Executes queued changes whose delay has passed")
+    .addOptionalPositionalParam("id", "Operation ID (executes every ready operation if not set)")
+    .addOptionalParam("token", "Token address (defaults to the Ignition deployment)")
+    .addOptionalParam("fromBlock", "First block to scan for queued operations", 0, types.int)
+    .addOptionalParam("chunkSize", "Blocks per eth_getLogs request", 5000, types.int)
+    .setAction(async (args, hre) => {
+        const token = await getToken(hre, args.token);
+        const pending = await getPendingOperations(hre, token, args);
+
+        let operations = pending.filter((operation) => operation.ready);
+        if (args.id) {
+            const operation = pending.find((op) => op.id === args.id);
+            if (!operation) throw new Error(`Operation ${args.id} is not queued`);
+            if (!operation.ready) throw new Error(`Operation ${args.id} is executable from ${operation.executableAt}`);
+            operations = [operation];
+        }
+        if (operations.length === 0) console.log("Nothing to execute");
+
+        for (const operation of operations) {
+            const tx = await token.executeOperation(operation.data);
+            await tx.wait();
+            console.log(`Executed ${operation.call}: ${tx.hash}`);
+        }
+        return operations.map((operation) => operation.id);
+    });
+
+/**
+ * Vesting of every beneficiary at the end of `block`, rebuilt from the vesting events up to the block:
+ * `vested` (vested but not released yet, at the block's timestamp) and `unreleased` (whole allocation left,
+ * vested or not, as checkpointed by getUnreleasedAmountAt).
+ */
+async function getVestingAt(hre, vesting, block, {fromBlock, chunkSize}) {
+    const {timestamp} = await hre.ethers.provider.getBlock(block);
+    const [created, released, revoked, transferred] = await Promise.all(
+        ["VestingScheduleCreated", "TokensReleased", "VestingRevoked", "VestingTransferred"]
+            .map((eventName) => queryEvents(vesting, eventName, fromBlock, block, chunkSize))
+    );
+
+    const states = new Map();
+    for (const event of created) {
+        states.set(event.args.scheduleId, {beneficiary: event.args.beneficiary, releasedAmount: 0n, revoked: false});
+    }
+    for (const event of released) {
+        const state = states.get(event.args.scheduleId);
+        if (state) state.releasedAmount += event.args.amount;
+    }
+    for (const event of revoked) {
+        const state = states.get(event.args.scheduleId);
+        if (state) state.revoked = true;
+    }
+    for (const event of transferred) {
+        const state = states.get(event.args.scheduleId);
+        if (state) state.beneficiary = event.args.newBeneficiary;
+    }
+
+    const beneficiaries = new Map();
+    for (const [scheduleId, state] of states) {
+        // amounts and curve of a schedule don't change after its creation
+        const schedule = {...toSchedule(await vesting.getVestingSchedule(scheduleId)), ...state};
+        const entry = beneficiaries.get(state.beneficiary) ?? {vested: 0n, unreleased: 0n};
+        entry.vested += getReleasableAmount(schedule, timestamp);
+        if (!state.revoked) entry.unreleased += schedule.totalAmount - state.releasedAmount;
+        beneficiaries.set(state.beneficiary, entry);
+    }
+    return beneficiaries;
+}
+
+task("snack:snapshot", "Exports balances of all holders at a block, from the token balance checkpoints")
+    .addOptionalParam("block", "Snapshot block (defaults to the previous block)", undefined, types.int)
+    .addOptionalParam("token", "Token address (defaults to the Ignition deployment)")
+    .addOptionalParam("vesting", "Vesting contract address, adds vested but unreleased tokens to their beneficiaries")
+    .addOptionalParam("fromBlock", "First block to scan for holders (e.g. the deployment block)", 0, types.int)
+    .addOptionalParam("chunkSize", "Blocks per eth_getLogs request", 5000, types.int)
+    .addOptionalParam("format", "Output format: table, csv or json", "csv")
+    .addOptionalParam("out", "Output file for csv/json (defaults to stdout)")
+    .setAction(async (args, hre) => {
+        const {ethers} = hre;
+        const token = await getToken(hre, args.token);
+        const decimals = await token.decimals();
+
+        // balances of the latest block can still change, the contract only serves past blocks
+        const latest = await ethers.provider.getBlockNumber();
+        const block = args.block ?? latest - 1;
+        if (block >= latest) throw new Error(`Block ${block} is not finished yet, latest block is ${latest}`);
+
+        const holders = new Set();
+        for (const event of await queryEvents(token, "Transfer", args.fromBlock, block, args.chunkSize)) {
+            holders.add(event.args.from);
+            holders.add(event.args.to);
+        }
+        holders.delete(ethers.ZeroAddress);
+
+        let vesting;
+        let vestingAt = new Map();
+        const warnings = [];
+        if (args.vesting) {
+            vesting = await ethers.getContractAt("CryptoSnackVesting", args.vesting);
+            // tokens held by the vesting contract are counted for their beneficiaries instead, once vested
+            holders.delete(await vesting.getAddress());
+            vestingAt = await getVestingAt(hre, vesting, block, args);
+            for (const [beneficiary, {unreleased}] of vestingAt) {
+                holders.add(beneficiary);
+                if (unreleased !== await vesting.getUnreleasedAmountAt(beneficiary, block)) {
+                    warnings.push(`vesting events of ${beneficiary} don't match getUnreleasedAmountAt(), check --from-block`);
+                }
+            }
+        }
+
+        let totalBalance = 0n;
+        const snapshot = [];
+        for (const address of holders) {
+            const balance = await token.balanceOfAt(address, block);
+            const vested = vestingAt.get(address)?.vested ?? 0n;
+            totalBalance += balance;
+            if (balance + vested > 0n) snapshot.push({address, balance, vested});
+        }
+        snapshot.sort((a, b) => {
+            const diff = (b.balance + b.vested) - (a.balance + a.vested);
+            return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+        });
+
+        const rows = snapshot.map(({address, balance, vested}) => ({
+            address,
+            balance: ethers.formatUnits(balance, decimals),
+            ...(vesting && {
+                vested: ethers.formatUnits(vested, decimals),
+                total: ethers.formatUnits(balance + vested, decimals),
+            }),
+        }));
+        if (vesting) {
+            // the vesting contract's own balance is left out of the rows
+            totalBalance += await token.balanceOfAt(await vesting.getAddress(), block);
+        }
+        const totalSupply = await token.totalSupplyAt(block);
+
+        outputRows(rows, args.format, args.out);
+
+        console.error(`Holders: ${rows.length} at block ${block}, total supply: ${ethers.formatUnits(totalSupply, decimals)}`);
+        if (totalBalance !== totalSupply) {
+            warnings.push(
+                `holder balances ${ethers.formatUnits(totalBalance, decimals)} don't match the total supply, ` +
+                "check --from-block"
+            );
+        }
+        warnings.forEach((warning) => console.warn(`WARNING: ${warning}`));
+        return snapshot;
+    });
+
+// Admin lists of the token: events and getters to rebuild them (snack:lists), batch setters and roles to change
+// them (snack:apply-lists), timelocked ones through the timelock once trading is open
+const ADMIN_LISTS = {
+    blacklist: {
+        events: ["BlacklistStatusChanged"],
+        getter: "isBlacklisted",
+        batchSetter: "setBlacklistBatch",
+        role: "COMPLIANCE_ROLE",
+    },
+    whitelist: {
+        events: ["WhitelistStatusChanged"],
+        getter: "isWhitelisted",
+        batchSetter: "setWhitelistBatch",
+        role: "TAX_MANAGER_ROLE",
+        timelocked: true,
+    },
+    dex: {
+        events: ["DexStatusChanged"],
+        getter: "isDex",
+        batchSetter: "setDexBatch",
+        role: "TAX_MANAGER_ROLE",
+        timelocked: true,
+    },
+    frozen: {events: ["AccountFrozen", "AccountUnfrozen"], getter: "getFreezeTime"},
+};
+
+/**
+ * Replays the events of a list in chain order and returns the last state of every address seen:
+ * `{listed, until, reason}` (`until` and `reason` for freezes only).
+ */
+async function replayListEvents(token, list, {fromBlock, toBlock, chunkSize}) {
+    const events = [];
+    for (const eventName of ADMIN_LISTS[list].events) {
+        events.push(...await queryEvents(token, eventName, fromBlock, toBlock, chunkSize));
+    }
+    events.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    const state = new Map();
+    for (const event of events) {
+        const {account, dex, status, until, reason} = event.args.toObject();
+        if (list === "frozen") {
+            state.set(account, event.eventName === "AccountFrozen" ? {until, reason} : {until: 0n});
+        } else {
+            state.set(account ?? dex, {listed: status});
+        }
+    }
+    return state;
+}
+
+task("snack:lists", "Exports the blacklist, whitelist, DEX list and frozen accounts rebuilt from events")
+    .addOptionalParam("list", `Comma-separated lists (${Object.keys(ADMIN_LISTS).join(", ")})`, "all")
+    .addOptionalParam("token", "Token address (defaults to the Ignition deployment)")
+    .addOptionalParam("fromBlock", "First block to scan (e.g. the deployment block)", 0, types.int)
+    .addOptionalParam("chunkSize", "Blocks per eth_getLogs request", 5000, types.int)
+    .addOptionalParam("format", "Output format: table, csv or json", "table")
+    .addOptionalParam("out", "Output file for csv/json (defaults to stdout)")
+    .setAction(async (args, hre) => {
+        const lists = args.list === "all" ? Object.keys(ADMIN_LISTS) : args.list.split(",").map((list) => list.trim());
+        const unknown = lists.filter((list) => !ADMIN_LISTS[list]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown list ${unknown.join(", ")}, expected ${Object.keys(ADMIN_LISTS).join(", ")}`);
+        }
+
+        const token = await getToken(hre, args.token);
+        // the getters return the latest state, so events are scanned up to the same block
+        const latest = await hre.ethers.provider.getBlock("latest");
+        const now = BigInt(latest.timestamp);
+
+        const rows = [];
+        const warnings = [];
+        const counts = {};
+        for (const list of lists) {
+            const state = await replayListEvents(token, list, {...args, toBlock: latest.number});
+            counts[list] = 0;
+
+            for (const [address, entry] of state) {
+                const {getter} = ADMIN_LISTS[list];
+                const onChain = await token[getter](address, {blockTag: latest.number});
+                const expected = list === "frozen" ? entry.until : entry.listed;
+                const verified = onChain === expected;
+                if (!verified) warnings.push(`${list} ${address}: events don't match ${getter}() (${onChain})`);
+
+                // expired freezes are not listed
+                const listed = list === "frozen" ? onChain > now || entry.until > now : onChain || entry.listed;
+                if (!listed) continue;
+
+                counts[list]++;
+                rows.push({
+                    list,
+                    address,
+                    frozenUntil: list === "frozen" ? formatTimestamp(onChain) : "",
+                    reason: entry.reason === undefined ? "" : Number(entry.reason),
+                    verified,
+                });
+            }
+        }
+
+        outputRows(rows, args.format, args.out);
+
+        console.error(lists.map((list) => `${list}: ${counts[list]}`).join(", ") + ` at block ${latest.number}`);
+        warnings.forEach((warning) => console.warn(`WARNING: ${warning}`));
+        return {rows, warnings};
+    });
+
+/**
+ * Desired list entries from `list,address,status` rows, `list` one of the lists with a batch setter.
+ */
+function parseListRows(hre, rows) {
+    const errors = [];
+    const seen = new Set();
+    const entries = [];
+    rows.forEach((row, index) => {
+        try {
+            const list = String(row.list ?? "").trim().toLowerCase();
+            if (!ADMIN_LISTS[list]?.batchSetter) throw new Error(`unknown list ${row.list}, expected blacklist, whitelist or dex`);
+            const address = hre.ethers.getAddress(String(row.address).trim());
+            if (row.status === undefined || String(row.status).trim() === "") throw new Error("status is required");
+            const status = parseBool(row.status);
+            if (address === hre.ethers.ZeroAddress) throw new Error("zero address");
+            if (seen.has(`${list}:${address}`)) throw new Error(`duplicate ${list} address ${address}`);
+            seen.add(`${list}:${address}`);
+            entries.push({list, address, status});
+        } catch (e) {
+            errors.push(`row ${index + 1}: ${e.shortMessage || e.message}`);
+        }
+    });
+    return {entries, errors};
+}
+
+task("snack:apply-lists", "Brings the blacklist, whitelist and DEX list to the state of a CSV/JSON file")
+    .addParam("file", "CSV/JSON file with list (blacklist, whitelist or dex), address, status (true/false)")
+    .addOptionalParam("token", "Token address (defaults to the Ignition deployment)")
+    .addFlag("dryRun", "Only print and simulate the changes")
+    .addFlag("yes", "Don't ask for confirmation")
+    .setAction(async (args, hre) => {
+        const {ethers} = hre;
+        const token = await getToken(hre, args.token);
+        const {entries, errors} = parseListRows(hre, readRows(args.file));
+
+        // final state of the addresses in the file, to check the contract rules before sending anything
+        const final = {};
+        const changes = [];
+        for (const entry of entries) {
+            const current = await token[ADMIN_LISTS[entry.list].getter](entry.address);
+            final[`${entry.list}:${entry.address}`] = entry.status;
+            if (current !== entry.status) changes.push(entry);
+        }
+        const isListed = async (list, address) => final[`${list}:${address}`] ?? await token[ADMIN_LISTS[list].getter](address);
+        const timelocked = await token.isTradingOpen();
+        const conflicts = new Set();
+        for (const {list, address, status} of changes) {
+            if (!status || list === "dex") continue;
+            const other = list === "whitelist" ? "blacklist" : "whitelist";
+            if (await isListed(other, address)) conflicts.add(`${address} can't be on both the whitelist and the blacklist`);
+            if (await token.isFrozen(address)) conflicts.add(`${address} is frozen, it can't be added to the ${list}`);
+            const leavesWhitelist = final[`whitelist:${address}`] === false && await token.isWhitelisted(address);
+            if (list === "blacklist" && timelocked && leavesWhitelist) {
+                conflicts.add(
+                    `${address} leaves the whitelist through the timelock, add it to the blacklist once that is executed`
+                );
+            }
+        }
+        errors.push(...conflicts);
+
+        changes.forEach(({list, address, status}) => console.log(`  ${list} ${status ? "+" : "-"} ${address}`));
+        console.log(`Entries: ${entries.length}, changes: ${changes.length}`);
+        if (errors.length > 0) {
+            errors.forEach((error) => console.error(`  ${error}`));
+            throw new Error(`${args.file} has ${errors.length} error(s), nothing was sent`);
+        }
+        if (changes.length === 0) return {changes, transactions: []};
+
+        const [signer] = await ethers.getSigners();
+        for (const list of new Set(changes.map((change) => change.list))) {
+            await requireRole(token, ADMIN_LISTS[list].role, signer.address);
+        }
+
+        // removals first, an address moving between the whitelist and the blacklist leaves one before joining the
+        // other; such additions can't be simulated up front, the conflict check above covers them
+        const removed = new Set(changes.filter((change) => !change.status).map((change) => change.address));
+        const calls = [];
+        for (const status of [false, true]) {
+            for (const list of ["whitelist", "blacklist", "dex"]) {
+                const addresses = changes
+                    .filter((change) => change.list === list && change.status === status)
+                    .map((change) => change.address);
+                for (const batch of chunk(addresses, MAX_BATCH_SIZE)) {
+                    const {batchSetter} = ADMIN_LISTS[list];
+                    const description = `${batchSetter}(${batch.length} address(es), ${status})`;
+                    const dependsOnPrevious = status && list !== "dex" && batch.some((address) => removed.has(address));
+                    if (ADMIN_LISTS[list].timelocked && timelocked) {
+                        // whitelist and DEX changes go through the timelock once trading is open, see snack:timelock-execute
+                        const data = token.interface.encodeFunctionData(batchSetter, [batch, status]);
+                        if (!dependsOnPrevious) await simulateOperation(token, data);
+                        calls.push({
+                            contract: token,
+                            functionName: "queueOperation",
+                            args: [data],
+                            description: `queueOperation(${description}) as ${ethers.keccak256(data)}`,
+                        });
+                        continue;
+                    }
+                    calls.push({
+                        contract: token,
+                        functionName: batchSetter,
+                        args: [batch, status],
+                        description,
+                        dependsOnPrevious,
+                    });
+                }
+            }
+        }
+        const transactions = await simulateAndSend(calls, args);
+        return {changes, transactions};
+    });
+
+module.exports = {
+    getToken,
+    readAddresses,
+    chunk,
+    getPendingOperations,
+    simulateOperation,
+};
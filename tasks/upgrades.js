@@ -0,0 +1,158 @@
+const fs = require("fs");
+const path = require("path");
+const {task} = require("hardhat/config");
+
+// Implementations deployed behind proxies, their released layouts are kept in storage-layout/<contract>.json
+const UPGRADEABLE_CONTRACTS = ["CryptoSnackTokenUpgradeable", "CryptoSnackVestingUpgradeable"];
+
+// ERC-1967 slots of TransparentUpgradeableProxy
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+const ADMIN_SLOT = "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103";
+
+function layoutFile(hre, contractName) {
+    return path.join(hre.config.paths.root, "storage-layout", `${contractName}.json`);
+}
+
+// type IDs embed AST IDs (e.g. `t_struct(TaxSplit)1234_storage`), which change between compilations
+function normalizeType(type) {
+    return type.replace(/\)\d+/g, ")");
+}
+
+/**
+ * Storage layout of a compiled contract: state variables in declaration order and the structs they use.
+ */
+async function getStorageLayout(hre, contractName) {
+    const artifact = await hre.artifacts.readArtifact(contractName);
+    const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+    const {storage, types} = buildInfo.output.contracts[artifact.sourceName][artifact.contractName].storageLayout;
+
+    const structs = {};
+    for (const [type, definition] of Object.entries(types ?? {})) {
+        if (definition.members) {
+            structs[normalizeType(type)] = definition.members.map(({label, slot, offset, type}) => (
+                {label, slot, offset, type: normalizeType(type)}
+            ));
+        }
+    }
+    return {
+        storage: storage.map(({label, slot, offset, type}) => ({label, slot, offset, type: normalizeType(type)})),
+        structs,
+    };
+}
+
+/**
+ * Lists changes of `current` that would corrupt storage written with the `reference` layout.
+ * Appending variables (or struct members) and renaming them is allowed, anything else is reported.
+ */
+function compareStorageLayouts(reference, current) {
+    const errors = [];
+    const compare = (name, expected, actual) => {
+        expected.forEach((variable, i) => {
+            const found = actual[i];
+            if (!found) {
+                errors.push(`${name}${variable.label} was removed`);
+            } else if (found.slot !== variable.slot || found.offset !== variable.offset) {
+                errors.push(
+                    `${name}${variable.label} moved from slot ${variable.slot}:${variable.offset} ` +
+                    `to ${found.slot}:${found.offset} (${found.label})`
+                );
+            } else if (found.type !== variable.type && found.label !== variable.label) {
+                errors.push(`${name}${variable.label} was replaced by ${found.label} (${found.type})`);
+            } else if (found.type !== variable.type) {
+                errors.push(`${name}${variable.label} changed type from ${variable.type} to ${found.type}`);
+            }
+        });
+    };
+
+    compare("", reference.storage, current.storage);
+    for (const [type, members] of Object.entries(reference.structs)) {
+        if (current.structs[type]) compare(`${type}.`, members, current.structs[type]);
+    }
+    return errors;
+}
+
+function readStorageLayout(hre, contractName) {
+    const file = layoutFile(hre, contractName);
+    if (!fs.existsSync(file)) throw new Error(`${file} is missing, run snack:storage-layout --write`);
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+async function readAddressSlot(hre, address, slot) {
+    const value = await hre.ethers.provider.getStorage(address, slot);
+    return hre.ethers.getAddress(hre.ethers.dataSlice(value, 12));
+}
+
+task("snack:storage-layout", "Checks the storage layout of the upgradeable contracts against the released one")
+    .addFlag("write", "Saves the current layouts as the released ones (after deploying an upgrade)")
+    .setAction(async (args, hre) => {
+        await hre.run("compile", {quiet: true});
+
+        const errors = [];
+        for (const contractName of UPGRADEABLE_CONTRACTS) {
+            const current = await getStorageLayout(hre, contractName);
+            if (args.write) {
+                const file = layoutFile(hre, contractName);
+                fs.mkdirSync(path.dirname(file), {recursive: true});
+                fs.writeFileSync(file, JSON.stringify(current, null, 2) + "\n");
+                console.log(`Saved ${path.relative(hre.config.paths.root, file)}`);
+                continue;
+            }
+
+            const contractErrors = compareStorageLayouts(readStorageLayout(hre, contractName), current);
+            errors.push(...contractErrors.map((error) => `${contractName}: ${error}`));
+        }
+
+        if (errors.length > 0) {
+            errors.forEach((error) => console.error(`  ${error}`));
+            throw new Error(`${errors.length} incompatible storage change(s), new variables must be appended`);
+        }
+        if (!args.write) console.log("Storage layouts are compatible");
+    });
+
+task("snack:upgrade", "Deploys a new implementation and upgrades a proxy to it through its ProxyAdmin")
+    .addParam("proxy", "Proxy address (token or vesting)")
+    .addParam("contract", `Implementation contract: ${UPGRADEABLE_CONTRACTS.join(" or ")}`)
+    .setAction(async (args, hre) => {
+        const {ethers} = hre;
+        if (!UPGRADEABLE_CONTRACTS.includes(args.contract)) {
+            throw new Error(`Unknown contract ${args.contract}, expected ${UPGRADEABLE_CONTRACTS.join(" or ")}`);
+        }
+
+        const errors = compareStorageLayouts(
+            readStorageLayout(hre, args.contract),
+            await getStorageLayout(hre, args.contract)
+        );
+        if (errors.length > 0) {
+            throw new Error(`Incompatible storage layout of ${args.contract}:\n  ${errors.join("\n  ")}`);
+        }
+
+        const proxyAdmin = await ethers.getContractAt("ProxyAdmin", await readAddressSlot(hre, args.proxy, ADMIN_SLOT));
+        const [signer] = await ethers.getSigners();
+        const owner = await proxyAdmin.owner();
+        if (owner !== signer.address) {
+            throw new Error(`${signer.address} is not the owner of ProxyAdmin ${await proxyAdmin.getAddress()} (${owner})`);
+        }
+
+        const previous = await readAddressSlot(hre, args.proxy, IMPLEMENTATION_SLOT);
+        // the token implementation keeps name and symbol as immutables, they must stay the same
+        const proxied = await ethers.getContractAt(args.contract, args.proxy);
+        const constructorArgs = args.contract === "CryptoSnackTokenUpgradeable"
+            ? [await proxied.name(), await proxied.symbol()]
+            : [];
+        const Implementation = await ethers.getContractFactory(args.contract);
+        const implementation = await Implementation.deploy(...constructorArgs);
+        await implementation.waitForDeployment();
+        const implementationAddress = await implementation.getAddress();
+        console.log(`${args.contract} deployed to ${implementationAddress}`);
+
+        const tx = await proxyAdmin.upgradeAndCall(args.proxy, implementationAddress, "0x");
+        await tx.wait();
+        console.log(`Upgraded ${args.proxy} from ${previous} to ${implementationAddress}: ${tx.hash}`);
+        console.log("Run `npx hardhat snack:storage-layout --write` and commit the layouts once the upgrade is final");
+        return implementationAddress;
+    });
+
+module.exports = {
+    getStorageLayout,
+    compareStorageLayouts,
+};
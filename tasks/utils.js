@@ -0,0 +1,256 @@
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline/promises");
+
+/**
+ * Reads rows from a CSV (with a header line) or a JSON array file.
+ * CSV values are returned as trimmed strings, keys are taken from the header.
+ */
+function readRows(file) {
+    const content = fs.readFileSync(file, "utf8");
+
+    if (path.extname(file).toLowerCase() === ".json") {
+        const rows = JSON.parse(content);
+        if (!Array.isArray(rows)) throw new Error(`${file}: expected a JSON array`);
+        return rows;
+    }
+
+    const lines = content.split(/\r?\n/).filter((line) => line.trim() !== "" && !line.startsWith("#"));
+    if (lines.length === 0) return [];
+
+    const header = splitCsvLine(lines[0]);
+    return lines.slice(1).map((line) => {
+        const values = splitCsvLine(line);
+        const row = {};
+        header.forEach((key, i) => {
+            row[key] = values[i] ?? "";
+        });
+        return row;
+    });
+}
+
+function splitCsvLine(line) {
+    const values = [];
+    let current = "";
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (char === '"') {
+            if (quoted && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else {
+                quoted = !quoted;
+            }
+        } else if (char === "," && !quoted) {
+            values.push(current.trim());
+            current = "";
+        } else {
+            current += char;
+        }
+    }
+    values.push(current.trim());
+    return values;
+}
+
+function toCsv(rows) {
+    if (rows.length === 0) return "";
+    const header = Object.keys(rows[0]);
+    const escape = (value) => {
+        const str = String(value ?? "");
+        return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    const lines = [header.join(",")].concat(rows.map((row) => header.map((key) => escape(row[key])).join(",")));
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Prints rows as a table, or writes them as CSV/JSON to `out` (stdout if not set). Messages go to stderr so
+ * that printed CSV/JSON can be piped.
+ */
+function outputRows(rows, format, out) {
+    let output;
+    if (format === "table") {
+        console.table(rows);
+        return;
+    } else if (format === "csv") {
+        output = toCsv(rows);
+    } else if (format === "json") {
+        output = JSON.stringify(rows, jsonReplacer, 2) + "\n";
+    } else {
+        throw new Error(`Unknown format: ${format}, expected table, csv or json`);
+    }
+
+    if (out) {
+        fs.writeFileSync(out, output);
+        console.error(`Saved to ${out}`);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+/**
+ * JSON.stringify replacer for values returned by ethers (bigint).
+ */
+function jsonReplacer(key, value) {
+    return typeof value === "bigint" ? value.toString() : value;
+}
+
+function readState(file, initial) {
+    if (!fs.existsSync(file)) return initial;
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeState(file, state) {
+    fs.writeFileSync(file, JSON.stringify(state, jsonReplacer, 2) + "\n");
+}
+
+function parseBool(value) {
+    if (typeof value === "boolean") return value;
+    const str = String(value).trim().toLowerCase();
+    if (["true", "yes", "1"].includes(str)) return true;
+    if (["false", "no", "0", ""].includes(str)) return false;
+    throw new Error(`Invalid boolean value: ${value}`);
+}
+
+/**
+ * Parses a unix timestamp (seconds) or a date string (e.g. `2025-01-01T00:00:00Z`).
+ */
+function parseTimestamp(value) {
+    const str = String(value).trim();
+    if (/^\d+$/.test(str)) return BigInt(str);
+    const millis = Date.parse(str);
+    if (Number.isNaN(millis)) throw new Error(`Invalid timestamp: ${value}`);
+    return BigInt(Math.floor(millis / 1000));
+}
+
+/**
+ * Resolves a contract address from the task argument or the Ignition deployment of the current network.
+ * `futureIds` can list several futures (e.g. the immutable and the proxy deployment), the first deployed one is used.
+ */
+async function resolveAddress(hre, address, futureIds) {
+    if (address) return address;
+
+    const ids = [].concat(futureIds);
+    const {chainId} = await hre.ethers.provider.getNetwork();
+    const file = path.join(hre.config.paths.root, "ignition", "deployments", `chain-${chainId}`, "deployed_addresses.json");
+    if (fs.existsSync(file)) {
+        const deployed = JSON.parse(fs.readFileSync(file, "utf8"));
+        const futureId = ids.find((id) => deployed[id]);
+        if (futureId) return deployed[futureId];
+    }
+    throw new Error(`Address of ${ids.join(" or ")} is not deployed on chain ${chainId}, pass it explicitly`);
+}
+
+/**
+ * Checks whether the deployed bytecode exposes a function. Calls to missing functions don't revert
+ * on our contracts (they have a payable fallback), so older deployments must be detected this way.
+ */
+async function hasFunction(contract, functionName) {
+    const selector = contract.interface.getFunction(functionName).selector;
+    const code = await contract.runner.provider.getCode(await contract.getAddress());
+    return code.includes(selector.slice(2));
+}
+
+/**
+ * Queries events in block chunks, public RPC nodes limit the range of `eth_getLogs`.
+ */
+async function queryEvents(contract, eventName, fromBlock, toBlock, chunkSize) {
+    const events = [];
+    for (let from = fromBlock; from <= toBlock; from += chunkSize) {
+        const to = Math.min(from + chunkSize - 1, toBlock);
+        events.push(...await contract.queryFilter(contract.filters[eventName](), from, to));
+    }
+    return events;
+}
+
+/**
+ * Throws unless `account` has the role (e.g. `TAX_MANAGER_ROLE`) on the contract.
+ */
+async function requireRole(contract, roleName, account) {
+    const role = await contract[roleName]();
+    if (!await contract.hasRole(role, account)) {
+        throw new Error(`${account} is missing ${roleName} on ${await contract.getAddress()}`);
+    }
+}
+
+/**
+ * Asks for confirmation on the terminal, `yes` skips the prompt (scripts, CI).
+ */
+async function confirmAction(question, yes) {
+    if (yes) return;
+    if (!process.stdin.isTTY) throw new Error("Confirmation required, pass --yes when not running in a terminal");
+
+    const rl = readline.createInterface({input: process.stdin, output: process.stdout});
+    try {
+        const answer = await rl.question(`${question} [y/N] `);
+        if (!["y", "yes"].includes(answer.trim().toLowerCase())) throw new Error("Aborted");
+    } finally {
+        rl.close();
+    }
+}
+
+/**
+ * Revert reason of a failed call, custom errors decoded with the contract's ABI.
+ */
+function describeRevert(contract, e) {
+    const error = e.revert || (e.data && contract.interface.parseError(e.data));
+    return error ? `${error.name}(${error.args.join(", ")})` : e.shortMessage || e.message;
+}
+
+function describeCall({description, functionName, args}) {
+    return description ?? `${functionName}(${args.map((arg) => Array.isArray(arg) ? `[${arg.length}]` : arg).join(", ")})`;
+}
+
+/**
+ * Simulates every call (`{contract, functionName, args, description?}`) with `staticCall` against the current
+ * state, then sends them one by one after confirmation, unless `dryRun`. Returns the transaction hashes.
+ * Calls flagged `dependsOnPrevious` only succeed after earlier ones of the list, the caller checks them instead.
+ */
+async function simulateAndSend(calls, {dryRun, yes}) {
+    if (calls.length === 0) {
+        console.log("Nothing to change");
+        return [];
+    }
+    for (const call of calls) {
+        if (call.dependsOnPrevious) continue;
+        try {
+            await call.contract[call.functionName].staticCall(...call.args);
+        } catch (e) {
+            throw new Error(`${describeCall(call)} would revert: ${describeRevert(call.contract, e)}`);
+        }
+    }
+    if (dryRun) {
+        console.log(`Dry run: ${calls.length} transaction(s) would succeed, nothing was sent`);
+        return [];
+    }
+
+    await confirmAction(`Send ${calls.length} transaction(s)?`, yes);
+    const hashes = [];
+    for (const call of calls) {
+        const tx = await call.contract[call.functionName](...call.args);
+        await tx.wait();
+        console.log(`${describeCall(call)}: ${tx.hash}`);
+        hashes.push(tx.hash);
+    }
+    return hashes;
+}
+
+module.exports = {
+    readRows,
+    toCsv,
+    outputRows,
+    jsonReplacer,
+    readState,
+    writeState,
+    parseBool,
+    parseTimestamp,
+    resolveAddress,
+    hasFunction,
+    requireRole,
+    queryEvents,
+    confirmAction,
+    describeRevert,
+    simulateAndSend,
+};
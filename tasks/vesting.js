@@ -0,0 +1,304 @@
+const {task, types} = require("hardhat/config");
+const {
+    readRows,
+    outputRows,
+    readState,
+    writeState,
+    parseBool,
+    parseTimestamp,
+    resolveAddress,
+    hasFunction,
+    requireRole,
+    queryEvents,
+} = require("./utils");
+const {getNextUnlock} = require("../lib/vesting");
+
+// Mirrors CryptoSnackVesting constants
+const MAX_START_OFFSET_TIME = 365n * 24n * 60n * 60n;
+const MAX_VESTING_TIME = 10n * 365n * 24n * 60n * 60n;
+const MAX_BATCH_SIZE = 200;
+const UNLOCK_PRECISION = 10000n;
+
+const VESTING_FUTURE_IDS = [
+    "CryptoSnackVestingModule#CryptoSnackVesting",
+    "CryptoSnackVestingProxyModule#CryptoSnackVesting",
+];
+
+function parseScheduleRow(hre, row, decimals) {
+    return {
+        beneficiary: hre.ethers.getAddress(String(row.beneficiary).trim()),
+        amount: hre.ethers.parseUnits(String(row.amount).trim(), decimals),
+        startTime: parseTimestamp(row.start),
+        cliffDuration: BigInt(row.cliff),
+        vestingDuration: BigInt(row.duration),
+        slicePeriod: BigInt(row.slicePeriod || 0),
+        initialUnlock: BigInt(row.initialUnlock || 0),
+        revocable: parseBool(row.revocable),
+    };
+}
+
+/**
+ * Checks a schedule against the rules enforced by `createVestingSchedule`.
+ * Returns the list of violations (empty if the schedule is valid).
+ */
+function validateSchedule(schedule, now) {
+    const errors = [];
+    if (schedule.beneficiary === "0x0000000000000000000000000000000000000000") errors.push("zero beneficiary address");
+    if (schedule.amount <= 0n) errors.push("amount must be positive");
+    if (schedule.startTime < now) errors.push("start time is in the past");
+    if (schedule.startTime > now + MAX_START_OFFSET_TIME) errors.push("start time exceeds MAX_START_OFFSET_TIME");
+    if (schedule.cliffDuration === 0n) errors.push("cliff must be positive");
+    if (schedule.vestingDuration === 0n) errors.push("duration must be positive");
+    if (schedule.cliffDuration > schedule.vestingDuration) errors.push("cliff exceeds duration");
+    if (schedule.vestingDuration > MAX_VESTING_TIME) errors.push("duration exceeds MAX_VESTING_TIME");
+    if (schedule.slicePeriod > schedule.vestingDuration) errors.push("slice period exceeds duration");
+    if (schedule.initialUnlock > UNLOCK_PRECISION) errors.push("initial unlock exceeds 100%");
+    return errors;
+}
+
+function isSameSchedule(onChain, schedule) {
+    return onChain.totalAmount === schedule.amount &&
+        onChain.startTime === schedule.startTime &&
+        onChain.cliff === schedule.startTime + schedule.cliffDuration &&
+        onChain.duration === schedule.vestingDuration &&
+        onChain.slicePeriod === schedule.slicePeriod &&
+        onChain.initialUnlock === schedule.initialUnlock &&
+        onChain.revocable === schedule.revocable;
+}
+
+task("vesting:import", "Creates vesting schedules from a CSV/JSON allocation file")
+    .addParam("file", "Allocation file with beneficiary, amount (tokens), start, cliff (s), duration (s), revocable " +
+        "and optional slicePeriod (s), initialUnlock (bps)")
+    .addOptionalParam("vesting", "Vesting contract address (defaults to the Ignition deployment)")
+    .addOptionalParam("state", "State file used to resume the import (defaults to <file>.state.json)")
+    .addOptionalParam("batchSize", "Schedules per createVestingSchedules transaction", 50, types.int)
+    .addFlag("dryRun", "Validate the file without sending transactions")
+    .setAction(async (args, hre) => {
+        if (args.batchSize < 1 || args.batchSize > MAX_BATCH_SIZE) {
+            throw new Error(`Batch size must be between 1 and ${MAX_BATCH_SIZE}`);
+        }
+
+        const {ethers} = hre;
+        const vestingAddress = await resolveAddress(hre, args.vesting, VESTING_FUTURE_IDS);
+        const vesting = await ethers.getContractAt("CryptoSnackVesting", vestingAddress);
+        // older deployments keep a single schedule per beneficiary, their getters don't match the current ABI
+        if (!await hasFunction(vesting, "createVestingSchedules")) {
+            throw new Error(`Vesting contract ${vestingAddress} predates schedule IDs and isn't supported, nothing was sent`);
+        }
+        const token = await ethers.getContractAt("CryptoSnackToken", await vesting.getToken());
+        const decimals = await token.decimals();
+        const stateFile = args.state || `${args.file}.state.json`;
+
+        const [signer] = await ethers.getSigners();
+        if (!args.dryRun) {
+            await requireRole(vesting, "VESTING_MANAGER_ROLE", signer.address);
+        }
+
+        const now = BigInt((await ethers.provider.getBlock("latest")).timestamp);
+        const rows = readRows(args.file);
+        const state = readState(stateFile, {vesting: vestingAddress, rows: {}});
+        if (state.vesting !== vestingAddress) {
+            throw new Error(`State file ${stateFile} belongs to vesting contract ${state.vesting}`);
+        }
+        const onChainSchedules = new Map(); // beneficiary => schedules not matched to a row yet
+        const errors = [];
+        const pending = [];
+        const skipped = [];
+
+        for (let i = 0; i < rows.length; i++) {
+            const line = `row ${i + 1}`;
+            let schedule;
+            try {
+                schedule = {row: i, ...parseScheduleRow(hre, rows[i], decimals)};
+            } catch (e) {
+                errors.push(`${line}: ${e.shortMessage || e.message}`);
+                continue;
+            }
+
+            // a beneficiary may have several tranches, each on-chain schedule resumes a single row
+            if (!onChainSchedules.has(schedule.beneficiary)) {
+                const scheduleIds = await vesting.getScheduleIds(schedule.beneficiary);
+                onChainSchedules.set(
+                    schedule.beneficiary,
+                    await Promise.all(scheduleIds.map((scheduleId) => vesting.getVestingSchedule(scheduleId)))
+                );
+            }
+            const candidates = onChainSchedules.get(schedule.beneficiary);
+            const match = candidates.findIndex((onChain) => isSameSchedule(onChain, schedule));
+            if (match !== -1) {
+                candidates.splice(match, 1);
+            }
+            // rows created by a previous run may have been moved to another address since
+            const previous = state.rows[i];
+            if (match !== -1 || (previous && previous.status === "created" && previous.beneficiary === schedule.beneficiary)) {
+                skipped.push(schedule);
+                continue;
+            }
+
+            const violations = validateSchedule(schedule, now);
+            if (violations.length > 0) {
+                errors.push(`${line}: ${violations.join(", ")}`);
+                continue;
+            }
+            pending.push(schedule);
+        }
+
+        const required = pending.reduce((sum, schedule) => sum + schedule.amount, 0n);
+        const balance = await token.balanceOf(vestingAddress);
+        const allocated = await vesting.getTotalAllocated();
+        if (balance < allocated + required) {
+            errors.push(
+                `insufficient vesting balance: ${ethers.formatUnits(balance, decimals)} available, ` +
+                `${ethers.formatUnits(allocated, decimals)} allocated, ${ethers.formatUnits(required, decimals)} required`
+            );
+        }
+
+        console.log(`Vesting contract: ${vestingAddress}`);
+        console.log(`Rows: ${rows.length}, to create: ${pending.length}, already created: ${skipped.length}`);
+        console.log(`Tokens to allocate: ${ethers.formatUnits(required, decimals)}`);
+
+        if (errors.length > 0) {
+            errors.forEach((error) => console.error(`  ${error}`));
+            throw new Error(`Allocation file has ${errors.length} error(s), nothing was sent`);
+        }
+        if (args.dryRun) return {pending, skipped};
+
+        for (const schedule of skipped) {
+            state.rows[schedule.row] = {...state.rows[schedule.row], beneficiary: schedule.beneficiary, status: "created"};
+        }
+
+        for (let i = 0; i < pending.length; i += args.batchSize) {
+            const batch = pending.slice(i, i + args.batchSize);
+            const tx = await vesting.createVestingSchedules(
+                batch.map((schedule) => schedule.beneficiary),
+                batch.map((schedule) => schedule.amount),
+                batch.map((schedule) => ({
+                    startTime: schedule.startTime,
+                    cliffDuration: schedule.cliffDuration,
+                    vestingDuration: schedule.vestingDuration,
+                    slicePeriod: schedule.slicePeriod,
+                    initialUnlock: schedule.initialUnlock,
+                    revocable: schedule.revocable,
+                }))
+            );
+            for (const schedule of batch) {
+                state.rows[schedule.row] = {beneficiary: schedule.beneficiary, txHash: tx.hash, status: "sent"};
+            }
+            writeState(stateFile, state);
+
+            await tx.wait();
+            for (const schedule of batch) {
+                state.rows[schedule.row].status = "created";
+            }
+            writeState(stateFile, state);
+            console.log(`  ${batch.length} schedule(s): ${tx.hash}`);
+        }
+
+        writeState(stateFile, state);
+        console.log(`State saved to ${stateFile}`);
+        return {pending, skipped};
+    });
+
+task("vesting:report", "Prints the status of all vesting schedules rebuilt from events")
+    .addOptionalParam("vesting", "Vesting contract address (defaults to the Ignition deployment)")
+    .addOptionalParam("fromBlock", "First block to scan (e.g. the deployment block)", 0, types.int)
+    .addOptionalParam("toBlock", "Last block to scan (defaults to the latest block)", undefined, types.int)
+    .addOptionalParam("chunkSize", "Blocks per eth_getLogs request", 5000, types.int)
+    .addOptionalParam("format", "Output format: table, csv or json", "table")
+    .addOptionalParam("out", "Output file for csv/json (defaults to stdout)")
+    .setAction(async (args, hre) => {
+        const {ethers} = hre;
+        const vestingAddress = await resolveAddress(hre, args.vesting, VESTING_FUTURE_IDS);
+        const vesting = await ethers.getContractAt("CryptoSnackVesting", vestingAddress);
+        const token = await ethers.getContractAt("CryptoSnackToken", await vesting.getToken());
+        const decimals = await token.decimals();
+
+        const latest = await ethers.provider.getBlock("latest");
+        const toBlock = args.toBlock ?? latest.number;
+        const now = BigInt(latest.timestamp);
+
+        const [created, released, refunded, revoked, transferred] = await Promise.all(
+            ["VestingScheduleCreated", "TokensReleased", "TokensRefunded", "VestingRevoked", "VestingTransferred"]
+                .map((eventName) => queryEvents(vesting, eventName, args.fromBlock, toBlock, args.chunkSize))
+        );
+
+        // history rebuilt from events, keyed by schedule ID
+        const history = new Map();
+        for (const event of created) {
+            history.set(event.args.scheduleId, {
+                beneficiaries: [event.args.beneficiary], // in order of transfers, the last one is current
+                total: event.args.amount,
+                released: 0n,
+                refunded: 0n,
+                revoked: false,
+            });
+        }
+        for (const event of released) {
+            const entry = history.get(event.args.scheduleId);
+            if (entry) entry.released += event.args.amount;
+        }
+        for (const event of refunded) {
+            const entry = history.get(event.args.scheduleId);
+            if (entry) entry.refunded += event.args.amount;
+        }
+        for (const event of revoked) {
+            const entry = history.get(event.args.scheduleId);
+            if (entry) entry.revoked = true;
+        }
+        for (const event of transferred) {
+            const entry = history.get(event.args.scheduleId);
+            if (entry) entry.beneficiaries.push(event.args.newBeneficiary);
+        }
+
+        const warnings = [];
+        const rows = [];
+        let unreleased = 0n;
+
+        for (const [scheduleId, entry] of [...history].sort(([a], [b]) => (a < b ? -1 : 1))) {
+            const schedule = await vesting.getVestingSchedule(scheduleId);
+            const releasable = await vesting.getReleasableAmount(scheduleId);
+            const nextUnlock = getNextUnlock(schedule, now);
+
+            if (
+                schedule.releasedAmount !== entry.released ||
+                schedule.revoked !== entry.revoked ||
+                schedule.beneficiary !== entry.beneficiaries[entry.beneficiaries.length - 1]
+            ) {
+                warnings.push(`schedule ${scheduleId}: events don't match contract state`);
+            }
+            if (!schedule.revoked) {
+                unreleased += schedule.totalAmount - schedule.releasedAmount;
+            }
+
+            rows.push({
+                scheduleId: scheduleId.toString(),
+                beneficiary: schedule.beneficiary,
+                previousBeneficiaries: entry.beneficiaries.slice(0, -1).join(" "),
+                total: ethers.formatUnits(schedule.totalAmount, decimals),
+                released: ethers.formatUnits(schedule.releasedAmount, decimals),
+                releasable: ethers.formatUnits(releasable, decimals),
+                refunded: ethers.formatUnits(entry.refunded, decimals),
+                nextUnlock: nextUnlock === null ? "" : new Date(Number(nextUnlock) * 1000).toISOString(),
+                revoked: schedule.revoked,
+            });
+        }
+
+        const allocated = await vesting.getTotalAllocated();
+        if (unreleased !== allocated) {
+            warnings.push(
+                `unreleased amount ${ethers.formatUnits(unreleased, decimals)} doesn't match ` +
+                `getTotalAllocated() ${ethers.formatUnits(allocated, decimals)}, check the block range`
+            );
+        }
+
+        outputRows(rows, args.format, args.out);
+
+        console.error(`Schedules: ${rows.length}, total allocated: ${ethers.formatUnits(allocated, decimals)}`);
+        warnings.forEach((warning) => console.warn(`WARNING: ${warning}`));
+        return {rows, unreleased, allocated, warnings};
+    });
+
+module.exports = {
+    parseScheduleRow,
+    validateSchedule,
+};
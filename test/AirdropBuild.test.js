@@ -0,0 +1,66 @@
+const {expect} = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const {StandardMerkleTree} = require("@openzeppelin/merkle-tree");
+
+const {ethers} = hre;
+
+describe("airdrop:build task", function() {
+    let addr1;
+    let addr2;
+    let dir;
+
+    function writeFile(name, content) {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, content);
+        return file;
+    }
+
+    beforeEach(async function() {
+        [, addr1, addr2] = await ethers.getSigners();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "airdrop-build-"));
+    });
+
+    afterEach(function() {
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    it("Should write the root, total and verifiable proofs per address", async function() {
+        const file = writeFile("airdrop.csv", `address,amount\n${addr1.address.toLowerCase()},10\n${addr2.address},0.25\n`);
+
+        const result = await hre.run("airdrop:build", {file});
+        const proofs = JSON.parse(fs.readFileSync(`${file}.proofs.json`, "utf8"));
+
+        expect(proofs).to.deep.equal(result);
+        expect(proofs.recipients).to.equal(2);
+        expect(proofs.total).to.equal(ethers.parseEther("10.25").toString());
+        expect(proofs.claims[addr1.address].amount).to.equal(ethers.parseEther("10").toString());
+        for (const [account, {amount, proof}] of Object.entries(proofs.claims)) {
+            expect(StandardMerkleTree.verify(proofs.root, ["address", "uint256"], [account, amount], proof)).to.be.true;
+        }
+    });
+
+    it("Should reject duplicate addresses and invalid rows", async function() {
+        const duplicate = writeFile("duplicate.csv", `address,amount\n${addr1.address},10\n${addr1.address.toLowerCase()},5\n`);
+        await expect(hre.run("airdrop:build", {file: duplicate}))
+            .to.be.rejectedWith(`row 2: duplicate address ${addr1.address} (row 1)`);
+
+        const invalid = writeFile("invalid.csv", "address,amount\n0x1234,10\n");
+        await expect(hre.run("airdrop:build", {file: invalid})).to.be.rejectedWith("row 1: invalid address 0x1234");
+
+        const zero = writeFile("zero.csv", `address,amount\n${addr1.address},0\n`);
+        await expect(hre.run("airdrop:build", {file: zero})).to.be.rejectedWith("row 1: amount must be positive");
+
+        for (const amount of ["abc", "1.5.0", "0.0000000000000000001", ""]) {
+            const badAmount = writeFile("amount.csv", `address,amount\n${addr1.address},10\n${addr2.address},${amount}\n`);
+            await expect(hre.run("airdrop:build", {file: badAmount})).to.be.rejectedWith(`row 2: invalid amount "${amount}"`);
+        }
+    });
+
+    it("Should number rows without blank and comment lines", async function() {
+        const file = writeFile("comments.csv", `address,amount\n# team\n${addr1.address},10\n\n${addr2.address},-1\n`);
+        await expect(hre.run("airdrop:build", {file})).to.be.rejectedWith("row 2: amount must be positive");
+    });
+});
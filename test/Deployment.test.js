@@ -0,0 +1,60 @@
+const {expect} = require("chai");
+const {ethers, ignition} = require("hardhat");
+const CryptoSnackVestingModule = require("../ignition/modules/CryptoSnackVesting");
+
+describe("Ignition deployment", function() {
+    let owner;
+    let taxWallet;
+    let dexV2;
+    let dexV3;
+    let token;
+    let vesting;
+
+    const INITIAL_SUPPLY = 1000000;
+    const SELLING_TAX = 500; // 5%
+    const BUYING_TAX = 300;  // 3%
+    const VESTING_AMOUNT = ethers.parseEther("1000");
+
+    beforeEach(async function() {
+        [owner, taxWallet, dexV2, dexV3] = await ethers.getSigners();
+
+        ({token, vesting} = await ignition.deploy(CryptoSnackVestingModule, {
+            parameters: {
+                CryptoSnackTokenModule: {
+                    tokenName: "CryptoSnack",
+                    tokenSymbol: "SNACK",
+                    initialSupply: INITIAL_SUPPLY,
+                    sellingTax: SELLING_TAX,
+                    buyingTax: BUYING_TAX,
+                    taxWallet: taxWallet.address,
+                    dexRouterV2: dexV2.address,
+                    dexRouterV3: dexV3.address,
+                },
+                CryptoSnackVestingModule: {
+                    vestingAmount: VESTING_AMOUNT,
+                },
+            },
+        }));
+    });
+
+    it("Should deploy the token with constructor parameters", async function() {
+        expect(await token.name()).to.equal("CryptoSnack");
+        expect(await token.symbol()).to.equal("SNACK");
+        expect(await token.hasRole(await token.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.true;
+        expect(await token.getSellingTax()).to.equal(SELLING_TAX);
+        expect(await token.getBuyingTax()).to.equal(BUYING_TAX);
+    });
+
+    it("Should set the tax wallet and DEX addresses", async function() {
+        expect(await token.getTaxWallet()).to.equal(taxWallet.address);
+        expect(await token.isDex(dexV2.address)).to.be.true;
+        expect(await token.isDex(dexV3.address)).to.be.true;
+    });
+
+    it("Should wire, whitelist and fund the vesting contract", async function() {
+        expect(await vesting.getToken()).to.equal(await token.getAddress());
+        expect(await vesting.hasRole(await vesting.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.true;
+        expect(await token.isWhitelisted(await vesting.getAddress())).to.be.true;
+        expect(await token.balanceOf(await vesting.getAddress())).to.equal(VESTING_AMOUNT);
+    });
+});
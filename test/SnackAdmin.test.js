@@ -0,0 +1,236 @@
+const {expect} = require("chai");
+const hre = require("hardhat");
+
+const {ethers} = hre;
+
+describe("snack admin tasks", function() {
+    let token;
+    let tokenAddress;
+    let owner;
+    let addr1;
+    let addr2;
+    let addr3;
+
+    beforeEach(async function() {
+        [owner, addr1, addr2, addr3] = await ethers.getSigners();
+        const Token = await ethers.getContractFactory("CryptoSnackToken");
+        token = await Token.deploy("CryptoSnack", "SNACK", 1000000, 500, 300, owner.address);
+        tokenAddress = await token.getAddress();
+    });
+
+    describe("snack:status", function() {
+        it("Should print every getter", async function() {
+            await token.setTaxWallet(addr1.address);
+            const status = await hre.run("snack:status", {token: tokenAddress, format: "json", out: "/dev/null"});
+
+            expect(status.getBuyingTax).to.equal("300");
+            expect(status.getSellingTax).to.equal("500");
+            expect(status.getTaxWallet).to.equal(addr1.address);
+            expect(status.getBurnEnabled).to.be.false;
+            expect(status.paused).to.be.false;
+            expect(status.getBuyTaxSplit).to.deep.equal({marketing: "10000", liquidity: "0", burn: "0", treasury: "0"});
+            expect(status.getLaunchConfig).to.have.keys("buyTax", "sellTax", "duration");
+        });
+        it("Should warn when the swap minimum price is far from the market price", async function() {
+            const Pair = await ethers.getContractFactory("MockUniswapV2Pair");
+            const pair = await Pair.deploy(tokenAddress);
+            const Router = await ethers.getContractFactory("MockUniswapV2Router");
+            const router = await Router.deploy(await pair.getAddress(), addr3.address);
+            await token.transfer(await pair.getAddress(), ethers.parseEther("100000"));
+            await pair.mint(owner.address, {value: ethers.parseEther("100")}); // 0.001 BNB per SNACK
+            await token.setSwapRouter(await router.getAddress());
+            const marketPrice = (await router.getAmountsOut(ethers.parseEther("1"), [tokenAddress, addr3.address]))[1];
+
+            const warnings = [];
+            const warn = console.warn;
+            console.warn = (message) => warnings.push(message);
+            try {
+                await token.setSwapSettings(true, 1, 500, ethers.parseEther("1000"), ethers.parseEther("0.00096"));
+                const status = await hre.run("snack:status", {token: tokenAddress, format: "json", out: "/dev/null"});
+                expect(status.swapMarketPrice).to.equal(marketPrice.toString());
+                expect(warnings).to.be.empty;
+
+                await token.setSwapSettings(true, 1, 500, ethers.parseEther("1000"), ethers.parseEther("0.0005"));
+                await hre.run("snack:status", {token: tokenAddress, format: "json", out: "/dev/null"});
+                await token.setSwapSettings(true, 1, 500, ethers.parseEther("1000"), ethers.parseEther("0.002"));
+                await hre.run("snack:status", {token: tokenAddress, format: "json", out: "/dev/null"});
+            } finally {
+                console.warn = warn;
+            }
+            expect(warnings).to.have.lengthOf(2);
+            expect(warnings[0]).to.match(/more than maxSlippage below the market price/);
+            expect(warnings[1]).to.match(/above the market price/);
+        });
+    });
+
+    describe("snack:set-tax", function() {
+        it("Should validate rates against MAX_TAX", async function() {
+            await expect(hre.run("snack:set-tax", {token: tokenAddress, buy: 2501, yes: true}))
+                .to.be.rejectedWith("Buying tax must be between 0 and 2500");
+            await expect(hre.run("snack:set-tax", {token: tokenAddress}))
+                .to.be.rejectedWith("Nothing to set");
+        });
+
+        it("Should print current and new values and send only the changes", async function() {
+            const {changes, transactions} = await hre.run("snack:set-tax", {
+                token: tokenAddress,
+                buy: 300, // unchanged
+                sell: 700,
+                enabled: "false",
+                yes: true,
+            });
+
+            expect(changes).to.deep.equal([
+                {setting: "selling tax (bps)", current: "500", new: "700"},
+                {setting: "taxes enabled", current: "true", new: "false"},
+            ]);
+            expect(transactions).to.have.lengthOf(2);
+            expect(await token.getSellingTax()).to.equal(700);
+            expect(await token.isTaxEnabled()).to.be.false;
+        });
+
+        it("Should simulate without sending in a dry run", async function() {
+            const {transactions} = await hre.run("snack:set-tax", {token: tokenAddress, sell: 700, dryRun: true});
+            expect(transactions).to.deep.equal([]);
+            expect(await token.getSellingTax()).to.equal(500);
+        });
+
+        it("Should queue rate changes once trading is open", async function() {
+            await token.openTrading();
+            await hre.run("snack:set-tax", {token: tokenAddress, sell: 700, yes: true});
+
+            expect(await token.getSellingTax()).to.equal(500);
+            const data = token.interface.encodeFunctionData("setSellingTax", [700]);
+            expect(await token.getOperationReadyAt(ethers.keccak256(data))).to.be.greaterThan(0);
+
+            // the simulation catches the duplicate before anything is sent
+            await expect(hre.run("snack:set-tax", {token: tokenAddress, sell: 700, yes: true}))
+                .to.be.rejectedWith("would revert: OperationAlreadyQueued(");
+
+            await hre.run("snack:set-tax", {token: tokenAddress, enabled: "false", yes: true});
+            expect(await token.isTaxEnabled()).to.be.true;
+            const disable = token.interface.encodeFunctionData("setTaxEnabled", [false]);
+            expect(await token.getOperationReadyAt(ethers.keccak256(disable))).to.be.greaterThan(0);
+        });
+
+        it("Should reject signers without the role", async function() {
+            await token.revokeRole(await token.TAX_MANAGER_ROLE(), owner.address);
+            await expect(hre.run("snack:set-tax", {token: tokenAddress, sell: 700, dryRun: true}))
+                .to.be.rejectedWith("is missing TAX_MANAGER_ROLE");
+        });
+    });
+
+    describe("snack:set-dex", function() {
+        it("Should add and remove DEX addresses", async function() {
+            await hre.run("snack:set-dex", {addresses: [addr1.address, addr2.address], token: tokenAddress, yes: true});
+            expect(await token.isDex(addr1.address)).to.be.true;
+            expect(await token.isDex(addr2.address)).to.be.true;
+
+            const {changes} = await hre.run("snack:set-dex", {
+                addresses: [addr1.address, addr3.address],
+                token: tokenAddress,
+                remove: true,
+                yes: true,
+            });
+            expect(changes).to.deep.equal([{address: addr1.address, current: true, new: false}]);
+            expect(await token.isDex(addr1.address)).to.be.false;
+        });
+
+        it("Should reject the zero address", async function() {
+            await expect(hre.run("snack:set-dex", {addresses: [ethers.ZeroAddress], token: tokenAddress, yes: true}))
+                .to.be.rejectedWith("zero address");
+        });
+    });
+
+    describe("snack:blacklist", function() {
+        it("Should blacklist accounts and skip unchanged ones", async function() {
+            await token.setBlacklist(addr1.address, true);
+            const {changes} = await hre.run("snack:blacklist", {
+                addresses: [addr1.address, addr2.address, addr3.address],
+                token: tokenAddress,
+                yes: true,
+            });
+
+            expect(changes.map((change) => change.address)).to.deep.equal([addr2.address, addr3.address]);
+            expect(await token.isBlacklisted(addr3.address)).to.be.true;
+        });
+
+        it("Should reject whitelisted accounts before sending anything", async function() {
+            await token.setWhitelist(addr1.address, true);
+            await expect(hre.run("snack:blacklist", {addresses: [addr2.address, addr1.address], token: tokenAddress, yes: true}))
+                .to.be.rejectedWith("1 error(s), nothing was sent");
+            expect(await token.isBlacklisted(addr2.address)).to.be.false;
+        });
+    });
+
+    describe("snack:recover", function() {
+        beforeEach(async function() {
+            await token.transfer(addr1.address, ethers.parseEther("100"));
+        });
+
+        it("Should move the balance of a frozen account", async function() {
+            await token.freezeAccount(addr1.address, 3600, 1);
+            const {changes} = await hre.run("snack:recover", {
+                from: addr1.address,
+                to: addr2.address,
+                amount: "40",
+                token: tokenAddress,
+                yes: true,
+            });
+
+            expect(changes[0]).to.deep.equal({setting: `balance of ${addr1.address}`, current: "100.0", new: "60.0"});
+            expect(await token.balanceOf(addr2.address)).to.equal(ethers.parseEther("40"));
+            expect(await token.isFrozen(addr1.address)).to.be.false;
+        });
+
+        it("Should validate the accounts and the amount", async function() {
+            await expect(hre.run("snack:recover", {from: addr1.address, to: addr2.address, token: tokenAddress, yes: true}))
+                .to.be.rejectedWith("is not frozen");
+
+            await token.freezeAccount(addr1.address, 3600, 1);
+            await expect(hre.run("snack:recover", {
+                from: addr1.address,
+                to: addr2.address,
+                amount: "101",
+                token: tokenAddress,
+                yes: true,
+            })).to.be.rejectedWith("at most the balance");
+
+            await token.setBlacklist(addr3.address, true);
+            await expect(hre.run("snack:recover", {from: addr1.address, to: addr3.address, token: tokenAddress, yes: true}))
+                .to.be.rejectedWith("can't receive tokens");
+        });
+    });
+
+    describe("snack:pause", function() {
+        it("Should pause and unpause transfers", async function() {
+            await hre.run("snack:pause", {token: tokenAddress, yes: true});
+            expect(await token.paused()).to.be.true;
+
+            const {transactions} = await hre.run("snack:pause", {token: tokenAddress, yes: true});
+            expect(transactions).to.deep.equal([]); // already paused
+
+            await hre.run("snack:pause", {token: tokenAddress, unpause: true, yes: true});
+            expect(await token.paused()).to.be.false;
+        });
+    });
+
+    describe("snack:reclaim", function() {
+        it("Should reclaim tokens and BNB held by the contract", async function() {
+            const Other = await ethers.getContractFactory("CryptoSnackToken");
+            const other = await Other.deploy("Other", "OTHER", 1000, 0, 0, owner.address);
+            await other.transfer(tokenAddress, ethers.parseEther("10"));
+            await owner.sendTransaction({to: tokenAddress, value: ethers.parseEther("1")});
+
+            const {changes} = await hre.run("snack:reclaim", {erc20: await other.getAddress(), token: tokenAddress, yes: true});
+            expect(changes[0]).to.deep.equal({setting: "OTHER held by the token", current: "10.0", new: "0.0"});
+            expect(await other.balanceOf(tokenAddress)).to.equal(0);
+
+            await hre.run("snack:reclaim", {token: tokenAddress, yes: true});
+            expect(await ethers.provider.getBalance(tokenAddress)).to.equal(0);
+
+            await expect(hre.run("snack:reclaim", {token: tokenAddress, yes: true}))
+                .to.be.rejectedWith("holds no BNB");
+        });
+    });
+});
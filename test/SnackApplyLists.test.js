@@ -0,0 +1,158 @@
+const {expect} = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const {time} = require("@nomicfoundation/hardhat-network-helpers");
+
+const {ethers} = hre;
+
+describe("snack:apply-lists task", function() {
+    let token;
+    let tokenAddress;
+    let owner;
+    let addr1;
+    let addr2;
+    let addr3;
+    let addr4;
+    let dir;
+
+    function writeFile(rows) {
+        const file = path.join(dir, "lists.csv");
+        fs.writeFileSync(file, ["list,address,status", ...rows.map((row) => row.join(","))].join("\n"));
+        return file;
+    }
+
+    beforeEach(async function() {
+        [owner, addr1, addr2, addr3, addr4] = await ethers.getSigners();
+        const Token = await ethers.getContractFactory("CryptoSnackToken");
+        token = await Token.deploy("CryptoSnack", "SNACK", 1000000, 0, 0, owner.address);
+        tokenAddress = await token.getAddress();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "snack-apply-lists-"));
+    });
+
+    afterEach(function() {
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    it("Should send only the changes", async function() {
+        await token.setWhitelist(addr1.address, true);
+        const file = writeFile([
+            ["whitelist", addr1.address, "true"], // already whitelisted
+            ["whitelist", addr2.address, "true"],
+            ["blacklist", addr3.address, "true"],
+            ["dex", addr4.address, "true"],
+            ["whitelist", addr4.address, "false"], // not whitelisted
+        ]);
+
+        const {changes, transactions} = await hre.run("snack:apply-lists", {file, token: tokenAddress, yes: true});
+        expect(changes.map(({list, address}) => [list, address])).to.deep.equal([
+            ["whitelist", addr2.address],
+            ["blacklist", addr3.address],
+            ["dex", addr4.address],
+        ]);
+        expect(transactions).to.have.lengthOf(3);
+        expect(await token.isWhitelisted(addr2.address)).to.be.true;
+        expect(await token.isBlacklisted(addr3.address)).to.be.true;
+        expect(await token.isDex(addr4.address)).to.be.true;
+
+        const again = await hre.run("snack:apply-lists", {file, token: tokenAddress, yes: true});
+        expect(again.changes).to.deep.equal([]);
+    });
+
+    it("Should move an address from the whitelist to the blacklist", async function() {
+        await token.setWhitelist(addr1.address, true);
+        const file = writeFile([["blacklist", addr1.address, "true"], ["whitelist", addr1.address, "false"]]);
+
+        await hre.run("snack:apply-lists", {file, token: tokenAddress, yes: true});
+        expect(await token.isWhitelisted(addr1.address)).to.be.false;
+        expect(await token.isBlacklisted(addr1.address)).to.be.true;
+    });
+
+    it("Should reject invalid files without sending anything", async function() {
+        await token.setBlacklist(addr1.address, true);
+        await token.freezeAccount(addr3.address, 3600, 0);
+        const file = writeFile([
+            ["whitelist", addr1.address, "true"], // blacklisted
+            ["whitelist", addr2.address, "true"],
+            ["blacklist", addr2.address, "true"],
+            ["blacklist", addr3.address, "true"], // frozen
+            ["admins", addr4.address, "true"],
+            ["dex", "0x1234", "true"],
+            ["dex", addr4.address, ""],
+            ["dex", addr2.address, "true"],
+            ["dex", addr2.address, "false"],
+        ]);
+
+        await expect(hre.run("snack:apply-lists", {file, token: tokenAddress, yes: true}))
+            .to.be.rejectedWith("has 7 error(s), nothing was sent");
+        expect(await token.isWhitelisted(addr2.address)).to.be.false;
+        expect(await token.isDex(addr2.address)).to.be.false;
+    });
+
+    it("Should only print the changes in a dry run", async function() {
+        const file = writeFile([["whitelist", addr1.address, "true"]]);
+
+        const {changes, transactions} = await hre.run("snack:apply-lists", {file, token: tokenAddress, dryRun: true});
+        expect(changes).to.have.lengthOf(1);
+        expect(transactions).to.deep.equal([]);
+        expect(await token.isWhitelisted(addr1.address)).to.be.false;
+    });
+
+    it("Should queue whitelist and DEX changes in the timelock once trading is open", async function() {
+        await token.openTrading();
+        const file = writeFile([
+            ["dex", addr1.address, "true"],
+            ["whitelist", addr2.address, "true"],
+            ["blacklist", addr3.address, "true"],
+        ]);
+
+        await hre.run("snack:apply-lists", {file, token: tokenAddress, yes: true});
+        expect(await token.isBlacklisted(addr3.address)).to.be.true;
+        expect(await token.isWhitelisted(addr2.address)).to.be.false;
+        expect(await token.isDex(addr1.address)).to.be.false;
+
+        for (const [setter, address] of [["setDexBatch", addr1.address], ["setWhitelistBatch", addr2.address]]) {
+            const data = token.interface.encodeFunctionData(setter, [[address], true]);
+            expect(await token.getOperationReadyAt(ethers.keccak256(data))).to.be.greaterThan(0);
+        }
+
+        // the DEX is still not listed, the simulation catches the duplicate before anything is sent
+        await expect(hre.run("snack:apply-lists", {file, token: tokenAddress, yes: true}))
+            .to.be.rejectedWith("would revert: OperationAlreadyQueued(");
+    });
+
+    it("Should move addresses between the whitelist and the blacklist through the timelock", async function() {
+        await token.setWhitelist(addr1.address, true);
+        await token.setBlacklist(addr2.address, true);
+        await token.openTrading();
+
+        // the whitelist removal is only queued, addr1 can't join the blacklist in the same run
+        const toBlacklist = writeFile([["blacklist", addr1.address, "true"], ["whitelist", addr1.address, "false"]]);
+        await expect(hre.run("snack:apply-lists", {file: toBlacklist, token: tokenAddress, yes: true}))
+            .to.be.rejectedWith("has 1 error(s), nothing was sent");
+
+        // the blacklist removal is sent now, the whitelist addition executes after it
+        const toWhitelist = writeFile([["blacklist", addr2.address, "false"], ["whitelist", addr2.address, "true"]]);
+        await hre.run("snack:apply-lists", {file: toWhitelist, token: tokenAddress, yes: true});
+        expect(await token.isBlacklisted(addr2.address)).to.be.false;
+        await time.increase(2 * 24 * 60 * 60);
+        await token.executeOperation(token.interface.encodeFunctionData("setWhitelistBatch", [[addr2.address], true]));
+        expect(await token.isWhitelisted(addr2.address)).to.be.true;
+    });
+
+    it("Should require confirmation without --yes", async function() {
+        const file = writeFile([["whitelist", addr1.address, "true"]]);
+
+        // without a terminal (CI, scripts) the prompt can't be answered
+        const isTTY = process.stdin.isTTY;
+        process.stdin.isTTY = false;
+        try {
+            await expect(hre.run("snack:apply-lists", {file, token: tokenAddress}))
+                .to.be.rejectedWith("Confirmation required");
+        } finally {
+            process.stdin.isTTY = isTTY;
+        }
+        expect(await token.isWhitelisted(addr1.address)).to.be.false;
+    });
+});
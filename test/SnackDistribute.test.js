@@ -0,0 +1,161 @@
+const {expect} = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+
+const {ethers} = hre;
+
+describe("snack:distribute task", function() {
+    let token;
+    let tokenAddress;
+    let owner;
+    let addr1;
+    let addr2;
+    let addr3;
+    let addr4;
+    let addr5;
+    let dir;
+
+    function writeFile(name, content) {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, content);
+        return file;
+    }
+
+    function distributionFile(name, recipients) {
+        return writeFile(name, "address,amount\n" + recipients.map(([account, amount]) => `${account.address},${amount}`).join("\n"));
+    }
+
+    function readStateFile(file) {
+        return JSON.parse(fs.readFileSync(`${file}.state.json`, "utf8"));
+    }
+
+    beforeEach(async function() {
+        [owner, addr1, addr2, addr3, addr4, addr5] = await ethers.getSigners();
+        const Token = await ethers.getContractFactory("CryptoSnackToken");
+        token = await Token.deploy("CryptoSnack", "SNACK", 1000000, 0, 0, owner.address);
+        tokenAddress = await token.getAddress();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "snack-distribute-"));
+    });
+
+    afterEach(function() {
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    it("Should skip blacklisted and frozen recipients in a dry run without sending", async function() {
+        await token.setBlacklist(addr2.address, true);
+        await token.freezeAccount(addr3.address, 3600, 0);
+        const file = distributionFile("dry.csv", [[addr1, 10], [addr2, 20], [addr3, 30], [addr4, 40]]);
+
+        const {pending, skipped} = await hre.run("snack:distribute", {file, token: tokenAddress, dryRun: true});
+
+        expect(pending.map((row) => row.address)).to.deep.equal([addr1.address, addr4.address]);
+        expect(skipped.map((row) => [row.address, row.reason])).to.deep.equal([
+            [addr2.address, "blacklisted"],
+            [addr3.address, "frozen"],
+        ]);
+        expect(await token.balanceOf(addr1.address)).to.equal(0);
+        expect(fs.existsSync(`${file}.state.json`)).to.be.false;
+    });
+
+    it("Should send in batches and report undelivered recipients", async function() {
+        await token.setBlacklist(addr5.address, true);
+        const file = distributionFile("batches.csv", [[addr1, 10], [addr2, 20], [addr3, 30], [addr4, 40.5], [addr5, 50]]);
+        const nonce = await ethers.provider.getTransactionCount(owner.address);
+
+        const {done, undelivered} = await hre.run("snack:distribute", {file, token: tokenAddress, batchSize: 2, yes: true});
+
+        expect(await ethers.provider.getTransactionCount(owner.address)).to.equal(nonce + 2);
+        expect(done).to.have.lengthOf(4);
+        expect(await token.balanceOf(addr4.address)).to.equal(ethers.parseEther("40.5"));
+        expect(undelivered.map((row) => [row.address, row.reason])).to.deep.equal([[addr5.address, "blacklisted"]]);
+
+        const state = readStateFile(file);
+        expect(Object.keys(state.rows)).to.deep.equal(["0", "1", "2", "3"]);
+        expect(Object.values(state.rows).every((row) => row.status === "done")).to.be.true;
+        expect(state.rows[2].nonce).to.equal(nonce + 1);
+    });
+
+    it("Should resume without sending delivered rows again", async function() {
+        const file = distributionFile("resume.csv", [[addr1, 10], [addr2, 20], [addr3, 30]]);
+        await hre.run("snack:distribute", {file, token: tokenAddress, batchSize: 1, yes: true});
+
+        // interrupted run: row 0 mined but not recorded as done, row 1 dropped from the mempool
+        const state = readStateFile(file);
+        state.rows[0].status = "sent";
+        state.rows[1].status = "sent";
+        state.rows[1].txHash = ethers.id("dropped");
+        fs.writeFileSync(`${file}.state.json`, JSON.stringify(state));
+
+        const {pending, done} = await hre.run("snack:distribute", {file, token: tokenAddress, yes: true});
+
+        expect(pending.map((row) => row.address)).to.deep.equal([addr2.address]);
+        expect(done).to.have.lengthOf(3);
+        expect(await token.balanceOf(addr1.address)).to.equal(ethers.parseEther("10"));
+        expect(await token.balanceOf(addr2.address)).to.equal(ethers.parseEther("40"));
+        expect(await token.balanceOf(addr3.address)).to.equal(ethers.parseEther("30"));
+    });
+
+    it("Should list recipients without a Transfer in their batch", async function() {
+        const file = distributionFile("reconcile.csv", [[addr1, 10], [addr2, 20]]);
+        await hre.run("snack:distribute", {file, token: tokenAddress, batchSize: 1, yes: true});
+
+        // recorded against a transaction that didn't pay it, e.g. skipped by multiTransfer
+        const state = readStateFile(file);
+        state.rows[1].txHash = state.rows[0].txHash;
+        fs.writeFileSync(`${file}.state.json`, JSON.stringify(state));
+
+        const {pending, undelivered} = await hre.run("snack:distribute", {file, token: tokenAddress, yes: true});
+
+        expect(pending).to.have.lengthOf(0);
+        expect(undelivered.map((row) => [row.address, row.reason])).to.deep.equal([[addr2.address, "no transfer"]]);
+    });
+
+    it("Should not send anything when the file has errors", async function() {
+        const total = await token.balanceOf(owner.address);
+        const tooMuch = distributionFile("too-much.csv", [[addr1, 10], [addr2, ethers.formatEther(total)]]);
+        await expect(hre.run("snack:distribute", {file: tooMuch, token: tokenAddress, yes: true}))
+            .to.be.rejectedWith("Distribution has 1 error(s), nothing was sent");
+
+        const invalid = writeFile("invalid.csv", `address,amount\n0x1234,10\n${addr1.address},0\n${addr2.address},5\n${addr2.address},5\n`);
+        await expect(hre.run("snack:distribute", {file: invalid, token: tokenAddress, yes: true}))
+            .to.be.rejectedWith("Distribution has 3 error(s), nothing was sent");
+
+        expect(await token.balanceOf(addr1.address)).to.equal(0);
+        expect(await token.balanceOf(addr2.address)).to.equal(0);
+    });
+
+    it("Should simulate every batch and require confirmation before sending", async function() {
+        const file = distributionFile("checked.csv", [[addr1, 10], [addr2, 20], [addr3, 30]]);
+
+        // a frozen sender passes the file checks, but every batch would revert
+        await token.freezeAccount(owner.address, 3600, 0);
+        await expect(hre.run("snack:distribute", {file, token: tokenAddress, batchSize: 2, dryRun: true}))
+            .to.be.rejectedWith("Distribution has 2 error(s), nothing was sent");
+        await token.unfreezeAccount(owner.address);
+
+        // without a terminal (CI, scripts) the prompt can't be answered
+        const isTTY = process.stdin.isTTY;
+        process.stdin.isTTY = false;
+        try {
+            await expect(hre.run("snack:distribute", {file, token: tokenAddress}))
+                .to.be.rejectedWith("Confirmation required");
+        } finally {
+            process.stdin.isTTY = isTTY;
+        }
+        expect(await token.balanceOf(addr1.address)).to.equal(0);
+        expect(fs.existsSync(`${file}.state.json`)).to.be.false;
+    });
+
+    it("Should reject rows changed since the previous run", async function() {
+        const file = distributionFile("changed.csv", [[addr1, 10]]);
+        await hre.run("snack:distribute", {file, token: tokenAddress, yes: true});
+
+        distributionFile("changed.csv", [[addr1, 15]]);
+        await expect(hre.run("snack:distribute", {file, token: tokenAddress, yes: true}))
+            .to.be.rejectedWith("Distribution has 1 error(s), nothing was sent");
+        await expect(hre.run("snack:distribute", {file, token: tokenAddress, batchSize: 201, yes: true}))
+            .to.be.rejectedWith("Batch size must be between 1 and 200");
+    });
+});
@@ -0,0 +1,96 @@
+const {expect} = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+
+const {ethers} = hre;
+
+describe("snack:freeze task", function() {
+    const DAY = 24 * 60 * 60;
+
+    let token;
+    let owner;
+    let accounts;
+
+    beforeEach(async function() {
+        [owner, ...accounts] = await ethers.getSigners();
+        const Token = await ethers.getContractFactory("CryptoSnackToken");
+        token = await Token.deploy("CryptoSnack", "SNACK", 1000000, 0, 0, owner.address);
+    });
+
+    it("Should freeze the given accounts and return their freeze time", async function() {
+        const addresses = accounts.slice(0, 3).map((a) => a.address);
+        const rows = await hre.run("snack:freeze", {
+            addresses,
+            token: await token.getAddress(),
+            duration: 7 * DAY,
+            reason: 2,
+            yes: true,
+        });
+
+        expect(rows.map((row) => row.address)).to.deep.equal(addresses);
+        for (const row of rows) {
+            expect(row.frozen).to.be.true;
+            expect(row.freezeTime).to.equal(await token.getFreezeTime(row.address));
+        }
+    });
+
+    it("Should read addresses from a file and extend already frozen accounts", async function() {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "snack-freeze-"));
+        const file = path.join(dir, "accounts.csv");
+        fs.writeFileSync(file, ["address", accounts[0].address, accounts[1].address].join("\n"));
+
+        await token.freezeAccount(accounts[0].address, DAY, 1);
+        const frozenUntil = await token.getFreezeTime(accounts[0].address);
+
+        try {
+            await hre.run("snack:freeze", {file, token: await token.getAddress(), duration: DAY, yes: true});
+            expect(await token.getFreezeTime(accounts[0].address)).to.equal(frozenUntil);
+            expect(await token.isFrozen(accounts[1].address)).to.be.true;
+
+            await hre.run("snack:freeze", {file, token: await token.getAddress(), duration: DAY, extend: true, yes: true});
+            expect(await token.getFreezeTime(accounts[0].address)).to.equal(frozenUntil + BigInt(DAY));
+        } finally {
+            fs.rmSync(dir, {recursive: true, force: true});
+        }
+    });
+
+    it("Should unfreeze accounts", async function() {
+        await token.freezeAccount(accounts[0].address, DAY, 0);
+
+        const rows = await hre.run("snack:freeze", {
+            addresses: [accounts[0].address, accounts[1].address],
+            token: await token.getAddress(),
+            unfreeze: true,
+            yes: true,
+        });
+        expect(rows.map((row) => row.frozen)).to.deep.equal([false, false]);
+    });
+
+    it("Should reject an invalid duration before sending anything", async function() {
+        await expect(hre.run("snack:freeze", {
+            addresses: [accounts[0].address],
+            token: await token.getAddress(),
+            duration: 31 * DAY,
+        })).to.be.rejectedWith("Duration must be between");
+        expect(await token.isFrozen(accounts[0].address)).to.be.false;
+    });
+
+    it("Should only simulate in a dry run and require confirmation otherwise", async function() {
+        const args = {addresses: [accounts[0].address], token: await token.getAddress(), duration: DAY};
+
+        await hre.run("snack:freeze", {...args, dryRun: true});
+        expect(await token.isFrozen(accounts[0].address)).to.be.false;
+
+        // without a terminal (CI, scripts) the prompt can't be answered
+        const isTTY = process.stdin.isTTY;
+        process.stdin.isTTY = false;
+        try {
+            await expect(hre.run("snack:freeze", args)).to.be.rejectedWith("Confirmation required");
+        } finally {
+            process.stdin.isTTY = isTTY;
+        }
+        expect(await token.isFrozen(accounts[0].address)).to.be.false;
+    });
+});
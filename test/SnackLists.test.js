@@ -0,0 +1,111 @@
+const {expect} = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const {time} = require("@nomicfoundation/hardhat-network-helpers");
+const {getStorageLayout} = require("../tasks/upgrades");
+
+const {ethers} = hre;
+
+describe("snack:lists task", function() {
+    let token;
+    let tokenAddress;
+    let owner;
+    let addr1;
+    let addr2;
+    let addr3;
+    let addr4;
+    let addr5;
+    let addr6;
+
+    const FREEZE_DURATION = 24 * 60 * 60;
+
+    beforeEach(async function() {
+        [owner, addr1, addr2, addr3, addr4, addr5, addr6] = await ethers.getSigners();
+        const Token = await ethers.getContractFactory("CryptoSnackToken");
+        token = await Token.deploy("CryptoSnack", "SNACK", 1000000, 0, 0, owner.address);
+        tokenAddress = await token.getAddress();
+
+        await token.setBlacklist(addr1.address, true);
+        await token.setBlacklist(addr2.address, true);
+        await token.setBlacklist(addr2.address, false);
+        await token.setWhitelist(addr3.address, true);
+        await token.setDex(addr4.address, true);
+        await token.freezeAccount(addr5.address, FREEZE_DURATION, 3);
+        await token.freezeAccount(addr6.address, 60, 1); // expires below
+        await time.increase(120);
+    });
+
+    it("Should rebuild every list from events", async function() {
+        const {rows, warnings} = await hre.run("snack:lists", {token: tokenAddress, format: "json", out: os.devNull});
+
+        expect(warnings).to.deep.equal([]);
+        expect(rows.map(({list, address}) => [list, address])).to.deep.equal([
+            ["blacklist", addr1.address],
+            ["whitelist", addr3.address],
+            ["dex", addr4.address],
+            ["frozen", addr5.address],
+        ]);
+        const frozen = rows.find((row) => row.list === "frozen");
+        expect(frozen.reason).to.equal(3);
+        expect(frozen.frozenUntil).to.equal(
+            new Date(Number(await token.getFreezeTime(addr5.address)) * 1000).toISOString()
+        );
+        expect(rows.every((row) => row.verified)).to.be.true;
+    });
+
+    it("Should export selected lists as CSV", async function() {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "snack-lists-"));
+        const out = path.join(dir, "lists.csv");
+
+        try {
+            await token.unfreezeAccount(addr5.address);
+            await hre.run("snack:lists", {token: tokenAddress, list: "blacklist,frozen", format: "csv", out});
+
+            const lines = fs.readFileSync(out, "utf8").trim().split("\n");
+            expect(lines).to.deep.equal([
+                "list,address,frozenUntil,reason,verified",
+                `blacklist,${addr1.address},,,true`,
+            ]);
+        } finally {
+            fs.rmSync(dir, {recursive: true, force: true});
+        }
+    });
+
+    it("Should keep the list counts out of CSV printed to stdout", async function() {
+        let stdout = "";
+        const write = process.stdout.write;
+        process.stdout.write = (chunk) => {
+            stdout += chunk;
+            return true;
+        };
+        try {
+            await hre.run("snack:lists", {token: tokenAddress, list: "blacklist", format: "csv"});
+        } finally {
+            process.stdout.write = write;
+        }
+
+        expect(stdout.trim().split("\n")).to.deep.equal([
+            "list,address,frozenUntil,reason,verified",
+            `blacklist,${addr1.address},,,true`,
+        ]);
+    });
+
+    it("Should flag entries that don't match the getters", async function() {
+        // clear addr1's blacklist entry without an event
+        const {storage} = await getStorageLayout(hre, "CryptoSnackToken");
+        const {slot} = storage.find(({label}) => label === "_blacklist");
+        const key = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [addr1.address, slot]));
+        await ethers.provider.send("hardhat_setStorageAt", [tokenAddress, key, ethers.ZeroHash]);
+
+        const {rows, warnings} = await hre.run("snack:lists", {token: tokenAddress, list: "blacklist", format: "json", out: os.devNull});
+        expect(rows).to.deep.equal([{list: "blacklist", address: addr1.address, frozenUntil: "", reason: "", verified: false}]);
+        expect(warnings).to.deep.equal([`blacklist ${addr1.address}: events don't match isBlacklisted() (false)`]);
+    });
+
+    it("Should reject unknown lists", async function() {
+        await expect(hre.run("snack:lists", {token: tokenAddress, list: "blacklist,admins"}))
+            .to.be.rejectedWith("Unknown list admins");
+    });
+});
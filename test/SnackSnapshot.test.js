@@ -0,0 +1,109 @@
+const {expect} = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const {time, mine} = require("@nomicfoundation/hardhat-network-helpers");
+
+const {ethers} = hre;
+
+describe("snack:snapshot task", function() {
+    let token;
+    let vesting;
+    let tokenAddress;
+    let owner;
+    let addr1;
+    let addr2;
+    let addr3;
+
+    beforeEach(async function() {
+        [owner, addr1, addr2, addr3] = await ethers.getSigners();
+        const Token = await ethers.getContractFactory("CryptoSnackToken");
+        token = await Token.deploy("CryptoSnack", "SNACK", 1000000, 0, 0, owner.address);
+        tokenAddress = await token.getAddress();
+        const Vesting = await ethers.getContractFactory("CryptoSnackVesting");
+        vesting = await Vesting.deploy(tokenAddress);
+
+        await token.transfer(addr1.address, ethers.parseEther("1000"));
+        await token.transfer(await vesting.getAddress(), ethers.parseEther("500"));
+        const startTime = (await time.latest()) + 3600;
+        await vesting.createVestingSchedule(addr3.address, ethers.parseEther("500"), startTime, 7200, 14400, true);
+    });
+
+    it("Should export balances at the given block", async function() {
+        const block = await ethers.provider.getBlockNumber();
+        await token.connect(addr1).transfer(addr2.address, ethers.parseEther("400")); // after the snapshot
+        await mine();
+
+        const snapshot = await hre.run("snack:snapshot", {block, token: tokenAddress, format: "json"});
+        const balances = Object.fromEntries(snapshot.map((row) => [row.address, row.balance]));
+        expect(balances[addr1.address]).to.equal(ethers.parseEther("1000"));
+        expect(balances).to.not.have.property(addr2.address);
+        expect(balances[await vesting.getAddress()]).to.equal(ethers.parseEther("500"));
+        expect(snapshot[0].address).to.equal(owner.address); // largest holder first
+    });
+
+    it("Should count vested but unreleased vesting tokens for beneficiaries and write CSV", async function() {
+        const {startTime} = await vesting.getVestingSchedule(0);
+        await time.increaseTo(startTime + 9000n);
+        await vesting.connect(addr3).release(0);
+        const released = await token.balanceOf(addr3.address);
+        await time.increaseTo(startTime + 10800n); // 75% vested, the rest isn't owned yet
+        await mine();
+
+        const block = (await ethers.provider.getBlockNumber()) - 1;
+        const vested = await vesting.getReleasableAmount(0, {blockTag: block});
+        expect(vested).to.be.gt(0n);
+        expect(released + vested).to.be.lt(ethers.parseEther("500"));
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "snack-snapshot-"));
+        const out = path.join(dir, "snapshot.csv");
+        try {
+            await hre.run("snack:snapshot", {block, token: tokenAddress, vesting: await vesting.getAddress(), out});
+
+            const lines = fs.readFileSync(out, "utf8").trim().split("\n");
+            expect(lines[0]).to.equal("address,balance,vested,total");
+            expect(lines).to.include([
+                addr3.address,
+                ethers.formatEther(released),
+                ethers.formatEther(vested),
+                ethers.formatEther(released + vested),
+            ].join(","));
+            expect(lines).to.include(`${addr1.address},1000.0,0.0,1000.0`);
+            expect(lines.join("\n")).to.not.include(await vesting.getAddress());
+        } finally {
+            fs.rmSync(dir, {recursive: true, force: true});
+        }
+    });
+
+    it("Should not count vesting tokens before they vest", async function() {
+        await mine();
+        const snapshot = await hre.run("snack:snapshot", {token: tokenAddress, vesting: await vesting.getAddress(), format: "json", out: "/dev/null"});
+        expect(snapshot.map((row) => row.address)).to.not.include(addr3.address);
+    });
+
+    it("Should keep the summary out of CSV printed to stdout", async function() {
+        await mine();
+        let stdout = "";
+        const write = process.stdout.write;
+        process.stdout.write = (chunk) => {
+            stdout += chunk;
+            return true;
+        };
+        try {
+            await hre.run("snack:snapshot", {token: tokenAddress});
+        } finally {
+            process.stdout.write = write;
+        }
+
+        const lines = stdout.trim().split("\n");
+        expect(lines[0]).to.equal("address,balance");
+        expect(lines).to.have.length(4); // owner, addr1 and the vesting contract
+    });
+
+    it("Should reject blocks which are not finished", async function() {
+        const block = await ethers.provider.getBlockNumber();
+        await expect(hre.run("snack:snapshot", {block, token: tokenAddress}))
+            .to.be.rejectedWith("is not finished yet");
+    });
+});
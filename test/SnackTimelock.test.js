@@ -0,0 +1,109 @@
+const {expect} = require("chai");
+const hre = require("hardhat");
+const {time} = require("@nomicfoundation/hardhat-network-helpers");
+
+const {ethers} = hre;
+
+describe("snack:timelock tasks", function() {
+    const TIMELOCK_DELAY = 2 * 24 * 60 * 60;
+
+    let token;
+    let tokenAddress;
+    let owner;
+    let addr1;
+
+    beforeEach(async function() {
+        [owner, addr1] = await ethers.getSigners();
+        const Token = await ethers.getContractFactory("CryptoSnackToken");
+        token = await Token.deploy("CryptoSnack", "SNACK", 1000000, 500, 300, owner.address);
+        tokenAddress = await token.getAddress();
+        await token.openTrading();
+    });
+
+    it("Should queue, list and execute a change", async function() {
+        const {id, readyAt} = await hre.run("snack:timelock-queue", {
+            functionName: "setSellingTax",
+            params: ["700"],
+            token: tokenAddress,
+        });
+        expect(readyAt).to.equal(await token.getOperationReadyAt(id));
+
+        const [operation] = await hre.run("snack:timelock-list", {token: tokenAddress});
+        expect(operation.id).to.equal(id);
+        expect(operation.call).to.equal("setSellingTax(700)");
+        expect(operation.ready).to.be.false;
+
+        await expect(hre.run("snack:timelock-execute", {id, token: tokenAddress}))
+            .to.be.rejectedWith("is executable from");
+
+        await time.increase(TIMELOCK_DELAY);
+        expect(await hre.run("snack:timelock-execute", {token: tokenAddress})).to.deep.equal([id]);
+        expect(await token.getSellingTax()).to.equal(700);
+        expect(await hre.run("snack:timelock-list", {token: tokenAddress})).to.be.empty;
+    });
+
+    it("Should encode boolean arguments", async function() {
+        await hre.run("snack:timelock-queue", {
+            functionName: "setDex",
+            params: [addr1.address, "true"],
+            token: tokenAddress,
+        });
+        await hre.run("snack:timelock-queue", {functionName: "setBurnEnabled", params: ["false"], token: tokenAddress});
+        await time.increase(TIMELOCK_DELAY);
+
+        await hre.run("snack:timelock-execute", {token: tokenAddress});
+        expect(await token.isDex(addr1.address)).to.be.true;
+        expect(await token.getBurnEnabled()).to.be.false;
+    });
+
+    it("Should encode comma-separated array arguments", async function() {
+        const [, , addr2] = await ethers.getSigners();
+        await hre.run("snack:timelock-queue", {
+            functionName: "setDexBatch",
+            params: [`${addr1.address}, ${addr2.address}`, "true"],
+            token: tokenAddress,
+        });
+        await time.increase(TIMELOCK_DELAY);
+
+        await hre.run("snack:timelock-execute", {token: tokenAddress});
+        expect(await token.isDex(addr1.address)).to.be.true;
+        expect(await token.isDex(addr2.address)).to.be.true;
+    });
+
+    it("Should encode comma-separated tuple arguments", async function() {
+        await hre.run("snack:timelock-queue", {functionName: "setSellTaxSplit", params: ["5000,0,0,5000"], token: tokenAddress});
+        await time.increase(TIMELOCK_DELAY);
+
+        await hre.run("snack:timelock-execute", {token: tokenAddress});
+        expect(await token.getSellTaxSplit()).to.deep.equal([5000, 0, 0, 5000]);
+    });
+
+    it("Should simulate the change before queueing it", async function() {
+        await expect(hre.run("snack:timelock-queue", {functionName: "setSellingTax", params: ["2501"], token: tokenAddress}))
+            .to.be.rejectedWith("setSellingTax would revert when executed: TaxTooHigh(2501), nothing was queued");
+        await expect(hre.run("snack:timelock-queue", {
+            functionName: "setLiquidityWallet",
+            params: [ethers.ZeroAddress],
+            token: tokenAddress,
+        })).to.be.rejectedWith("InvalidTaxWallet()");
+        expect(await hre.run("snack:timelock-list", {token: tokenAddress})).to.be.empty;
+    });
+
+    it("Should not list cancelled operations", async function() {
+        const {id} = await hre.run("snack:timelock-queue", {
+            functionName: "setBuyingTax",
+            params: ["1000"],
+            token: tokenAddress,
+        });
+        await token.cancelOperation(id);
+
+        expect(await hre.run("snack:timelock-list", {token: tokenAddress})).to.be.empty;
+    });
+
+    it("Should reject functions which are not timelocked", async function() {
+        await expect(hre.run("snack:timelock-queue", {functionName: "setBlacklist", params: [addr1.address, "true"], token: tokenAddress}))
+            .to.be.rejectedWith("is not timelocked");
+        await expect(hre.run("snack:timelock-queue", {functionName: "setDex", params: [addr1.address], token: tokenAddress}))
+            .to.be.rejectedWith("expects 2 argument(s)");
+    });
+});
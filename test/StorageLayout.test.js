@@ -0,0 +1,77 @@
+const {expect} = require("chai");
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const {getStorageLayout, compareStorageLayouts} = require("../tasks/upgrades");
+
+// Fails when a change to the upgradeable contracts would corrupt the storage of deployed proxies.
+// After an intended upgrade is deployed, refresh the layouts with `npx hardhat snack:storage-layout --write`.
+describe("Storage layout", function() {
+    for (const contractName of ["CryptoSnackTokenUpgradeable", "CryptoSnackVestingUpgradeable"]) {
+        it(`Should keep the released storage layout of ${contractName}`, async function() {
+            const file = path.join(__dirname, "..", "storage-layout", `${contractName}.json`);
+            const reference = JSON.parse(fs.readFileSync(file, "utf8"));
+
+            expect(compareStorageLayouts(reference, await getStorageLayout(hre, contractName))).to.deep.equal([]);
+        });
+    }
+
+    describe("compareStorageLayouts", function() {
+        const variable = (label, slot, type = "t_uint256", offset = 0) => ({label, slot, offset, type});
+        const reference = {
+            storage: [variable("_a", "0"), variable("_b", "1", "t_address"), variable("_split", "2", "t_struct(Split)_storage")],
+            structs: {"t_struct(Split)_storage": [variable("buy", "0", "t_uint16"), variable("sell", "0", "t_uint16", 2)]},
+        };
+        const withStorage = (storage, structs = reference.structs) => ({storage, structs});
+
+        it("Should allow appended and renamed variables", async function() {
+            const current = withStorage([
+                variable("_a", "0"),
+                variable("_renamed", "1", "t_address"),
+                variable("_split", "2", "t_struct(Split)_storage"),
+                variable("_appended", "3"),
+            ], {"t_struct(Split)_storage": [...reference.structs["t_struct(Split)_storage"], variable("burn", "0", "t_bool", 4)]});
+
+            expect(compareStorageLayouts(reference, current)).to.deep.equal([]);
+        });
+
+        it("Should detect an inserted variable", async function() {
+            const current = withStorage([
+                variable("_a", "0"),
+                variable("_inserted", "1"),
+                variable("_b", "2", "t_address"),
+                variable("_split", "3", "t_struct(Split)_storage"),
+            ]);
+
+            expect(compareStorageLayouts(reference, current)).to.deep.equal([
+                "_b was replaced by _inserted (t_uint256)",
+                "_split was replaced by _b (t_address)",
+            ]);
+        });
+
+        it("Should detect a changed type", async function() {
+            const current = withStorage([
+                variable("_a", "0", "t_uint128"),
+                variable("_b", "1", "t_address"),
+                variable("_split", "2", "t_struct(Split)_storage"),
+            ]);
+
+            expect(compareStorageLayouts(reference, current)).to.deep.equal([
+                "_a changed type from t_uint256 to t_uint128",
+            ]);
+        });
+
+        it("Should detect removed variables and struct members", async function() {
+            const current = withStorage(
+                [variable("_a", "0"), variable("_b", "1", "t_address")],
+                {"t_struct(Split)_storage": [variable("sell", "0", "t_uint16", 2)]}
+            );
+
+            expect(compareStorageLayouts(reference, current)).to.deep.equal([
+                "_split was removed",
+                "t_struct(Split)_storage.buy moved from slot 0:0 to 0:2 (sell)",
+                "t_struct(Split)_storage.sell was removed",
+            ]);
+        });
+    });
+});
@@ -0,0 +1,290 @@
+const {expect} = require("chai");
+const {ethers} = require("hardhat");
+const {time} = require("@nomicfoundation/hardhat-network-helpers");
+const {anyValue} = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+describe("Swap and liquify", function() {
+    const SELLING_TAX = 500n; // 5%
+    const BUYING_TAX = 300n;  // 3%
+    const TAX_PRECISION = 10000n;
+    const THRESHOLD = ethers.parseEther("10");
+    const MAX_AMOUNT = ethers.parseEther("1000");
+    const MIN_PRICE = ethers.parseEther("0.0009"); // BNB per SNACK, the pool starts at 0.001
+
+    let token;
+    let pair;
+    let router;
+    let owner;
+    let trader;
+    let taxWallet;
+    let liquidityWallet;
+    let treasuryWallet;
+    let weth;
+
+    const split = (marketing, liquidity, burn, treasury) => ({marketing, liquidity, burn, treasury});
+
+    async function sell(amount) {
+        await token.connect(trader).approve(await router.getAddress(), amount);
+        return router.connect(trader).swapExactTokensForETHSupportingFeeOnTransferTokens(
+            amount, 0, [await token.getAddress(), weth.address], trader.address, ethers.MaxUint256);
+    }
+
+    async function buy(value) {
+        return router.connect(trader).swapExactETHForTokens(0, trader.address, {value});
+    }
+
+    async function executeTimelocked(functionName, args) {
+        const data = token.interface.encodeFunctionData(functionName, args);
+        await token.queueOperation(data);
+        await time.increase(2 * 24 * 60 * 60);
+        return token.executeOperation(data);
+    }
+
+    beforeEach(async function() {
+        [owner, trader, taxWallet, liquidityWallet, treasuryWallet, weth] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("CryptoSnackToken");
+        token = await Token.deploy("CryptoSnack", "SNACK", 1000000, SELLING_TAX, BUYING_TAX, owner.address);
+        const Pair = await ethers.getContractFactory("MockUniswapV2Pair");
+        pair = await Pair.deploy(await token.getAddress());
+        const Router = await ethers.getContractFactory("MockUniswapV2Router");
+        router = await Router.deploy(await pair.getAddress(), weth.address);
+
+        // initial liquidity: 100k SNACK / 100 BNB
+        await token.transfer(await pair.getAddress(), ethers.parseEther("100000"));
+        await pair.mint(owner.address, {value: ethers.parseEther("100")});
+        await token.transfer(trader.address, ethers.parseEther("10000"));
+
+        await token.setDex(await pair.getAddress(), true);
+        await token.setTaxWallet(taxWallet.address);
+        await token.setLiquidityWallet(liquidityWallet.address);
+        await token.setTreasuryWallet(treasuryWallet.address);
+        await token.setSellTaxSplit(split(5000, 4000, 0, 1000));
+        await token.setBuyTaxSplit(split(5000, 4000, 0, 1000));
+        await token.setSwapRouter(await router.getAddress());
+        await token.setSwapSettings(true, THRESHOLD, 500, MAX_AMOUNT, MIN_PRICE);
+        await token.openTrading();
+    });
+
+    describe("Configuration", function() {
+        it("Should validate swap settings", async function() {
+            await expect(token.setSwapSettings(true, 0, 500, MAX_AMOUNT, MIN_PRICE))
+                .to.be.revertedWithCustomError(token, "InvalidSwapSettings");
+            await expect(token.setSwapSettings(true, THRESHOLD, 2001, MAX_AMOUNT, MIN_PRICE))
+                .to.be.revertedWithCustomError(token, "InvalidSwapSettings");
+            await expect(token.setSwapSettings(true, THRESHOLD, 500, 0, MIN_PRICE))
+                .to.be.revertedWithCustomError(token, "InvalidSwapSettings");
+            await expect(token.setSwapSettings(true, THRESHOLD, 500, MAX_AMOUNT, 0))
+                .to.be.revertedWithCustomError(token, "InvalidSwapSettings");
+
+            const Token = await ethers.getContractFactory("CryptoSnackToken");
+            const fresh = await Token.deploy("CryptoSnack", "SNACK", 1000, 0, 0, owner.address);
+            await expect(fresh.setSwapRouter(ethers.ZeroAddress))
+                .to.be.revertedWithCustomError(fresh, "InvalidDexAddress");
+            await expect(fresh.setSwapSettings(true, THRESHOLD, 500, MAX_AMOUNT, MIN_PRICE))
+                .to.be.revertedWithCustomError(fresh, "InvalidSwapSettings");
+        });
+
+        it("Should emit events and expose the settings", async function() {
+            // the router is timelocked once trading is open
+            await expect(token.setSwapRouter(trader.address))
+                .to.be.revertedWithCustomError(token, "TimelockRequired");
+            await expect(executeTimelocked("setSwapRouter", [trader.address]))
+                .to.emit(token, "SwapRouterUpdated")
+                .withArgs(await router.getAddress(), trader.address);
+            await expect(token.setSwapSettings(false, THRESHOLD * 2n, 1000, THRESHOLD, MIN_PRICE))
+                .to.emit(token, "SwapSettingsUpdated")
+                .withArgs(false, THRESHOLD * 2n, 1000, THRESHOLD, MIN_PRICE);
+
+            expect(await token.getSwapRouter()).to.equal(trader.address);
+            expect(await token.getSwapSettings()).to.deep.equal([false, THRESHOLD * 2n, 1000n, THRESHOLD, MIN_PRICE]);
+        });
+
+        it("Should allow only owner to configure and trigger swaps", async function() {
+            await expect(token.connect(trader).setSwapRouter(trader.address))
+                .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+            await expect(token.connect(trader).setSwapSettings(false, THRESHOLD, 500, MAX_AMOUNT, MIN_PRICE))
+                .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+            await expect(token.connect(trader).swapAndLiquify())
+                .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("Accumulation", function() {
+        it("Should keep marketing and liquidity legs in the contract", async function() {
+            const amount = ethers.parseEther("100");
+            const tax = (amount * SELLING_TAX) / TAX_PRECISION;
+
+            await expect(sell(amount))
+                .to.emit(token, "TaxDistributed").withArgs(0, trader.address, await token.getAddress(), tax / 2n);
+
+            expect(await token.getAccumulatedTax()).to.deep.equal([tax / 2n, (tax * 4n) / 10n]);
+            expect(await token.balanceOf(await token.getAddress())).to.equal(tax / 2n + (tax * 4n) / 10n);
+            expect(await token.balanceOf(treasuryWallet.address)).to.equal(tax / 10n);
+            expect(await token.balanceOf(taxWallet.address)).to.equal(0);
+        });
+
+        it("Should accumulate buy taxes without swapping", async function() {
+            await token.setSwapSettings(true, 1, 500, MAX_AMOUNT, MIN_PRICE);
+            await buy(ethers.parseEther("1"));
+
+            const [marketing, liquidity] = await token.getAccumulatedTax();
+            expect(marketing).to.be.gt(0);
+            expect(liquidity).to.be.gt(0);
+        });
+
+        it("Should send tax to the wallets when disabled", async function() {
+            await token.setSwapSettings(false, THRESHOLD, 500, MAX_AMOUNT, MIN_PRICE);
+            const amount = ethers.parseEther("100");
+            await sell(amount);
+
+            const tax = (amount * SELLING_TAX) / TAX_PRECISION;
+            expect(await token.balanceOf(taxWallet.address)).to.equal(tax / 2n);
+            expect(await token.getAccumulatedTax()).to.deep.equal([0n, 0n]);
+        });
+    });
+
+    describe("Swapping", function() {
+        it("Should not swap below the threshold", async function() {
+            await sell(ethers.parseEther("100")); // 5 SNACK tax, 4.5 accumulated
+            await expect(sell(ethers.parseEther("100"))).to.not.emit(token, "SwapAndLiquify");
+        });
+
+        it("Should swap to BNB and add liquidity on a sell over the threshold", async function() {
+            await sell(ethers.parseEther("300")); // 15 SNACK tax, 13.5 accumulated
+            const [marketing, liquidity] = await token.getAccumulatedTax();
+            expect(marketing + liquidity).to.be.gte(THRESHOLD);
+            const taxWalletBalance = await ethers.provider.getBalance(taxWallet.address);
+            await expect(sell(ethers.parseEther("100")))
+                .to.emit(token, "SwapAndLiquify");
+
+            expect(await pair.liquidityOf(liquidityWallet.address)).to.be.gt(0);
+            expect(await ethers.provider.getBalance(taxWallet.address)).to.be.gt(taxWalletBalance);
+            expect(await ethers.provider.getBalance(await token.getAddress())).to.equal(0);
+
+            // only the tax of the triggering sell is left
+            const tax = (ethers.parseEther("100") * SELLING_TAX) / TAX_PRECISION;
+            expect(await token.getAccumulatedTax()).to.deep.equal([tax / 2n, (tax * 4n) / 10n]);
+            expect(await token.balanceOf(await token.getAddress())).to.equal(tax / 2n + (tax * 4n) / 10n);
+        });
+
+        it("Should let owner swap before the threshold is reached", async function() {
+            await sell(ethers.parseEther("100"));
+            await expect(token.swapAndLiquify()).to.emit(token, "SwapAndLiquify");
+            expect(await token.getAccumulatedTax()).to.deep.equal([0n, 0n]);
+            expect(await token.balanceOf(await token.getAddress())).to.equal(0);
+        });
+
+        it("Should keep selling and retry later if the router fails", async function() {
+            await sell(ethers.parseEther("300"));
+            const accumulated = await token.getAccumulatedTax();
+
+            await router.setFailing(true);
+            await expect(sell(ethers.parseEther("100"))).to.be.revertedWith("MockRouter: FAILING");
+
+            // a direct transfer to the pair is still a sell, but doesn't go through the failing router
+            await expect(token.connect(trader).transfer(await pair.getAddress(), ethers.parseEther("100")))
+                .to.emit(token, "SwapAndLiquifyFailed");
+            const [marketing] = await token.getAccumulatedTax();
+            expect(marketing).to.be.gt(accumulated[0]);
+
+            await router.setFailing(false);
+            await expect(token.swapAndLiquify()).to.emit(token, "SwapAndLiquify");
+        });
+
+        it("Should not sell below the minimum price", async function() {
+            await sell(ethers.parseEther("300"));
+            const accumulated = await token.getAccumulatedTax();
+
+            // a sandwiching seller pushes the price below the minimum, wherever the router quotes it
+            await executeTimelocked("setWhitelist", [owner.address, true]);
+            await token.approve(await router.getAddress(), ethers.parseEther("20000"));
+            await router.swapExactTokensForETHSupportingFeeOnTransferTokens(
+                ethers.parseEther("20000"), 0, [await token.getAddress(), weth.address], owner.address, ethers.MaxUint256);
+            await expect(token.swapAndLiquify()).to.emit(token, "SwapAndLiquifyFailed");
+            expect(await token.getAccumulatedTax()).to.deep.equal(accumulated);
+
+            await token.setSwapSettings(true, THRESHOLD, 500, MAX_AMOUNT, MIN_PRICE / 2n);
+            await expect(token.swapAndLiquify()).to.emit(token, "SwapAndLiquify");
+        });
+
+        it("Should retry a swap failed below the minimum price once the price recovers", async function() {
+            await sell(ethers.parseEther("300"));
+            await executeTimelocked("setWhitelist", [owner.address, true]);
+            await token.approve(await router.getAddress(), ethers.parseEther("20000"));
+            await router.swapExactTokensForETHSupportingFeeOnTransferTokens(
+                ethers.parseEther("20000"), 0, [await token.getAddress(), weth.address], owner.address, ethers.MaxUint256);
+
+            await expect(token.connect(trader).transfer(await pair.getAddress(), ethers.parseEther("100")))
+                .to.emit(token, "SwapAndLiquifyFailed");
+            const [marketing, liquidity] = await token.getAccumulatedTax();
+            expect(marketing + liquidity).to.be.gte(THRESHOLD);
+
+            // the price is back over the minimum, the next sell swaps with the same settings
+            await router.swapExactETHForTokens(0, owner.address, {value: ethers.parseEther("25")});
+            const taxWalletBalance = await ethers.provider.getBalance(taxWallet.address);
+            await expect(sell(ethers.parseEther("100"))).to.emit(token, "SwapAndLiquify");
+            expect(await ethers.provider.getBalance(taxWallet.address)).to.be.gt(taxWalletBalance);
+        });
+
+        it("Should swap at most the max amount per run", async function() {
+            await sell(ethers.parseEther("300"));
+            const [marketing, liquidity] = await token.getAccumulatedTax();
+            const balance = await token.balanceOf(await token.getAddress());
+
+            const maxAmount = ethers.parseEther("5");
+            await token.setSwapSettings(true, THRESHOLD, 500, maxAmount, MIN_PRICE);
+            const marketingSwapped = (marketing * maxAmount) / (marketing + liquidity);
+            const liquiditySwapped = maxAmount - marketingSwapped;
+            await expect(token.swapAndLiquify()).to.emit(token, "SwapAndLiquify")
+                .withArgs(marketingSwapped + liquiditySwapped - liquiditySwapped / 2n, anyValue, liquiditySwapped / 2n, anyValue);
+
+            expect(await token.getAccumulatedTax())
+                .to.deep.equal([marketing - marketingSwapped, liquidity - liquiditySwapped]);
+            expect(await token.balanceOf(await token.getAddress())).to.equal(balance - maxAmount);
+        });
+
+        it("Should keep the liquidity BNB in the contract if adding liquidity fails", async function() {
+            await sell(ethers.parseEther("300"));
+            const [marketing, liquidity] = await token.getAccumulatedTax();
+            const taxWalletBalance = await ethers.provider.getBalance(taxWallet.address);
+
+            await router.setFailingLiquidity(true);
+            const tx = await token.swapAndLiquify();
+            const swapTokens = marketing + liquidity - liquidity / 2n;
+            const {args} = (await tx.wait()).logs.map((log) => token.interface.parseLog(log))
+                .find((event) => event?.name === "SwapAndLiquify");
+            const liquidityBnb = (args.bnbReceived * (liquidity - liquidity / 2n)) / swapTokens;
+
+            expect(args.tokensIntoLiquidity).to.equal(0);
+            expect(await ethers.provider.getBalance(await token.getAddress())).to.equal(liquidityBnb);
+            expect(await ethers.provider.getBalance(taxWallet.address))
+                .to.equal(taxWalletBalance + args.bnbReceived - liquidityBnb);
+            // the pairing half is retried on the next run
+            expect(await token.getAccumulatedTax()).to.deep.equal([0n, liquidity / 2n]);
+        });
+
+        it("Should not revert sells if the router has no WETH", async function() {
+            await executeTimelocked("setSwapRouter", [await pair.getAddress()]);
+            await sell(ethers.parseEther("300"));
+            await expect(token.connect(trader).transfer(await pair.getAddress(), ethers.parseEther("100")))
+                .to.emit(token, "SwapAndLiquifyFailed");
+        });
+
+        it("Should not tax tokens leaving the contract", async function() {
+            await sell(ethers.parseEther("300"));
+            const treasuryBalance = await token.balanceOf(treasuryWallet.address);
+
+            await token.swapAndLiquify();
+            expect(await token.balanceOf(treasuryWallet.address)).to.equal(treasuryBalance);
+        });
+
+        it("Should reset accumulated tax when reclaimed by owner", async function() {
+            await sell(ethers.parseEther("100"));
+            await token.reclaimToken(await token.getAddress());
+
+            expect(await token.getAccumulatedTax()).to.deep.equal([0n, 0n]);
+            expect(await token.balanceOf(await token.getAddress())).to.equal(0);
+        });
+    });
+});
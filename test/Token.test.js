@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildPermit, signPermit } = require("../lib/permit");
 
 describe("CryptoSnackToken", function () {
     let TokenFactory;
@@ -18,6 +20,17 @@ describe("CryptoSnackToken", function () {
     const INITIAL_BUYING_TAX = 300;  // 3%
     const MAX_TAX = 2500;            // 25%
     const TAX_PRECISION = 10000;
+    const FREEZE_DURATION = 24 * 60 * 60;
+    const MAX_FREEZE_DURATION = 30 * 24 * 60 * 60;
+    const TIMELOCK_DELAY = 2 * 24 * 60 * 60;
+
+    // timelocked setters go through the queue once trading is open
+    async function executeTimelocked(contract, functionName, args) {
+        const data = contract.interface.encodeFunctionData(functionName, args);
+        await contract.queueOperation(data);
+        await time.increase(TIMELOCK_DELAY);
+        return contract.executeOperation(data);
+    }
 
     beforeEach(async function () {
         [owner, addr1, addr2, addr3, addr4, ...addrs] = await ethers.getSigners();
@@ -130,10 +143,25 @@ describe("CryptoSnackToken", function () {
                 .to.be.revertedWithCustomError(token, "InvalidDexAddress");
         });
 
+        it("Should set DEX addresses in batches", async function () {
+            await expect(token.setDexBatch([addr1.address, addr2.address], true))
+                .to.emit(token, "DexStatusChanged").withArgs(addr1.address, true)
+                .and.to.emit(token, "DexStatusChanged").withArgs(addr2.address, true);
+            expect(await token.isDex(addr2.address)).to.be.true;
+
+            await token.setDexBatch([addr1.address], false);
+            expect(await token.isDex(addr1.address)).to.be.false;
+
+            await expect(token.setDexBatch([addr3.address, ethers.ZeroAddress], true))
+                .to.be.revertedWithCustomError(token, "InvalidDexAddress");
+            await expect(token.setDexBatch([], true)).to.be.revertedWithCustomError(token, "InvalidBatchLength");
+        });
+
         it("New Test: Should tax both buy and sell if transferring from one DEX to another", async function () {
             await token.setTaxWallet(addr3.address);
             await token.setDex(addr1.address, true);
             await token.setDex(addr2.address, true);
+            await token.openTrading();
 
             // Move tokens to addr1 and addr2 first
             const bigAmount = ethers.parseEther("1000");
@@ -155,6 +183,445 @@ describe("CryptoSnackToken", function () {
         });
     });
 
+    describe("Per-DEX Taxes", function () {
+        const DEX_BUY_TAX = 100;   // 1%
+        const DEX_SELL_TAX = 1000; // 10%
+        const amount = ethers.parseEther("100");
+
+        function tax(value, rate) {
+            return (value * BigInt(rate)) / BigInt(TAX_PRECISION);
+        }
+
+        beforeEach(async function () {
+            // addr1 and addr2 are DEXes, addr4 a trader
+            await token.transfer(addr1.address, ethers.parseEther("1000"));
+            await token.transfer(addr4.address, ethers.parseEther("1000"));
+            await token.setTaxWallet(addr3.address);
+            await token.setDex(addr1.address, true);
+            await token.setDex(addr2.address, true);
+            await token.openTrading();
+        });
+
+        it("Should validate and store custom DEX rates", async function () {
+            await expect(token.setDexTaxes(ethers.ZeroAddress, true, 0, 0))
+                .to.be.revertedWithCustomError(token, "TimelockRequired");
+
+            const fresh = await TokenFactory.deploy(NAME, SYMBOL, INITIAL_SUPPLY, 0, 0, owner.address);
+            await expect(fresh.setDexTaxes(ethers.ZeroAddress, true, 0, 0))
+                .to.be.revertedWithCustomError(fresh, "InvalidDexAddress");
+            await expect(fresh.setDexTaxes(addr1.address, true, MAX_TAX + 1, 0))
+                .to.be.revertedWithCustomError(fresh, "TaxTooHigh");
+            await expect(fresh.setDexTaxes(addr1.address, true, 0, MAX_TAX + 1))
+                .to.be.revertedWithCustomError(fresh, "TaxTooHigh");
+            await expect(fresh.connect(addr1).setDexTaxes(addr1.address, true, 0, 0))
+                .to.be.revertedWithCustomError(fresh, "AccessControlUnauthorizedAccount");
+
+            await expect(fresh.setDexTaxes(addr1.address, true, DEX_BUY_TAX, DEX_SELL_TAX))
+                .to.emit(fresh, "DexTaxesUpdated")
+                .withArgs(addr1.address, true, DEX_BUY_TAX, DEX_SELL_TAX);
+            const dexTaxes = await fresh.getDexTaxes(addr1.address);
+            expect(dexTaxes.custom).to.be.true;
+            expect(dexTaxes.buyTax).to.equal(DEX_BUY_TAX);
+            expect(dexTaxes.sellTax).to.equal(DEX_SELL_TAX);
+        });
+
+        it("Should apply custom rates and fall back to the global ones", async function () {
+            const fresh = await TokenFactory.deploy(
+                NAME, SYMBOL, INITIAL_SUPPLY, INITIAL_SELLING_TAX, INITIAL_BUYING_TAX, owner.address
+            );
+            await fresh.transfer(addr1.address, ethers.parseEther("1000"));
+            await fresh.transfer(addr4.address, ethers.parseEther("1000"));
+            await fresh.setTaxWallet(addr3.address);
+            await fresh.setDex(addr1.address, true);
+            await fresh.setDex(addr2.address, true);
+            await fresh.setDexTaxes(addr1.address, true, DEX_BUY_TAX, DEX_SELL_TAX);
+            await fresh.openTrading();
+
+            // buy from the custom DEX, sell to the global one
+            await fresh.connect(addr1).transfer(addr4.address, amount);
+            expect(await fresh.balanceOf(addr3.address)).to.equal(tax(amount, DEX_BUY_TAX));
+            await fresh.connect(addr4).transfer(addr2.address, amount);
+            expect(await fresh.balanceOf(addr3.address))
+                .to.equal(tax(amount, DEX_BUY_TAX) + tax(amount, INITIAL_SELLING_TAX));
+
+            expect(await fresh.getEffectiveTaxes(addr4.address, addr1.address)).to.deep.equal([0n, BigInt(DEX_SELL_TAX)]);
+            expect(await fresh.getEffectiveTaxes(addr2.address, addr4.address))
+                .to.deep.equal([BigInt(INITIAL_BUYING_TAX), 0n]);
+
+            // custom rates of 0 are kept, unlike `custom = false`
+            const data = fresh.interface.encodeFunctionData("setDexTaxes", [addr1.address, true, 0, 0]);
+            await fresh.queueOperation(data);
+            await time.increase(2 * 24 * 60 * 60);
+            await fresh.executeOperation(data);
+            expect(await fresh.getEffectiveTaxes(addr1.address, addr4.address)).to.deep.equal([0n, 0n]);
+
+            const reset = fresh.interface.encodeFunctionData("setDexTaxes", [addr1.address, false, 0, 0]);
+            await fresh.queueOperation(reset);
+            await time.increase(2 * 24 * 60 * 60);
+            await fresh.executeOperation(reset);
+            expect(await fresh.getEffectiveTaxes(addr1.address, addr4.address))
+                .to.deep.equal([BigInt(INITIAL_BUYING_TAX), 0n]);
+        });
+
+        it("Should exempt accounts from buy or sell taxes only", async function () {
+            await expect(token.connect(addr1).setTaxExemption(addr4.address, true, false))
+                .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+            await expect(token.setTaxExemption(addr4.address, true, false))
+                .to.be.revertedWithCustomError(token, "TimelockRequired");
+            await expect(executeTimelocked(token, "setTaxExemption", [addr4.address, true, false]))
+                .to.emit(token, "TaxExemptionChanged")
+                .withArgs(addr4.address, true, false);
+            const exemption = await token.getTaxExemption(addr4.address);
+            expect(exemption.buy).to.be.true;
+            expect(exemption.sell).to.be.false;
+
+            await token.connect(addr1).transfer(addr4.address, amount);
+            expect(await token.balanceOf(addr3.address)).to.equal(0);
+            await token.connect(addr4).transfer(addr2.address, amount);
+            expect(await token.balanceOf(addr3.address)).to.equal(tax(amount, INITIAL_SELLING_TAX));
+
+            await executeTimelocked(token, "setTaxExemption", [addr4.address, false, true]);
+            expect(await token.getEffectiveTaxes(addr1.address, addr4.address))
+                .to.deep.equal([BigInt(INITIAL_BUYING_TAX), 0n]);
+            expect(await token.getEffectiveTaxes(addr4.address, addr2.address)).to.deep.equal([0n, 0n]);
+        });
+
+        it("Should tax DEX-to-DEX transfers according to the mode", async function () {
+            expect(await token.getDexToDexTax()).to.equal(0);
+            expect(await token.getEffectiveTaxes(addr1.address, addr2.address))
+                .to.deep.equal([BigInt(INITIAL_BUYING_TAX), BigInt(INITIAL_SELLING_TAX)]);
+
+            const fresh = await TokenFactory.deploy(
+                NAME, SYMBOL, INITIAL_SUPPLY, INITIAL_SELLING_TAX, INITIAL_BUYING_TAX, owner.address
+            );
+            await fresh.transfer(addr1.address, amount);
+            await fresh.setDex(addr1.address, true);
+            await fresh.setDex(addr2.address, true);
+            const expected = [
+                [1, [BigInt(INITIAL_BUYING_TAX), 0n]],
+                [2, [0n, BigInt(INITIAL_SELLING_TAX)]],
+                [3, [0n, 0n]],
+                [0, [BigInt(INITIAL_BUYING_TAX), BigInt(INITIAL_SELLING_TAX)]],
+            ];
+            for (const [mode, taxes] of expected) {
+                await expect(fresh.setDexToDexTax(mode)).to.emit(fresh, "DexToDexTaxUpdated").withArgs(mode);
+                expect(await fresh.getEffectiveTaxes(addr1.address, addr2.address)).to.deep.equal(taxes);
+                // trades with regular accounts aren't affected
+                expect(await fresh.getEffectiveTaxes(addr1.address, addr4.address))
+                    .to.deep.equal([BigInt(INITIAL_BUYING_TAX), 0n]);
+            }
+
+            await fresh.setTaxWallet(addr3.address);
+            await fresh.setDexToDexTax(2);
+            await fresh.openTrading();
+            await fresh.connect(addr1).transfer(addr2.address, amount);
+            expect(await fresh.balanceOf(addr3.address)).to.equal(tax(amount, INITIAL_SELLING_TAX));
+            expect(await fresh.balanceOf(addr2.address)).to.equal(amount - tax(amount, INITIAL_SELLING_TAX));
+        });
+
+        it("Should report no taxes for whitelisted accounts or when taxes are disabled", async function () {
+            await executeTimelocked(token, "setWhitelist", [addr4.address, true]);
+            expect(await token.getEffectiveTaxes(addr1.address, addr4.address)).to.deep.equal([0n, 0n]);
+            expect(await token.getEffectiveTaxes(addr4.address, addr2.address)).to.deep.equal([0n, 0n]);
+
+            await executeTimelocked(token, "setTaxEnabled", [false]);
+            expect(await token.getEffectiveTaxes(addr1.address, addr2.address)).to.deep.equal([0n, 0n]);
+        });
+
+        it("Should apply launch taxes on top of custom rates", async function () {
+            const LAUNCH_DURATION = 3600;
+            const fresh = await TokenFactory.deploy(
+                NAME, SYMBOL, INITIAL_SUPPLY, INITIAL_SELLING_TAX, INITIAL_BUYING_TAX, owner.address
+            );
+            await fresh.setDex(addr1.address, true);
+            await fresh.setDexTaxes(addr1.address, true, DEX_BUY_TAX, DEX_SELL_TAX);
+            await fresh.setLaunchConfig(3000, 4000, LAUNCH_DURATION);
+            await fresh.openTrading();
+            expect(await fresh.getEffectiveTaxes(addr1.address, addr4.address)).to.deep.equal([3000n, 0n]);
+            expect(await fresh.getEffectiveTaxes(addr4.address, addr1.address)).to.deep.equal([0n, 4000n]);
+
+            await time.increase(LAUNCH_DURATION);
+            expect(await fresh.getEffectiveTaxes(addr1.address, addr4.address))
+                .to.deep.equal([BigInt(DEX_BUY_TAX), 0n]);
+            expect(await fresh.getEffectiveTaxes(addr4.address, addr1.address))
+                .to.deep.equal([0n, BigInt(DEX_SELL_TAX)]);
+        });
+    });
+
+    describe("Launch Mode", function () {
+        const LAUNCH_BUY_TAX = 3000;  // 30%
+        const LAUNCH_SELL_TAX = 4000; // 40%
+        const LAUNCH_DURATION = 3600; // 1 hour
+
+        beforeEach(async function () {
+            await token.setTaxWallet(addr3.address);
+            await token.setDex(addr2.address, true);
+            await token.transfer(addr1.address, ethers.parseEther("1000"));
+        });
+
+        // tax rate expected at `timestamp` for the given launch and base rates
+        function expectedTax(launchTax, tax, openedAt, timestamp) {
+            const elapsed = timestamp - openedAt;
+            if (launchTax <= tax || elapsed >= LAUNCH_DURATION) return BigInt(tax);
+            return BigInt(tax) + (BigInt(launchTax - tax) * BigInt(LAUNCH_DURATION - elapsed)) / BigInt(LAUNCH_DURATION);
+        }
+
+        it("Should block DEX transfers of non-whitelisted accounts before trading is open", async function () {
+            expect(await token.isTradingOpen()).to.be.false;
+            await expect(token.connect(addr1).transfer(addr2.address, 1))
+                .to.be.revertedWithCustomError(token, "TradingNotOpen");
+
+            // wallet-to-wallet transfers are not affected
+            await expect(token.connect(addr1).transfer(addr4.address, 1)).to.not.be.reverted;
+        });
+
+        it("Should allow whitelisted accounts to add liquidity before trading is open", async function () {
+            await token.setWhitelist(owner.address, true);
+            await token.transfer(addr2.address, ethers.parseEther("1000"));
+            expect(await token.balanceOf(addr2.address)).to.equal(ethers.parseEther("1000"));
+        });
+
+        it("Should open trading only once", async function () {
+            await expect(token.openTrading()).to.emit(token, "TradingOpened");
+            expect(await token.isTradingOpen()).to.be.true;
+            expect(await token.getTradingOpenedAt()).to.equal(await time.latest());
+
+            await expect(token.openTrading()).to.be.revertedWithCustomError(token, "TradingAlreadyOpen");
+            await expect(token.setLaunchConfig(LAUNCH_BUY_TAX, LAUNCH_SELL_TAX, LAUNCH_DURATION))
+                .to.be.revertedWithCustomError(token, "TradingAlreadyOpen");
+        });
+
+        it("Should validate the launch config", async function () {
+            await expect(token.setLaunchConfig(5001, 0, LAUNCH_DURATION))
+                .to.be.revertedWithCustomError(token, "TaxTooHigh");
+            await expect(token.setLaunchConfig(0, 5001, LAUNCH_DURATION))
+                .to.be.revertedWithCustomError(token, "TaxTooHigh");
+            await expect(token.setLaunchConfig(0, 0, 24 * 60 * 60 + 1))
+                .to.be.revertedWithCustomError(token, "InvalidLaunchDuration");
+            await expect(token.connect(addr1).setLaunchConfig(0, 0, 0))
+                .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+
+            await expect(token.setLaunchConfig(LAUNCH_BUY_TAX, LAUNCH_SELL_TAX, LAUNCH_DURATION))
+                .to.emit(token, "LaunchConfigUpdated")
+                .withArgs(LAUNCH_BUY_TAX, LAUNCH_SELL_TAX, LAUNCH_DURATION);
+            const config = await token.getLaunchConfig();
+            expect(config.buyTax).to.equal(LAUNCH_BUY_TAX);
+            expect(config.sellTax).to.equal(LAUNCH_SELL_TAX);
+            expect(config.duration).to.equal(LAUNCH_DURATION);
+        });
+
+        it("Should decay launch taxes to the configured taxes", async function () {
+            await token.setLaunchConfig(LAUNCH_BUY_TAX, LAUNCH_SELL_TAX, LAUNCH_DURATION);
+            await token.openTrading();
+            const openedAt = await time.latest();
+
+            expect(await token.getCurrentBuyingTax()).to.equal(LAUNCH_BUY_TAX);
+            expect(await token.getCurrentSellingTax()).to.equal(LAUNCH_SELL_TAX);
+
+            for (const offset of [600, 1800, 3599]) {
+                await time.increaseTo(openedAt + offset);
+                expect(await token.getCurrentBuyingTax())
+                    .to.equal(expectedTax(LAUNCH_BUY_TAX, INITIAL_BUYING_TAX, openedAt, openedAt + offset));
+                expect(await token.getCurrentSellingTax())
+                    .to.equal(expectedTax(LAUNCH_SELL_TAX, INITIAL_SELLING_TAX, openedAt, openedAt + offset));
+            }
+
+            await time.increaseTo(openedAt + LAUNCH_DURATION);
+            expect(await token.getCurrentBuyingTax()).to.equal(INITIAL_BUYING_TAX);
+            expect(await token.getCurrentSellingTax()).to.equal(INITIAL_SELLING_TAX);
+        });
+
+        it("Should charge launch taxes on DEX trades during the launch window", async function () {
+            await token.setLaunchConfig(LAUNCH_BUY_TAX, LAUNCH_SELL_TAX, LAUNCH_DURATION);
+            await token.openTrading();
+            const openedAt = await time.latest();
+
+            const amount = ethers.parseEther("100");
+            await time.setNextBlockTimestamp(openedAt + 900);
+            await token.connect(addr1).transfer(addr2.address, amount);
+
+            const sellTax = expectedTax(LAUNCH_SELL_TAX, INITIAL_SELLING_TAX, openedAt, openedAt + 900);
+            expect(await token.balanceOf(addr3.address)).to.equal((amount * sellTax) / BigInt(TAX_PRECISION));
+
+            await time.setNextBlockTimestamp(openedAt + LAUNCH_DURATION + 1);
+            await token.connect(addr1).transfer(addr2.address, amount);
+            const afterLaunch = (amount * BigInt(INITIAL_SELLING_TAX)) / BigInt(TAX_PRECISION);
+            expect(await token.balanceOf(addr3.address)).to.equal((amount * sellTax) / BigInt(TAX_PRECISION) + afterLaunch);
+        });
+
+        it("Should not lower taxes when launch taxes are below the configured ones", async function () {
+            await token.setLaunchConfig(100, 100, LAUNCH_DURATION);
+            await token.openTrading();
+            expect(await token.getCurrentBuyingTax()).to.equal(INITIAL_BUYING_TAX);
+            expect(await token.getCurrentSellingTax()).to.equal(INITIAL_SELLING_TAX);
+        });
+    });
+
+    describe("Timelock", function () {
+        function encode(functionName, args) {
+            return token.interface.encodeFunctionData(functionName, args);
+        }
+
+        beforeEach(async function () {
+            await token.openTrading();
+        });
+
+        it("Should allow direct changes until trading is open", async function () {
+            const fresh = await TokenFactory.deploy(NAME, SYMBOL, INITIAL_SUPPLY, 0, 0, owner.address);
+            await expect(fresh.setSellingTax(MAX_TAX)).to.not.be.reverted;
+            await expect(fresh.setBurnEnabled(true)).to.not.be.reverted;
+        });
+
+        it("Should require the timelock once trading is open", async function () {
+            await expect(token.setSellingTax(MAX_TAX)).to.be.revertedWithCustomError(token, "TimelockRequired");
+            await expect(token.setBuyingTax(MAX_TAX)).to.be.revertedWithCustomError(token, "TimelockRequired");
+            await expect(token.setTaxWallet(addr1.address)).to.be.revertedWithCustomError(token, "TimelockRequired");
+            await expect(token.setDex(addr1.address, true)).to.be.revertedWithCustomError(token, "TimelockRequired");
+            await expect(token.setBurnEnabled(true)).to.be.revertedWithCustomError(token, "TimelockRequired");
+            await expect(token.setDexTaxes(addr1.address, true, 0, 0))
+                .to.be.revertedWithCustomError(token, "TimelockRequired");
+            await expect(token.setDexToDexTax(3)).to.be.revertedWithCustomError(token, "TimelockRequired");
+            await expect(token.setDexBatch([addr1.address], true))
+                .to.be.revertedWithCustomError(token, "TimelockRequired");
+            await expect(token.setTaxEnabled(false)).to.be.revertedWithCustomError(token, "TimelockRequired");
+            await expect(token.setTaxExemption(addr1.address, true, true))
+                .to.be.revertedWithCustomError(token, "TimelockRequired");
+            await expect(token.setWhitelist(addr1.address, true)).to.be.revertedWithCustomError(token, "TimelockRequired");
+            await expect(token.setWhitelistBatch([addr1.address], true))
+                .to.be.revertedWithCustomError(token, "TimelockRequired");
+            await expect(token.setLiquidityWallet(addr1.address))
+                .to.be.revertedWithCustomError(token, "TimelockRequired");
+            await expect(token.setTreasuryWallet(addr1.address))
+                .to.be.revertedWithCustomError(token, "TimelockRequired");
+            await expect(token.setBuyTaxSplit({marketing: 0, liquidity: 0, burn: TAX_PRECISION, treasury: 0}))
+                .to.be.revertedWithCustomError(token, "TimelockRequired");
+            await expect(token.setSellTaxSplit({marketing: 0, liquidity: 0, burn: TAX_PRECISION, treasury: 0}))
+                .to.be.revertedWithCustomError(token, "TimelockRequired");
+            await expect(token.setSwapRouter(addr1.address)).to.be.revertedWithCustomError(token, "TimelockRequired");
+            await expect(token.connect(addr1).setSellingTax(MAX_TAX))
+                .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should execute a queued change after the delay", async function () {
+            const data = encode("setSellingTax", [MAX_TAX]);
+            const id = ethers.keccak256(data);
+
+            const tx = token.queueOperation(data);
+            const readyAt = (await time.latest()) + 1 + TIMELOCK_DELAY;
+            await expect(tx).to.emit(token, "OperationQueued").withArgs(id, data, readyAt);
+            expect(await token.getOperationReadyAt(id)).to.equal(readyAt);
+
+            await expect(token.executeOperation(data))
+                .to.be.revertedWithCustomError(token, "OperationNotReady").withArgs(id, readyAt);
+
+            await time.increase(TIMELOCK_DELAY);
+            await expect(token.executeOperation(data))
+                .to.emit(token, "OperationExecuted").withArgs(id)
+                .and.to.emit(token, "TaxesUpdated").withArgs(INITIAL_BUYING_TAX, MAX_TAX);
+            expect(await token.getSellingTax()).to.equal(MAX_TAX);
+            expect(await token.getOperationReadyAt(id)).to.equal(0);
+
+            await expect(token.executeOperation(data))
+                .to.be.revertedWithCustomError(token, "OperationNotQueued").withArgs(id);
+        });
+
+        it("Should queue each timelocked setter", async function () {
+            const operations = [
+                encode("setBuyingTax", [1000]),
+                encode("setTaxWallet", [addr3.address]),
+                encode("setDex", [addr2.address, true]),
+                encode("setBurnEnabled", [true]),
+                encode("setTaxEnabled", [false]),
+                encode("setTaxExemption", [addr1.address, true, false]),
+                encode("setWhitelist", [addr3.address, true]),
+                encode("setWhitelistBatch", [[addr1.address, addr2.address], true]),
+                encode("setLiquidityWallet", [addr4.address]),
+                encode("setTreasuryWallet", [addr4.address]),
+                encode("setBuyTaxSplit", [{marketing: 5000, liquidity: 0, burn: 5000, treasury: 0}]),
+                encode("setSellTaxSplit", [{marketing: 0, liquidity: 5000, burn: 0, treasury: 5000}]),
+                encode("setSwapRouter", [addr4.address]),
+            ];
+            for (const data of operations) {
+                await token.queueOperation(data);
+            }
+            await time.increase(TIMELOCK_DELAY);
+            for (const data of operations) {
+                await token.executeOperation(data);
+            }
+
+            expect(await token.getBuyingTax()).to.equal(1000);
+            expect(await token.getTaxWallet()).to.equal(addr3.address);
+            expect(await token.isDex(addr2.address)).to.be.true;
+            expect(await token.getBurnEnabled()).to.be.true;
+            expect(await token.isTaxEnabled()).to.be.false;
+            expect((await token.getTaxExemption(addr1.address)).buy).to.be.true;
+            expect(await token.isWhitelisted(addr3.address)).to.be.true;
+            expect(await token.isWhitelisted(addr1.address)).to.be.true;
+            expect(await token.isWhitelisted(addr2.address)).to.be.true;
+            expect(await token.getLiquidityWallet()).to.equal(addr4.address);
+            expect(await token.getTreasuryWallet()).to.equal(addr4.address);
+            expect(await token.getBuyTaxSplit()).to.deep.equal([5000, 0, 5000, 0]);
+            expect(await token.getSellTaxSplit()).to.deep.equal([0, 5000, 0, 5000]);
+            expect(await token.getSwapRouter()).to.equal(addr4.address);
+        });
+
+        it("Should reject duplicate, unknown and unauthorized operations", async function () {
+            const data = encode("setSellingTax", [1000]);
+            await token.queueOperation(data);
+            await expect(token.queueOperation(data))
+                .to.be.revertedWithCustomError(token, "OperationAlreadyQueued").withArgs(ethers.keccak256(data));
+
+            await expect(token.queueOperation(encode("setBlacklist", [addr1.address, true])))
+                .to.be.revertedWithCustomError(token, "InvalidOperation");
+            await expect(token.queueOperation("0x1234"))
+                .to.be.revertedWithCustomError(token, "InvalidOperation");
+
+            await token.grantRole(await token.TAX_MANAGER_ROLE(), addr1.address);
+            await expect(token.connect(addr1).queueOperation(encode("setBurnEnabled", [true])))
+                .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount")
+                .withArgs(addr1.address, await token.DEFAULT_ADMIN_ROLE());
+            await expect(token.connect(addr2).queueOperation(encode("setDex", [addr2.address, true])))
+                .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount")
+                .withArgs(addr2.address, await token.TAX_MANAGER_ROLE());
+        });
+
+        it("Should let only the admin cancel a queued change", async function () {
+            const data = encode("setBuyingTax", [MAX_TAX]);
+            const id = ethers.keccak256(data);
+            await token.grantRole(await token.TAX_MANAGER_ROLE(), addr1.address);
+            await token.connect(addr1).queueOperation(data);
+
+            await expect(token.connect(addr1).cancelOperation(id))
+                .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+            await expect(token.cancelOperation(id)).to.emit(token, "OperationCancelled").withArgs(id);
+            await expect(token.cancelOperation(id))
+                .to.be.revertedWithCustomError(token, "OperationNotQueued").withArgs(id);
+
+            await time.increase(TIMELOCK_DELAY);
+            await expect(token.connect(addr1).executeOperation(data))
+                .to.be.revertedWithCustomError(token, "OperationNotQueued");
+            expect(await token.getBuyingTax()).to.equal(INITIAL_BUYING_TAX);
+        });
+
+        it("Should keep setter validation on execution", async function () {
+            const data = encode("setSellingTax", [MAX_TAX + 1]);
+            await token.queueOperation(data);
+            await time.increase(TIMELOCK_DELAY);
+
+            await expect(token.executeOperation(data))
+                .to.be.revertedWithCustomError(token, "TaxTooHigh").withArgs(MAX_TAX + 1);
+            expect(await token.getOperationReadyAt(ethers.keccak256(data))).to.not.equal(0);
+        });
+
+        it("Should keep emergency functions immediate", async function () {
+            await token.transfer(addr1.address, 100);
+            await expect(token.freezeAccount(addr1.address, FREEZE_DURATION, 0)).to.not.be.reverted;
+            await expect(token.setBlacklist(addr2.address, true)).to.not.be.reverted;
+            await expect(token.pause()).to.not.be.reverted;
+            await expect(token.unpause()).to.not.be.reverted;
+        });
+    });
+
     describe("Whitelist & Blacklist", function () {
         it("Should allow owner to whitelist and blacklist accounts", async function () {
             await token.setWhitelist(addr1.address, true);
@@ -184,6 +651,50 @@ describe("CryptoSnackToken", function () {
             await expect(token.transfer(addr1.address, 1))
                 .to.be.revertedWithCustomError(token, "BlacklistedAccount");
         });
+
+        it("Should whitelist and blacklist accounts in batches", async function () {
+            await expect(token.setWhitelistBatch([addr1.address, addr2.address], true))
+                .to.emit(token, "WhitelistStatusChanged").withArgs(addr1.address, true)
+                .and.to.emit(token, "WhitelistStatusChanged").withArgs(addr2.address, true);
+            expect(await token.isWhitelisted(addr2.address)).to.be.true;
+
+            await expect(token.setBlacklistBatch([addr3.address, addr4.address], true))
+                .to.emit(token, "BlacklistStatusChanged").withArgs(addr4.address, true);
+            expect(await token.isBlacklisted(addr3.address)).to.be.true;
+
+            await token.setBlacklistBatch([addr3.address], false);
+            expect(await token.isBlacklisted(addr3.address)).to.be.false;
+            expect(await token.isBlacklisted(addr4.address)).to.be.true;
+        });
+
+        it("Should keep the single-address rules in batches", async function () {
+            await token.setWhitelist(addr1.address, true);
+            await token.setBlacklist(addr2.address, true);
+
+            // one invalid account reverts the whole batch
+            await expect(token.setBlacklistBatch([addr3.address, addr1.address], true))
+                .to.be.revertedWithCustomError(token, "AccountIsWhitelisted");
+            expect(await token.isBlacklisted(addr3.address)).to.be.false;
+            await expect(token.setWhitelistBatch([addr3.address, addr2.address], true))
+                .to.be.revertedWithCustomError(token, "AccountIsBlacklisted");
+            await expect(token.setBlacklistBatch([ethers.ZeroAddress], true))
+                .to.be.revertedWithCustomError(token, "InvalidBlacklistAccount");
+
+            await token.freezeAccount(addr3.address, FREEZE_DURATION, 0);
+            await expect(token.setWhitelistBatch([addr3.address], true))
+                .to.be.revertedWithCustomError(token, "FrozenAccount");
+
+            await expect(token.setWhitelistBatch([], true))
+                .to.be.revertedWithCustomError(token, "InvalidBatchLength");
+            const tooMany = Array(201).fill(addr4.address);
+            await expect(token.setBlacklistBatch(tooMany, true))
+                .to.be.revertedWithCustomError(token, "InvalidBatchLength");
+
+            await expect(token.connect(addr1).setWhitelistBatch([addr4.address], true))
+                .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+            await expect(token.connect(addr1).setBlacklistBatch([addr4.address], true))
+                .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+        });
     });
 
     describe("Tax Wallet", function () {
@@ -211,6 +722,7 @@ describe("CryptoSnackToken", function () {
         beforeEach(async function () {
             await token.setDex(addr2.address, true);
             await token.setTaxWallet(addr3.address);
+            await token.openTrading();
             // Move some tokens to addr1, addr2 for testing
             await token.transfer(addr1.address, ethers.parseEther("500"));
             await token.transfer(addr2.address, ethers.parseEther("500"));
@@ -241,7 +753,7 @@ describe("CryptoSnackToken", function () {
         });
 
         it("Should skip tax for whitelisted addresses or when tax is disabled", async function () {
-            await token.setWhitelist(addr1.address, true);
+            await executeTimelocked(token, "setWhitelist", [addr1.address, true]);
 
             const transferAmount = ethers.parseEther("50");
             const oldBalance2 = await token.balanceOf(addr2.address);
@@ -249,7 +761,7 @@ describe("CryptoSnackToken", function () {
             expect(await token.balanceOf(addr2.address)).to.equal(oldBalance2 + transferAmount);
 
             // Disable tax and transfer from non-whitelisted
-            await token.setTaxEnabled(false);
+            await executeTimelocked(token, "setTaxEnabled", [false]);
             const oldBalance1 = await token.balanceOf(addr1.address);
             await token.connect(addr2).transfer(addr1.address, transferAmount);
             expect(await token.balanceOf(addr1.address)).to.equal(oldBalance1 + transferAmount);
@@ -267,8 +779,9 @@ describe("CryptoSnackToken", function () {
             );
 
             await tokenNoWallet.setDex(addr2.address, true);
-            await tokenNoWallet.transfer(addr1.address, ethers.parseEther("1000"));
             await tokenNoWallet.setTaxEnabled(true);
+            await tokenNoWallet.openTrading();
+            await tokenNoWallet.transfer(addr1.address, ethers.parseEther("1000"));
 
             await expect(tokenNoWallet.connect(addr1).transfer(addr2.address, ethers.parseEther("100")))
                 .to.be.revertedWithCustomError(tokenNoWallet, "InvalidTaxWallet");
@@ -286,6 +799,352 @@ describe("CryptoSnackToken", function () {
         });
     });
 
+    describe("Permit", function () {
+        let deadline;
+
+        beforeEach(async function () {
+            await token.setDex(addr2.address, true);
+            await token.setTaxWallet(addr3.address);
+            await token.openTrading();
+            await token.transfer(addr1.address, ethers.parseEther("500"));
+            deadline = (await time.latest()) + 3600;
+        });
+
+        it("Should use the token name in the EIP-712 domain", async function () {
+            const domain = await token.eip712Domain();
+            expect(domain.name).to.equal(NAME);
+            expect(domain.version).to.equal("1");
+            expect(domain.verifyingContract).to.equal(await token.getAddress());
+        });
+
+        it("Should approve with a signature signed by the holder", async function () {
+            const value = ethers.parseEther("100");
+            const {domain, types, message} = await buildPermit(token, {
+                owner: addr1.address,
+                spender: addr4.address,
+                value,
+                deadline,
+            });
+            const signature = ethers.Signature.from(await addr1.signTypedData(domain, types, message));
+
+            // anyone can submit the permit, e.g. a relayer paying the gas
+            await expect(token.connect(addr4).permit(addr1.address, addr4.address, value, deadline, signature.v, signature.r, signature.s))
+                .to.emit(token, "Approval")
+                .withArgs(addr1.address, addr4.address, value);
+            expect(await token.allowance(addr1.address, addr4.address)).to.equal(value);
+            expect(await token.nonces(addr1.address)).to.equal(1);
+        });
+
+        it("Should charge tax on transferFrom after permit", async function () {
+            const value = ethers.parseEther("100");
+            const permit = await signPermit(addr1, token, {spender: addr4.address, value, deadline});
+            await token.permit(permit.owner, permit.spender, permit.value, permit.deadline, permit.v, permit.r, permit.s);
+
+            const initialBalanceAddr2 = await token.balanceOf(addr2.address);
+            const initialBalanceTaxWallet = await token.balanceOf(addr3.address);
+            await token.connect(addr4).transferFrom(addr1.address, addr2.address, value);
+
+            const tax = (value * BigInt(INITIAL_SELLING_TAX)) / BigInt(TAX_PRECISION);
+            expect((await token.balanceOf(addr3.address)) - initialBalanceTaxWallet).to.equal(tax);
+            expect((await token.balanceOf(addr2.address)) - initialBalanceAddr2).to.equal(value - tax);
+            expect(await token.allowance(addr1.address, addr4.address)).to.equal(0);
+        });
+
+        it("Should revert for an expired deadline", async function () {
+            const permit = await signPermit(addr1, token, {spender: addr4.address, value: 1, deadline});
+            await time.increaseTo(deadline + 1);
+
+            await expect(token.permit(permit.owner, permit.spender, permit.value, permit.deadline, permit.v, permit.r, permit.s))
+                .to.be.revertedWithCustomError(token, "ERC2612ExpiredSignature")
+                .withArgs(deadline);
+        });
+
+        it("Should revert for a wrong signer or a reused signature", async function () {
+            const permit = await signPermit(addr1, token, {spender: addr4.address, value: 1, deadline});
+
+            await expect(token.permit(addr2.address, permit.spender, permit.value, permit.deadline, permit.v, permit.r, permit.s))
+                .to.be.revertedWithCustomError(token, "ERC2612InvalidSigner");
+
+            await token.permit(permit.owner, permit.spender, permit.value, permit.deadline, permit.v, permit.r, permit.s);
+            await expect(token.permit(permit.owner, permit.spender, permit.value, permit.deadline, permit.v, permit.r, permit.s))
+                .to.be.revertedWithCustomError(token, "ERC2612InvalidSigner");
+        });
+    });
+
+    describe("Tax Distribution", function () {
+        const split = (marketing, liquidity, burn, treasury) => ({marketing, liquidity, burn, treasury});
+
+        beforeEach(async function () {
+            await token.transfer(addr1.address, ethers.parseEther("500"));
+            await token.transfer(addr2.address, ethers.parseEther("500"));
+            await token.setDex(addr2.address, true);
+            await token.setTaxWallet(addr3.address);
+            await token.setLiquidityWallet(addr4.address);
+            await token.setTreasuryWallet(addrs[0].address);
+        });
+
+        it("Should send the whole tax to the tax wallet by default", async function () {
+            const fresh = await TokenFactory.deploy(NAME, SYMBOL, INITIAL_SUPPLY, 0, 0, owner.address);
+            expect(await fresh.getBuyTaxSplit()).to.deep.equal([TAX_PRECISION, 0, 0, 0]);
+            expect(await fresh.getSellTaxSplit()).to.deep.equal([TAX_PRECISION, 0, 0, 0]);
+        });
+
+        it("Should reject splits not summing to TAX_PRECISION", async function () {
+            await expect(token.setBuyTaxSplit(split(5000, 2000, 1000, 1000)))
+                .to.be.revertedWithCustomError(token, "InvalidTaxSplit");
+            await expect(token.setSellTaxSplit(split(5000, 5000, 1000, 0)))
+                .to.be.revertedWithCustomError(token, "InvalidTaxSplit");
+            await expect(token.setBuyTaxSplit(split(0, 0, 0, 0)))
+                .to.be.revertedWithCustomError(token, "InvalidTaxSplit");
+        });
+
+        it("Should allow only owner to configure the distribution", async function () {
+            await expect(token.connect(addr1).setBuyTaxSplit(split(TAX_PRECISION, 0, 0, 0)))
+                .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+            await expect(token.connect(addr1).setSellTaxSplit(split(TAX_PRECISION, 0, 0, 0)))
+                .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+            await expect(token.connect(addr1).setLiquidityWallet(addr1.address))
+                .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+            await expect(token.connect(addr1).setTreasuryWallet(addr1.address))
+                .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should emit events when wallets and splits change", async function () {
+            await expect(token.setLiquidityWallet(addr1.address))
+                .to.emit(token, "LiquidityWalletUpdated")
+                .withArgs(addr4.address, addr1.address);
+            await expect(token.setTreasuryWallet(addr1.address))
+                .to.emit(token, "TreasuryWalletUpdated")
+                .withArgs(addrs[0].address, addr1.address);
+            await expect(token.setBuyTaxSplit(split(4000, 3000, 2000, 1000)))
+                .to.emit(token, "BuyTaxSplitUpdated")
+                .withArgs([4000, 3000, 2000, 1000]);
+            await expect(token.setSellTaxSplit(split(1000, 2000, 3000, 4000)))
+                .to.emit(token, "SellTaxSplitUpdated")
+                .withArgs([1000, 2000, 3000, 4000]);
+
+            expect(await token.getBuyTaxSplit()).to.deep.equal([4000, 3000, 2000, 1000]);
+            expect(await token.getSellTaxSplit()).to.deep.equal([1000, 2000, 3000, 4000]);
+        });
+
+        it("Should revert on zero liquidity or treasury wallet", async function () {
+            await expect(token.setLiquidityWallet(ethers.ZeroAddress))
+                .to.be.revertedWithCustomError(token, "InvalidTaxWallet");
+            await expect(token.setTreasuryWallet(ethers.ZeroAddress))
+                .to.be.revertedWithCustomError(token, "InvalidTaxWallet");
+        });
+
+        it("Should split buy and sell taxes with their own splits and emit each leg", async function () {
+            await token.setBuyTaxSplit(split(5000, 5000, 0, 0));
+            await token.setSellTaxSplit(split(4000, 2000, 2500, 1500));
+            await token.openTrading();
+            const value = ethers.parseEther("100");
+            const wallets = [addr3.address, addr4.address, addrs[0].address];
+            const before = await Promise.all(wallets.map((w) => token.balanceOf(w)));
+
+            const buyTax = (value * BigInt(INITIAL_BUYING_TAX)) / BigInt(TAX_PRECISION);
+            await expect(token.connect(addr2).transfer(addr1.address, value))
+                .to.emit(token, "TaxDistributed").withArgs(0, addr2.address, addr3.address, buyTax / 2n)
+                .and.to.emit(token, "TaxDistributed").withArgs(1, addr2.address, addr4.address, buyTax / 2n);
+
+            const sellTax = (value * BigInt(INITIAL_SELLING_TAX)) / BigInt(TAX_PRECISION);
+            const supply = await token.totalSupply();
+            const tx = token.connect(addr1).transfer(addr2.address, value);
+            await expect(tx).to.emit(token, "TaxDistributed")
+                .withArgs(2, addr1.address, ethers.ZeroAddress, (sellTax * 2500n) / 10000n);
+            await expect(tx).to.emit(token, "TaxDistributed")
+                .withArgs(3, addr1.address, addrs[0].address, (sellTax * 1500n) / 10000n);
+
+            expect(await token.totalSupply()).to.equal(supply - (sellTax * 2500n) / 10000n);
+            const after = await Promise.all(wallets.map((w) => token.balanceOf(w)));
+            expect(after[0] - before[0]).to.equal(buyTax / 2n + (sellTax * 4000n) / 10000n);
+            expect(after[1] - before[1]).to.equal(buyTax / 2n + (sellTax * 2000n) / 10000n);
+            expect(after[2] - before[2]).to.equal((sellTax * 1500n) / 10000n);
+        });
+
+        it("Should revert if a recipient with a share is not set", async function () {
+            const fresh = await TokenFactory.deploy(NAME, SYMBOL, INITIAL_SUPPLY, 0, 500, owner.address);
+            await fresh.transfer(addr2.address, ethers.parseEther("100"));
+            await fresh.setDex(addr2.address, true);
+            await fresh.setTaxWallet(addr3.address);
+            await fresh.setTreasuryWallet(addr4.address);
+
+            await fresh.setBuyTaxSplit(split(5000, 2000, 0, 3000));
+            await fresh.openTrading();
+            await expect(fresh.connect(addr2).transfer(addr1.address, ethers.parseEther("10")))
+                .to.be.revertedWithCustomError(fresh, "InvalidTaxWallet");
+
+            // burn share doesn't need a recipient
+            await executeTimelocked(fresh, "setBuyTaxSplit", [split(5000, 0, 2000, 3000)]);
+            await expect(fresh.connect(addr2).transfer(addr1.address, ethers.parseEther("10"))).to.not.be.reverted;
+        });
+
+        it("Should not lose dust to rounding across splits", async function () {
+            await token.setBuyTaxSplit(split(3333, 3333, 1, 3333));
+            await token.setSellTaxSplit(split(1, 9997, 1, 1));
+            await token.openTrading();
+            const wallets = [addr3.address, addr4.address, addrs[0].address];
+
+            for (const value of [1n, 7n, 33n, 999n, 10001n, 123456789n, ethers.parseEther("3.333333333333333333")]) {
+                for (const [from, to] of [[addr2, addr1], [addr1, addr2]]) {
+                    const walletsBefore = await Promise.all(wallets.map((w) => token.balanceOf(w)));
+                    const supplyBefore = await token.totalSupply();
+                    const senderBefore = await token.balanceOf(from.address);
+                    const recipientBefore = await token.balanceOf(to.address);
+
+                    await token.connect(from).transfer(to.address, value);
+
+                    const walletsAfter = await Promise.all(wallets.map((w) => token.balanceOf(w)));
+                    const collected = walletsAfter.reduce((sum, balance, i) => sum + balance - walletsBefore[i], 0n);
+                    const burned = supplyBefore - (await token.totalSupply());
+                    const received = (await token.balanceOf(to.address)) - recipientBefore;
+
+                    const rate = from === addr2 ? INITIAL_BUYING_TAX : INITIAL_SELLING_TAX;
+                    const tax = (value * BigInt(rate)) / BigInt(TAX_PRECISION);
+                    expect(collected + burned, `tax of ${value}`).to.equal(tax);
+                    expect(senderBefore - (await token.balanceOf(from.address))).to.equal(value);
+                    expect(received + collected + burned).to.equal(value);
+                }
+            }
+        });
+    });
+
+    describe("Trading Limits", function () {
+        const MIN_MAX_TX = ethers.parseEther("1000");      // 0.10% of supply
+        const MIN_MAX_WALLET = ethers.parseEther("5000");  // 0.50% of supply
+        const COOLDOWN = 60;
+
+        beforeEach(async function () {
+            await token.setTaxWallet(addr3.address);
+            await token.transfer(addr1.address, ethers.parseEther("10000"));
+            await token.transfer(addr2.address, ethers.parseEther("100000"));
+            await token.setDex(addr2.address, true);
+            await token.openTrading();
+        });
+
+        it("Should not allow limits blocking trading", async function () {
+            await expect(token.setMaxTxAmount(MIN_MAX_TX - 1n))
+                .to.be.revertedWithCustomError(token, "InvalidLimit");
+            await expect(token.setMaxWalletAmount(MIN_MAX_WALLET - 1n))
+                .to.be.revertedWithCustomError(token, "InvalidLimit");
+            await expect(token.setSellCooldown(60 * 60 + 1))
+                .to.be.revertedWithCustomError(token, "InvalidLimit");
+        });
+
+        it("Should set limits with events and views", async function () {
+            await expect(token.setMaxTxAmount(MIN_MAX_TX))
+                .to.emit(token, "MaxTxAmountUpdated").withArgs(MIN_MAX_TX);
+            await expect(token.setMaxWalletAmount(MIN_MAX_WALLET))
+                .to.emit(token, "MaxWalletAmountUpdated").withArgs(MIN_MAX_WALLET);
+            await expect(token.setSellCooldown(COOLDOWN))
+                .to.emit(token, "SellCooldownUpdated").withArgs(COOLDOWN);
+
+            expect(await token.getMaxTxAmount()).to.equal(MIN_MAX_TX);
+            expect(await token.getMaxWalletAmount()).to.equal(MIN_MAX_WALLET);
+            expect(await token.getSellCooldown()).to.equal(COOLDOWN);
+
+            // 0 removes the limit
+            await token.setMaxTxAmount(0);
+            await token.setMaxWalletAmount(0);
+            expect(await token.getMaxTxAmount()).to.equal(0);
+            expect(await token.getMaxWalletAmount()).to.equal(0);
+        });
+
+        it("Should allow only owner to set limits", async function () {
+            await expect(token.connect(addr1).setMaxTxAmount(MIN_MAX_TX))
+                .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+            await expect(token.connect(addr1).setMaxWalletAmount(MIN_MAX_WALLET))
+                .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+            await expect(token.connect(addr1).setSellCooldown(COOLDOWN))
+                .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should limit DEX buys and sells to max transaction amount", async function () {
+            await token.setMaxTxAmount(MIN_MAX_TX);
+
+            await expect(token.connect(addr2).transfer(addr4.address, MIN_MAX_TX + 1n))
+                .to.be.revertedWithCustomError(token, "MaxTransactionExceeded").withArgs(MIN_MAX_TX);
+            await expect(token.connect(addr1).transfer(addr2.address, MIN_MAX_TX + 1n))
+                .to.be.revertedWithCustomError(token, "MaxTransactionExceeded").withArgs(MIN_MAX_TX);
+
+            await expect(token.connect(addr2).transfer(addr4.address, MIN_MAX_TX)).to.not.be.reverted;
+            await expect(token.connect(addr1).transfer(addr2.address, MIN_MAX_TX)).to.not.be.reverted;
+            // wallet to wallet transfers are not limited
+            await expect(token.connect(addr1).transfer(addr4.address, MIN_MAX_TX + 1n)).to.not.be.reverted;
+        });
+
+        it("Should limit wallet balance on buys only", async function () {
+            await token.setMaxWalletAmount(MIN_MAX_WALLET);
+
+            await token.connect(addr2).transfer(addr4.address, MIN_MAX_WALLET); // receives 97%, after buying tax
+            await expect(token.connect(addr2).transfer(addr4.address, ethers.parseEther("200")))
+                .to.be.revertedWithCustomError(token, "MaxWalletExceeded").withArgs(MIN_MAX_WALLET);
+
+            // addr1 holds more than the limit and can still sell and transfer
+            await expect(token.connect(addr1).transfer(addr2.address, ethers.parseEther("100"))).to.not.be.reverted;
+            await expect(token.connect(addr1).transfer(addr4.address, ethers.parseEther("100"))).to.not.be.reverted;
+        });
+
+        it("Should enforce the sell cooldown per address", async function () {
+            await token.setSellCooldown(COOLDOWN);
+            await token.transfer(addr4.address, ethers.parseEther("1000"));
+
+            await token.connect(addr1).transfer(addr2.address, ethers.parseEther("10"));
+            const until = (await token.getLastSell(addr1.address)) + BigInt(COOLDOWN);
+            await expect(token.connect(addr1).transfer(addr2.address, ethers.parseEther("10")))
+                .to.be.revertedWithCustomError(token, "SellCooldownActive").withArgs(until);
+
+            // other sellers, buys and transfers are not affected
+            await expect(token.connect(addr4).transfer(addr2.address, ethers.parseEther("10"))).to.not.be.reverted;
+            await expect(token.connect(addr2).transfer(addr1.address, ethers.parseEther("10"))).to.not.be.reverted;
+            await expect(token.connect(addr1).transfer(addr4.address, ethers.parseEther("10"))).to.not.be.reverted;
+
+            await time.increaseTo(until);
+            await expect(token.connect(addr1).transfer(addr2.address, ethers.parseEther("10"))).to.not.be.reverted;
+        });
+
+        it("Should exempt whitelisted accounts", async function () {
+            await token.setMaxTxAmount(MIN_MAX_TX);
+            await token.setMaxWalletAmount(MIN_MAX_WALLET);
+            await token.setSellCooldown(COOLDOWN);
+            await executeTimelocked(token, "setWhitelist", [addr1.address, true]);
+
+            await expect(token.connect(addr2).transfer(addr1.address, MIN_MAX_WALLET)).to.not.be.reverted;
+            await expect(token.connect(addr1).transfer(addr2.address, MIN_MAX_TX * 2n)).to.not.be.reverted;
+            await expect(token.connect(addr1).transfer(addr2.address, MIN_MAX_TX * 2n)).to.not.be.reverted;
+            expect(await token.getLastSell(addr1.address)).to.equal(0);
+        });
+
+        it("Should not limit multiTransfer", async function () {
+            await token.setMaxTxAmount(MIN_MAX_TX);
+            await token.setMaxWalletAmount(MIN_MAX_WALLET);
+
+            await token.multiTransfer([addr4.address, addr2.address], [MIN_MAX_WALLET * 2n, MIN_MAX_TX * 2n]);
+            expect(await token.balanceOf(addr4.address)).to.equal(MIN_MAX_WALLET * 2n);
+
+            // airdropped balance still counts for later buys
+            await expect(token.connect(addr2).transfer(addr4.address, 1n))
+                .to.be.revertedWithCustomError(token, "MaxWalletExceeded");
+        });
+
+        it("Should not limit recoverStolenTokens", async function () {
+            await token.setMaxTxAmount(MIN_MAX_TX);
+            await token.setMaxWalletAmount(MIN_MAX_WALLET);
+            await token.setSellCooldown(COOLDOWN);
+
+            await token.connect(addr1).transfer(addr2.address, ethers.parseEther("10"));
+            const lastSell = await token.getLastSell(addr1.address);
+            await token.freezeAccount(addr1.address, FREEZE_DURATION, 0);
+
+            await token.recoverStolenTokens(addr1.address, addr2.address, MIN_MAX_TX * 2n);
+            expect(await token.getLastSell(addr1.address)).to.equal(lastSell);
+
+            await token.freezeAccount(addr1.address, FREEZE_DURATION, 0);
+            await token.recoverStolenTokens(addr1.address, addr4.address, MIN_MAX_WALLET + 1n);
+            expect(await token.balanceOf(addr4.address)).to.equal(MIN_MAX_WALLET + 1n);
+        });
+    });
+
     describe("Multi-Transfer", function () {
         beforeEach(async function () {
             // Give owner a big chunk for batch testing
@@ -343,7 +1202,7 @@ describe("CryptoSnackToken", function () {
         });
 
         it("Should allow owner to freeze and unfreeze after expiry", async function () {
-            await token.freezeAccount(addr1.address);
+            await token.freezeAccount(addr1.address, FREEZE_DURATION, 0);
             expect(await token.isFrozen(addr1.address)).to.be.true;
 
             await ethers.provider.send("evm_increaseTime", [24 * 60 * 60 + 1]);
@@ -353,19 +1212,19 @@ describe("CryptoSnackToken", function () {
         });
 
         it("Should revert transfers from or to frozen account", async function () {
-            await token.freezeAccount(addr1.address);
+            await token.freezeAccount(addr1.address, FREEZE_DURATION, 0);
             await expect(token.connect(addr1).transfer(addr2.address, 10))
                 .to.be.revertedWithCustomError(token, "FrozenAccount");
         });
 
         it("Should revert if freezing an already frozen account", async function () {
-            await token.freezeAccount(addr1.address);
-            await expect(token.freezeAccount(addr1.address))
+            await token.freezeAccount(addr1.address, FREEZE_DURATION, 0);
+            await expect(token.freezeAccount(addr1.address, FREEZE_DURATION, 0))
                 .to.be.revertedWithCustomError(token, "AccountAlreadyFrozen");
         });
 
         it("Should allow recovering tokens from frozen account and then unfreeze", async function () {
-            await token.freezeAccount(addr1.address);
+            await token.freezeAccount(addr1.address, FREEZE_DURATION, 0);
 
             const amountToRecover = ethers.parseEther("50");
             await token.recoverStolenTokens(addr1.address, addr2.address, amountToRecover);
@@ -379,23 +1238,256 @@ describe("CryptoSnackToken", function () {
                 token.recoverStolenTokens(addr1.address, addr2.address, ethers.parseEther("10"))
             ).to.be.revertedWithCustomError(token, "AccountNotFrozen");
         });
+
+        it("Should freeze for the given duration with a reason code", async function () {
+            const tx = token.freezeAccount(addr1.address, 7 * FREEZE_DURATION, 3);
+            const until = (await time.latest()) + 1 + 7 * FREEZE_DURATION;
+            await expect(tx).to.emit(token, "AccountFrozen").withArgs(addr1.address, until, 3);
+            expect(await token.getFreezeTime(addr1.address)).to.equal(until);
+        });
+
+        it("Should bound the freeze duration", async function () {
+            await expect(token.freezeAccount(addr1.address, 0, 0))
+                .to.be.revertedWithCustomError(token, "InvalidFreezeDuration");
+            await expect(token.freezeAccount(addr1.address, MAX_FREEZE_DURATION + 1, 0))
+                .to.be.revertedWithCustomError(token, "InvalidFreezeDuration");
+            await expect(token.freezeAccount(addr1.address, MAX_FREEZE_DURATION, 0)).to.not.be.reverted;
+        });
+
+        it("Should extend an active freeze up to the max duration", async function () {
+            await expect(token.extendFreeze(addr1.address, FREEZE_DURATION, 0))
+                .to.be.revertedWithCustomError(token, "AccountNotFrozen");
+
+            await token.freezeAccount(addr1.address, FREEZE_DURATION, 1);
+            const frozenUntil = await token.getFreezeTime(addr1.address);
+            await expect(token.extendFreeze(addr1.address, 2 * FREEZE_DURATION, 2))
+                .to.emit(token, "AccountFrozen")
+                .withArgs(addr1.address, frozenUntil + BigInt(2 * FREEZE_DURATION), 2);
+
+            await expect(token.extendFreeze(addr1.address, MAX_FREEZE_DURATION - 2 * FREEZE_DURATION, 2))
+                .to.be.revertedWithCustomError(token, "InvalidFreezeDuration");
+        });
+
+        it("Should unfreeze early", async function () {
+            await expect(token.unfreezeAccount(addr1.address))
+                .to.be.revertedWithCustomError(token, "AccountNotFrozen");
+
+            await token.freezeAccount(addr1.address, FREEZE_DURATION, 0);
+            await expect(token.unfreezeAccount(addr1.address))
+                .to.emit(token, "AccountUnfrozen").withArgs(addr1.address);
+            expect(await token.isFrozen(addr1.address)).to.be.false;
+            await expect(token.connect(addr1).transfer(addr2.address, 10)).to.not.be.reverted;
+        });
+
+        it("Should emit AccountUnfrozen when tokens are recovered", async function () {
+            await token.freezeAccount(addr1.address, FREEZE_DURATION, 0);
+            await expect(token.recoverStolenTokens(addr1.address, addr2.address, 1))
+                .to.emit(token, "AccountUnfrozen").withArgs(addr1.address);
+        });
+
+        it("Should freeze and unfreeze in batches, skipping accounts already in the state", async function () {
+            await token.freezeAccount(addr2.address, 2 * FREEZE_DURATION, 1);
+            const addr2FrozenUntil = await token.getFreezeTime(addr2.address);
+
+            await expect(token.freezeAccounts([addr1.address, addr2.address, addr3.address], FREEZE_DURATION, 4))
+                .to.emit(token, "AccountFrozen");
+            expect(await token.isFrozen(addr1.address)).to.be.true;
+            expect(await token.isFrozen(addr3.address)).to.be.true;
+            expect(await token.getFreezeTime(addr2.address)).to.equal(addr2FrozenUntil);
+
+            await token.unfreezeAccounts([addr1.address, addr2.address, addr4.address]);
+            expect(await token.isFrozen(addr1.address)).to.be.false;
+            expect(await token.isFrozen(addr2.address)).to.be.false;
+            expect(await token.isFrozen(addr3.address)).to.be.true;
+        });
+
+        it("Should revert batch freeze with invalid length or by non-owner", async function () {
+            await expect(token.freezeAccounts([], FREEZE_DURATION, 0))
+                .to.be.revertedWithCustomError(token, "InvalidBatchLength");
+            await expect(token.unfreezeAccounts(Array(201).fill(addr1.address)))
+                .to.be.revertedWithCustomError(token, "InvalidBatchLength");
+            await expect(token.connect(addr1).freezeAccounts([addr2.address], FREEZE_DURATION, 0))
+                .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+            await expect(token.connect(addr1).extendFreeze(addr2.address, FREEZE_DURATION, 0))
+                .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+            await expect(token.connect(addr1).unfreezeAccount(addr2.address))
+                .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+        });
     });
 
-    describe("Ownership Transfer", function () {
-        it("Should let owner transfer ownership", async function () {
-            await token.transferOwnership(addr1.address);
-            expect(await token.owner()).to.equal(addr1.address);
+    describe("Admin Transfer", function () {
+        async function transferAdmin(to) {
+            for (const role of [
+                await token.TAX_MANAGER_ROLE(),
+                await token.COMPLIANCE_ROLE(),
+                await token.PAUSER_ROLE(),
+                await token.DEFAULT_ADMIN_ROLE(),
+            ]) {
+                await token.grantRole(role, to);
+                await token.renounceRole(role, owner.address);
+            }
+        }
+
+        it("Should let admin hand over all roles", async function () {
+            await transferAdmin(addr1.address);
+            expect(await token.hasRole(await token.DEFAULT_ADMIN_ROLE(), addr1.address)).to.be.true;
+            expect(await token.hasRole(await token.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.false;
         });
 
-        it("Should block old owner from privileged functions after ownership transfer", async function () {
-            await token.transferOwnership(addr1.address);
+        it("Should block old admin from privileged functions after the transfer", async function () {
+            await transferAdmin(addr1.address);
             await expect(token.setBurnEnabled(true))
-                .to.be.revertedWithCustomError(token, "OwnableUnauthorizedAccount");
+                .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+            await expect(token.setSellingTax(100))
+                .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
         });
 
-        it("New Test: Should allow new owner to assume all privileges", async function () {
-            await token.transferOwnership(addr1.address);
+        it("Should allow new admin to assume all privileges", async function () {
+            await transferAdmin(addr1.address);
             await token.connect(addr1).setBurnEnabled(true);
+            await token.connect(addr1).setSellingTax(100);
+            await token.connect(addr1).freezeAccount(addr2.address, FREEZE_DURATION, 0);
+            await token.connect(addr1).pause();
+        });
+    });
+
+    describe("Roles", function () {
+        let roles;
+
+        beforeEach(async function () {
+            roles = {
+                admin: await token.DEFAULT_ADMIN_ROLE(),
+                taxManager: await token.TAX_MANAGER_ROLE(),
+                compliance: await token.COMPLIANCE_ROLE(),
+                pauser: await token.PAUSER_ROLE(),
+            };
+            await token.grantRole(roles.taxManager, addr1.address);
+            await token.grantRole(roles.compliance, addr2.address);
+            await token.grantRole(roles.pauser, addr3.address);
+        });
+
+        async function expectUnauthorized(promise, account, role) {
+            await expect(promise)
+                .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount")
+                .withArgs(account.address, role);
+        }
+
+        it("Should grant all roles to the initial owner", async function () {
+            for (const role of Object.values(roles)) {
+                expect(await token.hasRole(role, owner.address)).to.be.true;
+            }
+        });
+
+        it("Should let only the admin grant and revoke roles", async function () {
+            await expectUnauthorized(token.connect(addr1).grantRole(roles.taxManager, addr4.address), addr1, roles.admin);
+            await token.revokeRole(roles.taxManager, addr1.address);
+            expect(await token.hasRole(roles.taxManager, addr1.address)).to.be.false;
+        });
+
+        it("Should limit tax manager to taxes, DEX list, whitelist and trading settings", async function () {
+            await token.connect(addr1).setSellingTax(100);
+            await token.connect(addr1).setTaxWallet(addr4.address);
+            await token.connect(addr1).setDex(addr4.address, true);
+            await token.connect(addr1).setWhitelist(addr4.address, true);
+            await token.connect(addr1).setMaxTxAmount(0);
+            await token.connect(addr1).setLaunchConfig(0, 0, 0);
+
+            await expectUnauthorized(token.connect(addr1).setBlacklist(addr4.address, true), addr1, roles.compliance);
+            await expectUnauthorized(token.connect(addr1).freezeAccount(addr4.address, FREEZE_DURATION, 0), addr1, roles.compliance);
+            await expectUnauthorized(token.connect(addr1).pause(), addr1, roles.pauser);
+            await expectUnauthorized(token.connect(addr1).openTrading(), addr1, roles.admin);
+            await expectUnauthorized(token.connect(addr1).reclaimBNB(), addr1, roles.admin);
+        });
+
+        it("Should limit compliance to blacklist, freeze and recovery", async function () {
+            await token.transfer(addr4.address, ethers.parseEther("10"));
+            await token.connect(addr2).setBlacklist(addrs[0].address, true);
+            await token.connect(addr2).freezeAccount(addr4.address, FREEZE_DURATION, 0);
+            await token.connect(addr2).recoverStolenTokens(addr4.address, addrs[1].address, ethers.parseEther("10"));
+            expect(await token.balanceOf(addrs[1].address)).to.equal(ethers.parseEther("10"));
+
+            await expectUnauthorized(token.connect(addr2).setBuyingTax(100), addr2, roles.taxManager);
+            await expectUnauthorized(token.connect(addr2).setWhitelist(addr4.address, true), addr2, roles.taxManager);
+            await expectUnauthorized(token.connect(addr2).pause(), addr2, roles.pauser);
+            await expectUnauthorized(token.connect(addr2).multiTransfer([addr4.address], [1]), addr2, roles.admin);
+        });
+
+        it("Should limit pauser to pause and unpause", async function () {
+            await token.connect(addr3).pause();
+            await token.connect(addr3).unpause();
+
+            await expectUnauthorized(token.connect(addr3).setTaxEnabled(false), addr3, roles.taxManager);
+            await expectUnauthorized(token.connect(addr3).unfreezeAccount(addr4.address), addr3, roles.compliance);
+            await expectUnauthorized(token.connect(addr3).setBurnEnabled(true), addr3, roles.admin);
+        });
+
+        it("Should keep burn, multi-transfers and reclaims for the admin", async function () {
+            await token.transfer(addr1.address, ethers.parseEther("10"));
+            await expect(token.connect(addr1).burn(1)).to.be.revertedWithCustomError(token, "BurnDisallowed");
+            await expectUnauthorized(token.connect(addr1).setBurnEnabled(true), addr1, roles.admin);
+            await expectUnauthorized(token.connect(addr1).multiTransferEqual([addr4.address], 1), addr1, roles.admin);
+            await expectUnauthorized(token.connect(addr1).reclaimToken(await token.getAddress()), addr1, roles.admin);
+        });
+
+        it("Should not let privileged accounts bypass a freeze", async function () {
+            await token.transfer(addr4.address, ethers.parseEther("10"));
+            await token.freezeAccount(addr4.address, FREEZE_DURATION, 0);
+
+            await expect(token.transfer(addr4.address, 1))
+                .to.be.revertedWithCustomError(token, "FrozenAccount").withArgs(addr4.address);
+            await expect(token.multiTransfer([addr4.address], [1]))
+                .to.be.revertedWithCustomError(token, "FrozenAccount").withArgs(addr4.address);
+
+            // recovery unfreezes the source, but can't send to another frozen account
+            await token.freezeAccount(addrs[0].address, FREEZE_DURATION, 0);
+            await expect(token.recoverStolenTokens(addr4.address, addrs[0].address, 1))
+                .to.be.revertedWithCustomError(token, "FrozenAccount").withArgs(addrs[0].address);
+        });
+    });
+
+    describe("Balance Snapshots", function () {
+        beforeEach(async function () {
+            await token.setDex(addr2.address, true);
+            await token.setTaxWallet(addr3.address);
+            await token.openTrading();
+        });
+
+        it("Should return balances at past blocks", async function () {
+            await token.transfer(addr1.address, ethers.parseEther("500"));
+            const firstBlock = await ethers.provider.getBlockNumber();
+            await token.transfer(addr1.address, ethers.parseEther("300"));
+            const secondBlock = await ethers.provider.getBlockNumber();
+            await mine(); // lookups are for finished blocks only
+
+            expect(await token.balanceOfAt(addr1.address, firstBlock - 1)).to.equal(0);
+            expect(await token.balanceOfAt(addr1.address, firstBlock)).to.equal(ethers.parseEther("500"));
+            expect(await token.balanceOfAt(addr1.address, secondBlock)).to.equal(ethers.parseEther("800"));
+        });
+
+        it("Should checkpoint taxed transfers and burns", async function () {
+            await executeTimelocked(token, "setSellTaxSplit", [{ marketing: 5000, liquidity: 0, burn: 5000, treasury: 0 }]);
+            await token.transfer(addr1.address, ethers.parseEther("1000"));
+            const totalSupply = await token.totalSupply();
+
+            await token.connect(addr1).transfer(addr2.address, ethers.parseEther("100"));
+            const blockNumber = await ethers.provider.getBlockNumber();
+            await token.connect(addr1).transfer(addr4.address, ethers.parseEther("100")); // later change
+
+            const tax = (ethers.parseEther("100") * BigInt(INITIAL_SELLING_TAX)) / BigInt(TAX_PRECISION);
+            expect(await token.balanceOfAt(addr1.address, blockNumber)).to.equal(ethers.parseEther("900"));
+            expect(await token.balanceOfAt(addr2.address, blockNumber)).to.equal(ethers.parseEther("100") - tax);
+            expect(await token.balanceOfAt(addr3.address, blockNumber)).to.equal(tax / 2n);
+            expect(await token.totalSupplyAt(blockNumber)).to.equal(totalSupply - tax / 2n);
+            expect(await token.totalSupplyAt(blockNumber - 1)).to.equal(totalSupply);
+        });
+
+        it("Should revert lookups of the current or future blocks", async function () {
+            const blockNumber = await ethers.provider.getBlockNumber();
+            await expect(token.balanceOfAt(owner.address, blockNumber + 1))
+                .to.be.revertedWithCustomError(token, "FutureLookup")
+                .withArgs(blockNumber + 1);
+            await expect(token.totalSupplyAt(blockNumber + 1))
+                .to.be.revertedWithCustomError(token, "FutureLookup");
         });
     });
 
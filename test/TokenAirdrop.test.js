@@ -0,0 +1,155 @@
+const {expect} = require("chai");
+const {ethers} = require("hardhat");
+const {time} = require("@nomicfoundation/hardhat-network-helpers");
+const {buildAirdropTree, getAirdropProofs} = require("../lib/airdrop");
+
+describe("CryptoSnackAirdrop", function() {
+    let token;
+    let airdrop;
+    let owner;
+    let addr1;
+    let addr2;
+    let addr3;
+    let proofs;
+    let expiresAt;
+
+    const SELLING_TAX = 500; // 5%
+    const BUYING_TAX = 500; // 5%
+    const CLAIM_PERIOD = 30 * 24 * 60 * 60;
+
+    async function claim(account) {
+        const {amount, proof} = proofs.claims[account.address];
+        return airdrop.claim(account.address, amount, proof);
+    }
+
+    beforeEach(async function() {
+        [owner, addr1, addr2, addr3] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("CryptoSnackToken");
+        token = await Token.deploy("CryptoSnack", "SNACK", 1000000, SELLING_TAX, BUYING_TAX, owner.address);
+
+        proofs = getAirdropProofs(buildAirdropTree([
+            {address: addr1.address, amount: "100"},
+            {address: addr2.address, amount: "250.5"},
+            {address: addr3.address, amount: "50"},
+        ]));
+        expiresAt = (await time.latest()) + CLAIM_PERIOD;
+
+        const Airdrop = await ethers.getContractFactory("CryptoSnackAirdrop");
+        airdrop = await Airdrop.deploy(await token.getAddress(), proofs.root, expiresAt);
+        await token.setWhitelist(await airdrop.getAddress(), true);
+        await token.transfer(await airdrop.getAddress(), proofs.total);
+    });
+
+    describe("Deployment", function() {
+        it("Should set the campaign parameters", async function() {
+            expect(await airdrop.getToken()).to.equal(await token.getAddress());
+            expect(await airdrop.getMerkleRoot()).to.equal(proofs.root);
+            expect(await airdrop.getExpiresAt()).to.equal(expiresAt);
+            expect(await airdrop.hasRole(await airdrop.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.true;
+        });
+
+        it("Should reject an empty root or an invalid expiry", async function() {
+            const Airdrop = await ethers.getContractFactory("CryptoSnackAirdrop");
+            const now = await time.latest();
+
+            await expect(Airdrop.deploy(await token.getAddress(), ethers.ZeroHash, now + CLAIM_PERIOD))
+                .to.be.revertedWithCustomError(airdrop, "InvalidMerkleRoot");
+            await expect(Airdrop.deploy(await token.getAddress(), proofs.root, now))
+                .to.be.revertedWithCustomError(airdrop, "InvalidExpiry");
+            await expect(Airdrop.deploy(await token.getAddress(), proofs.root, now + 366 * 24 * 60 * 60))
+                .to.be.revertedWithCustomError(airdrop, "InvalidExpiry");
+        });
+    });
+
+    describe("Claims", function() {
+        it("Should transfer the full allocation", async function() {
+            await expect(claim(addr2))
+                .to.emit(airdrop, "Claimed")
+                .withArgs(addr2.address, ethers.parseEther("250.5"));
+
+            expect(await token.balanceOf(addr2.address)).to.equal(ethers.parseEther("250.5"));
+            expect(await airdrop.isClaimed(addr2.address)).to.be.true;
+            expect(await airdrop.getTotalClaimed()).to.equal(ethers.parseEther("250.5"));
+        });
+
+        it("Should let anyone submit a claim on behalf of the recipient", async function() {
+            const {amount, proof} = proofs.claims[addr1.address];
+            await airdrop.connect(addr3).claim(addr1.address, amount, proof);
+
+            expect(await token.balanceOf(addr1.address)).to.equal(ethers.parseEther("100"));
+            expect(await token.balanceOf(addr3.address)).to.equal(0);
+        });
+
+        it("Should not claim twice", async function() {
+            await claim(addr1);
+
+            await expect(claim(addr1))
+                .to.be.revertedWithCustomError(airdrop, "AlreadyClaimed")
+                .withArgs(addr1.address);
+        });
+
+        it("Should reject invalid proofs and amounts", async function() {
+            const {amount, proof} = proofs.claims[addr1.address];
+
+            await expect(airdrop.claim(addr1.address, amount + 1n, proof))
+                .to.be.revertedWithCustomError(airdrop, "InvalidProof");
+            await expect(airdrop.claim(addr2.address, amount, proof))
+                .to.be.revertedWithCustomError(airdrop, "InvalidProof");
+            await expect(airdrop.claim(addr1.address, amount, []))
+                .to.be.revertedWithCustomError(airdrop, "InvalidProof");
+        });
+
+        it("Should not pay blacklisted accounts", async function() {
+            await token.setBlacklist(addr1.address, true);
+
+            await expect(claim(addr1))
+                .to.be.revertedWithCustomError(token, "BlacklistedAccount")
+                .withArgs(addr1.address);
+            expect(await airdrop.isClaimed(addr1.address)).to.be.false;
+        });
+
+        it("Should let frozen accounts claim once unfrozen", async function() {
+            await token.freezeAccount(addr1.address, 24 * 60 * 60, 0);
+
+            await expect(claim(addr1))
+                .to.be.revertedWithCustomError(token, "FrozenAccount")
+                .withArgs(addr1.address);
+
+            await token.unfreezeAccount(addr1.address);
+            await claim(addr1);
+            expect(await token.balanceOf(addr1.address)).to.equal(ethers.parseEther("100"));
+        });
+
+        it("Should reject claims after expiry", async function() {
+            await time.increaseTo(expiresAt);
+
+            await expect(claim(addr1)).to.be.revertedWithCustomError(airdrop, "ClaimExpired");
+        });
+    });
+
+    describe("Sweep", function() {
+        it("Should sweep unclaimed tokens to the admin after expiry", async function() {
+            await claim(addr1);
+            await expect(airdrop.sweep()).to.be.revertedWithCustomError(airdrop, "ClaimNotExpired");
+
+            await time.increaseTo(expiresAt);
+            const remaining = BigInt(proofs.total) - ethers.parseEther("100");
+            const balanceBefore = await token.balanceOf(owner.address);
+
+            await expect(airdrop.sweep())
+                .to.emit(airdrop, "Swept")
+                .withArgs(owner.address, remaining);
+            expect(await token.balanceOf(owner.address)).to.equal(balanceBefore + remaining);
+            expect(await token.balanceOf(await airdrop.getAddress())).to.equal(0);
+        });
+
+        it("Should only let the admin sweep", async function() {
+            await time.increaseTo(expiresAt);
+
+            await expect(airdrop.connect(addr1).sweep())
+                .to.be.revertedWithCustomError(airdrop, "AccessControlUnauthorizedAccount")
+                .withArgs(addr1.address, await airdrop.DEFAULT_ADMIN_ROLE());
+        });
+    });
+});
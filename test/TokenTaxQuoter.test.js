@@ -0,0 +1,197 @@
+const {expect} = require("chai");
+const {ethers} = require("hardhat");
+const {time} = require("@nomicfoundation/hardhat-network-helpers");
+const {decodeTaxQuote, quoteTransfer} = require("../lib/quote");
+
+describe("CryptoSnackTaxQuoter", function() {
+    let token;
+    let quoter;
+    let owner;
+    let dex;
+    let otherDex;
+    let taxWallet;
+    let trader;
+
+    const SELLING_TAX = 500; // 5%
+    const BUYING_TAX = 300; // 3%
+    const TAX_PRECISION = 10000n;
+    const amount = ethers.parseEther("100");
+
+    async function deploy() {
+        const Token = await ethers.getContractFactory("CryptoSnackToken");
+        const deployed = await Token.deploy("CryptoSnack", "SNACK", 1000000, SELLING_TAX, BUYING_TAX, owner.address);
+        const Quoter = await ethers.getContractFactory("CryptoSnackTaxQuoter");
+        return [deployed, await Quoter.deploy(await deployed.getAddress())];
+    }
+
+    async function executeTimelocked(functionName, args) {
+        const data = token.interface.encodeFunctionData(functionName, args);
+        await token.queueOperation(data);
+        await time.increase(2 * 24 * 60 * 60);
+        await token.executeOperation(data);
+    }
+
+    // the transfer must do what the quote says: pay its tax to the tax wallet and deliver its net amount
+    async function expectQuoteMatches(sender, to, value) {
+        const quote = await quoteTransfer(quoter, {from: sender.address, to, amount: value});
+        expect(quote.willRevert).to.be.false;
+        const received = await token.balanceOf(to);
+        const collected = await token.balanceOf(taxWallet.address);
+
+        await token.connect(sender).transfer(to, value);
+        expect(await token.balanceOf(to) - received).to.equal(quote.net);
+        expect(await token.balanceOf(taxWallet.address) - collected).to.equal(quote.tax);
+        return quote;
+    }
+
+    beforeEach(async function() {
+        [owner, dex, otherDex, taxWallet, trader] = await ethers.getSigners();
+        [token, quoter] = await deploy();
+
+        await token.transfer(dex.address, ethers.parseEther("1000"));
+        await token.transfer(trader.address, ethers.parseEther("1000"));
+        await token.setTaxWallet(taxWallet.address);
+        await token.setDex(dex.address, true);
+        await token.setDex(otherDex.address, true);
+        await token.openTrading();
+    });
+
+    it("Should quote buys and sells like the transfers are taxed", async function() {
+        expect(await quoter.getToken()).to.equal(await token.getAddress());
+
+        const buy = await quoteTransfer(quoter, {from: dex.address, to: trader.address, amount});
+        expect(buy).to.deep.include({
+            tax: (amount * BigInt(BUYING_TAX)) / TAX_PRECISION,
+            rule: "buy",
+            reasons: [],
+            willRevert: false,
+        });
+        const before = await token.balanceOf(trader.address);
+        await token.connect(dex).transfer(trader.address, amount);
+        expect(await token.balanceOf(trader.address) - before).to.equal(buy.net);
+
+        const sell = await quoteTransfer(quoter, {from: trader.address, to: dex.address, amount});
+        expect(sell.rule).to.equal("sell");
+        expect(sell.tax).to.equal((amount * BigInt(SELLING_TAX)) / TAX_PRECISION);
+        expect(sell.net).to.equal(amount - sell.tax);
+
+        const between = await quoteTransfer(quoter, {from: dex.address, to: otherDex.address, amount});
+        expect(between.rule).to.equal("buyAndSell");
+        expect(between.tax).to.equal((amount * BigInt(BUYING_TAX + SELLING_TAX)) / TAX_PRECISION);
+
+        const wallet = await quoteTransfer(quoter, {from: trader.address, to: owner.address, amount});
+        expect(wallet).to.deep.include({tax: 0n, net: amount, rule: "none"});
+    });
+
+    it("Should report whitelisted and disabled taxes", async function() {
+        await executeTimelocked("setWhitelist", [trader.address, true]);
+        const whitelisted = await quoteTransfer(quoter, {from: trader.address, to: dex.address, amount});
+        expect(whitelisted).to.deep.include({tax: 0n, net: amount, rule: "whitelisted"});
+
+        await executeTimelocked("setTaxEnabled", [false]);
+        const disabled = await quoteTransfer(quoter, {from: dex.address, to: owner.address, amount});
+        expect(disabled).to.deep.include({tax: 0n, net: amount, rule: "taxDisabled"});
+    });
+
+    it("Should report the reasons a transfer would revert", async function() {
+        await token.pause();
+        await token.setBlacklist(dex.address, true);
+        await token.freezeAccount(trader.address, 3600, 0);
+
+        const quote = await quoteTransfer(quoter, {from: trader.address, to: dex.address, amount});
+        expect(quote.reasons).to.deep.equal(["paused", "blacklisted", "frozen"]);
+        expect(quote.messages).to.have.lengthOf(3);
+        expect(quote.willRevert).to.be.true;
+        await expect(token.connect(trader).transfer(dex.address, amount)).to.be.reverted;
+    });
+
+    it("Should report split legs without a wallet only when tax is charged", async function() {
+        const [fresh, freshQuoter] = await deploy();
+        await fresh.transfer(dex.address, amount);
+        await fresh.setDex(dex.address, true);
+        await fresh.openTrading();
+
+        // no tax wallet set
+        const sell = await quoteTransfer(freshQuoter, {from: owner.address, to: dex.address, amount});
+        expect(sell.reasons).to.deep.equal(["noTaxWallet"]);
+        await expect(fresh.transfer(dex.address, amount)).to.be.revertedWithCustomError(fresh, "InvalidTaxWallet");
+        expect((await quoteTransfer(freshQuoter, {from: owner.address, to: trader.address, amount})).willRevert)
+            .to.be.false;
+
+        await executeTimelocked("setSellTaxSplit", [{marketing: 5000, liquidity: 5000, burn: 0, treasury: 0}]);
+        expect((await quoteTransfer(quoter, {from: trader.address, to: dex.address, amount})).reasons)
+            .to.deep.equal(["noTaxWallet"]);
+        // the buy split only uses the tax wallet
+        expect((await quoteTransfer(quoter, {from: dex.address, to: trader.address, amount})).reasons)
+            .to.deep.equal([]);
+
+        await executeTimelocked("setLiquidityWallet", [otherDex.address]);
+        expect((await quoteTransfer(quoter, {from: trader.address, to: dex.address, amount})).willRevert)
+            .to.be.false;
+    });
+
+    it("Should match transfers between DEXes and with one-sided exemptions", async function() {
+        const taxes = {0: BUYING_TAX + SELLING_TAX, 1: BUYING_TAX, 2: SELLING_TAX, 3: 0};
+        for (const [mode, rate] of Object.entries(taxes)) {
+            await executeTimelocked("setDexToDexTax", [mode]);
+            const quote = await expectQuoteMatches(dex, otherDex.address, amount);
+            expect(quote.tax, `mode ${mode}`).to.equal((amount * BigInt(rate)) / TAX_PRECISION);
+        }
+
+        await executeTimelocked("setTaxExemption", [trader.address, true, false]);
+        expect((await expectQuoteMatches(dex, trader.address, amount)).tax).to.equal(0n);
+        expect((await expectQuoteMatches(trader, dex.address, amount)).tax)
+            .to.equal((amount * BigInt(SELLING_TAX)) / TAX_PRECISION);
+    });
+
+    it("Should report trading status and limits like the transfers revert", async function() {
+        const [fresh, freshQuoter] = await deploy();
+        await fresh.transfer(trader.address, amount);
+        await fresh.setTaxWallet(taxWallet.address);
+        await fresh.setDex(dex.address, true);
+        expect((await quoteTransfer(freshQuoter, {from: trader.address, to: dex.address, amount})).reasons)
+            .to.deep.equal(["tradingNotOpen"]);
+        await expect(fresh.connect(trader).transfer(dex.address, amount))
+            .to.be.revertedWithCustomError(fresh, "TradingNotOpen");
+        await fresh.setWhitelist(trader.address, true);
+        expect((await quoteTransfer(freshQuoter, {from: trader.address, to: dex.address, amount})).willRevert)
+            .to.be.false;
+
+        const maxTx = ethers.parseEther("1000"); // 0.1% of the supply
+        await token.transfer(trader.address, ethers.parseEther("5000"));
+        await token.setMaxTxAmount(maxTx);
+        expect((await quoteTransfer(quoter, {from: trader.address, to: dex.address, amount: maxTx + 1n})).reasons)
+            .to.deep.equal(["maxTxExceeded"]);
+        await expect(token.connect(trader).transfer(dex.address, maxTx + 1n))
+            .to.be.revertedWithCustomError(token, "MaxTransactionExceeded");
+        await token.setMaxTxAmount(0);
+
+        await token.setMaxWalletAmount(ethers.parseEther("5000")); // 0.5% of the supply, the trader holds 6000
+        expect((await quoteTransfer(quoter, {from: dex.address, to: trader.address, amount})).reasons)
+            .to.deep.equal(["maxWalletExceeded"]);
+        await expect(token.connect(dex).transfer(trader.address, amount))
+            .to.be.revertedWithCustomError(token, "MaxWalletExceeded");
+        await token.setMaxWalletAmount(0);
+
+        await token.setSellCooldown(3600);
+        await expectQuoteMatches(trader, dex.address, amount);
+        expect((await quoteTransfer(quoter, {from: trader.address, to: dex.address, amount})).reasons)
+            .to.deep.equal(["sellCooldown"]);
+        await expect(token.connect(trader).transfer(dex.address, amount))
+            .to.be.revertedWithCustomError(token, "SellCooldownActive");
+        await time.increase(3600);
+        await expectQuoteMatches(trader, dex.address, amount);
+    });
+
+    it("Should decode raw results", function() {
+        expect(decodeTaxQuote([5n, 95n, 4n, 9n])).to.deep.equal({
+            tax: 5n,
+            net: 95n,
+            rule: "sell",
+            reasons: ["paused", "noTaxWallet"],
+            messages: ["Transfers are paused", "Tax wallet is not set"],
+            willRevert: true,
+        });
+        expect(decodeTaxQuote([0n, 1n, 9n, 0n]).rule).to.equal("unknown(9)");
+    });
+});
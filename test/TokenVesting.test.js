@@ -47,8 +47,9 @@ describe("CryptoSnackVesting", function() {
             expect(await vesting.getToken()).to.equal(await token.getAddress());
         });
 
-        it("Should set the right owner", async function() {
-            expect(await vesting.owner()).to.equal(owner.address);
+        it("Should grant admin and manager roles to the deployer", async function() {
+            expect(await vesting.hasRole(await vesting.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.true;
+            expect(await vesting.hasRole(await vesting.VESTING_MANAGER_ROLE(), owner.address)).to.be.true;
         });
 
         it("Should have correct token balance", async function() {
@@ -72,7 +73,7 @@ describe("CryptoSnackVesting", function() {
                 true
             );
 
-            const schedule = await vesting.getVestingSchedule(beneficiary.address);
+            const schedule = await vesting.getVestingSchedule(0);
             expect(schedule.totalAmount).to.equal(VESTING_AMOUNT);
             expect(schedule.startTime).to.equal(startTime);
             expect(schedule.cliff).to.equal(startTime + cliffDuration);
@@ -129,7 +130,7 @@ describe("CryptoSnackVesting", function() {
             )).to.be.revertedWithCustomError(vesting, "InvalidVestingParameters");
         });
 
-        it("Should revert when creating duplicate schedule for same beneficiary", async function() {
+        it("Should create several schedules for the same beneficiary", async function() {
             const currentTime = await time.latest();
             await vesting.createVestingSchedule(
                 beneficiary.address,
@@ -147,7 +148,97 @@ describe("CryptoSnackVesting", function() {
                 7200,
                 14400,
                 true
-            )).to.be.revertedWithCustomError(vesting, "VestingAlreadyExists");
+            )).to.emit(vesting, "VestingScheduleCreated")
+                .withArgs(1, beneficiary.address, VESTING_AMOUNT, currentTime + 3600, currentTime + 3600 + 7200, 14400);
+
+            expect(await vesting.getScheduleIds(beneficiary.address)).to.deep.equal([0n, 1n]);
+            expect(await vesting.getSchedulesCount()).to.equal(2);
+            expect((await vesting.getVestingSchedule(1)).beneficiary).to.equal(beneficiary.address);
+        });
+    });
+
+    describe("Batch schedule creation", function() {
+        let params;
+
+        beforeEach(async function() {
+            const startTime = (await time.latest()) + 3600;
+            params = {startTime, cliffDuration: 7200, vestingDuration: 14400, slicePeriod: 0, initialUnlock: 0, revocable: true};
+        });
+
+        it("Should create all schedules of a batch", async function() {
+            const amount = VESTING_AMOUNT / BigInt(2);
+            await expect(vesting.createVestingSchedules(
+                [beneficiary.address, addr2.address],
+                [amount, VESTING_AMOUNT],
+                [params, {...params, revocable: false}]
+            )).to.emit(vesting, "VestingScheduleCreated")
+                .withArgs(1, addr2.address, VESTING_AMOUNT, params.startTime, params.startTime + 7200, 14400);
+
+            expect((await vesting.getVestingSchedule(0)).totalAmount).to.equal(amount);
+            expect((await vesting.getVestingSchedule(1)).revocable).to.equal(false);
+            expect(await vesting.getTotalAllocated()).to.equal(amount + VESTING_AMOUNT);
+        });
+
+        it("Should revert the whole batch if any entry is invalid", async function() {
+            await expect(vesting.createVestingSchedules(
+                [beneficiary.address, addr2.address],
+                [VESTING_AMOUNT, VESTING_AMOUNT],
+                [params, {...params, cliffDuration: 20000}]
+            )).to.be.revertedWithCustomError(vesting, "InvalidVestingParameters");
+
+            await expect(vesting.createVestingSchedules(
+                [beneficiary.address, ethers.ZeroAddress],
+                [VESTING_AMOUNT, VESTING_AMOUNT],
+                [params, params]
+            )).to.be.revertedWithCustomError(vesting, "InvalidBeneficiary");
+
+            expect((await vesting.getVestingSchedule(0)).totalAmount).to.equal(0);
+            expect(await vesting.getTotalAllocated()).to.equal(0);
+        });
+
+        it("Should allow several schedules for the same beneficiary within a batch", async function() {
+            await vesting.createVestingSchedules(
+                [beneficiary.address, beneficiary.address],
+                [VESTING_AMOUNT, VESTING_AMOUNT],
+                [params, params]
+            );
+            expect(await vesting.getScheduleIds(beneficiary.address)).to.deep.equal([0n, 1n]);
+        });
+
+        it("Should revert if the batch total exceeds the free balance", async function() {
+            await vesting.createVestingSchedule(
+                owner.address,
+                VESTING_AMOUNT,
+                params.startTime,
+                params.cliffDuration,
+                params.vestingDuration,
+                true
+            );
+
+            await expect(vesting.createVestingSchedules(
+                [beneficiary.address, addr2.address],
+                [VESTING_AMOUNT / BigInt(2), VESTING_AMOUNT / BigInt(2) + BigInt(1)],
+                [params, params]
+            )).to.be.revertedWithCustomError(vesting, "InsufficientTokenBalance");
+            expect(await vesting.getTotalAllocated()).to.equal(VESTING_AMOUNT);
+        });
+
+        it("Should revert if array lengths mismatch or exceed batch size", async function() {
+            await expect(vesting.createVestingSchedules([beneficiary.address], [], [params]))
+                .to.be.revertedWithCustomError(vesting, "ArraysLengthMismatch");
+            await expect(vesting.createVestingSchedules([beneficiary.address], [VESTING_AMOUNT], []))
+                .to.be.revertedWithCustomError(vesting, "ArraysLengthMismatch");
+            await expect(vesting.createVestingSchedules([], [], []))
+                .to.be.revertedWithCustomError(vesting, "InvalidBatchLength");
+
+            const bigList = new Array(201).fill(beneficiary.address);
+            await expect(vesting.createVestingSchedules(bigList, new Array(201).fill(1), new Array(201).fill(params)))
+                .to.be.revertedWithCustomError(vesting, "InvalidBatchLength");
+        });
+
+        it("Should only allow owner to create batches", async function() {
+            await expect(vesting.connect(addr2).createVestingSchedules([beneficiary.address], [VESTING_AMOUNT], [params]))
+                .to.be.revertedWithCustomError(vesting, "AccessControlUnauthorizedAccount");
         });
     });
 
@@ -167,16 +258,16 @@ describe("CryptoSnackVesting", function() {
             });
 
             it("Should not release tokens before cliff", async function() {
-                await expect(vesting.connect(beneficiary).release())
+                await expect(vesting.connect(beneficiary).release(0))
                     .to.be.revertedWithCustomError(vesting, "NothingToRelease");
             });
 
             it("Should release tokens after cliff", async function() {
                 await time.increase(10800); // 3 hours (past cliff)
 
-                await vesting.connect(beneficiary).release();
+                await vesting.connect(beneficiary).release(0);
 
-                const schedule = await vesting.getVestingSchedule(beneficiary.address);
+                const schedule = await vesting.getVestingSchedule(0);
                 expect(schedule.releasedAmount).to.be.gt(0);
                 expect(await token.balanceOf(beneficiary.address)).to.be.gt(0);
             });
@@ -185,7 +276,7 @@ describe("CryptoSnackVesting", function() {
                 await time.increase(10800); // 3 hours (past cliff)
                 await token.setBlacklist(beneficiary.address, true);
 
-                await expect(vesting.connect(beneficiary).release())
+                await expect(vesting.connect(beneficiary).release(0))
                     .to.be.revertedWithCustomError(token, "BlacklistedAccount");
             });
         });
@@ -206,20 +297,291 @@ describe("CryptoSnackVesting", function() {
                 );
 
                 await time.increase(20000); // Past vesting duration
-                await vesting.connect(addr2).release();
+                await vesting.connect(addr2).release(0);
 
-                const schedule = await vesting.getVestingSchedule(addr2.address);
+                const schedule = await vesting.getVestingSchedule(0);
                 expect(schedule.releasedAmount).to.equal(VESTING_AMOUNT);
             });
         });
 
         it("Should revert release for non-existent schedule", async function() {
             // No need to create any schedule for this test
-            await expect(vesting.connect(addr2).release())
+            await expect(vesting.connect(addr2).release(0))
+                .to.be.revertedWithCustomError(vesting, "NoVestingSchedule");
+        });
+    });
+
+    describe("Multiple schedules per beneficiary", function() {
+        let startTime;
+
+        beforeEach(async function() {
+            startTime = (await time.latest()) + 3600;
+            // seed round: 4 hours vesting, advisor tranche: 8 hours vesting
+            await vesting.createVestingSchedule(beneficiary.address, VESTING_AMOUNT, startTime, 7200, 14400, true);
+            await vesting.createVestingSchedule(beneficiary.address, VESTING_AMOUNT, startTime, 7200, 28800, true);
+        });
+
+        it("Should only let the beneficiary release a schedule", async function() {
+            await time.increaseTo(startTime + 14400);
+            await expect(vesting.connect(addr2).release(0))
+                .to.be.revertedWithCustomError(vesting, "NotBeneficiary");
+        });
+
+        it("Should release a single tranche by ID", async function() {
+            await time.increaseTo(startTime + 14400);
+            await expect(vesting.connect(beneficiary).release(0))
+                .to.emit(vesting, "TokensReleased")
+                .withArgs(0, beneficiary.address, VESTING_AMOUNT);
+
+            expect((await vesting.getVestingSchedule(1)).releasedAmount).to.equal(0);
+            expect(await vesting.getTotalAllocated()).to.equal(VESTING_AMOUNT);
+        });
+
+        it("Should aggregate releasable amounts across tranches", async function() {
+            await time.increaseTo(startTime + 14400);
+            const first = await vesting.getReleasableAmount(0);
+            const second = await vesting.getReleasableAmount(1);
+            expect(first).to.equal(VESTING_AMOUNT);
+            expect(second).to.equal(VESTING_AMOUNT / BigInt(2));
+            expect(await vesting.getTotalReleasableAmount(beneficiary.address)).to.equal(first + second);
+        });
+
+        it("Should release all tranches at once and keep allocation in sync", async function() {
+            await time.increaseTo(startTime + 14400 - 1);
+            const tx = vesting.connect(beneficiary).releaseAll();
+            await expect(tx).to.emit(vesting, "TokensReleased").withArgs(0, beneficiary.address, VESTING_AMOUNT);
+            await expect(tx).to.emit(vesting, "TokensReleased").withArgs(1, beneficiary.address, VESTING_AMOUNT / BigInt(2));
+
+            const released = (await vesting.getVestingSchedule(0)).releasedAmount +
+                (await vesting.getVestingSchedule(1)).releasedAmount;
+            expect(await token.balanceOf(beneficiary.address)).to.equal(released);
+            expect(await vesting.getTotalAllocated()).to.equal(VESTING_AMOUNT * BigInt(2) - released);
+
+            await time.increaseTo(startTime + 28800);
+            await vesting.connect(beneficiary).releaseAll();
+            expect(await token.balanceOf(beneficiary.address)).to.equal(VESTING_AMOUNT * BigInt(2));
+            expect(await vesting.getTotalAllocated()).to.equal(0);
+        });
+
+        it("Should revoke one tranche without affecting the other", async function() {
+            await time.increaseTo(startTime + 7200);
+            await vesting.revoke(1);
+
+            const revoked = await vesting.getVestingSchedule(1);
+            expect(revoked.revoked).to.equal(true);
+            expect((await vesting.getVestingSchedule(0)).revoked).to.equal(false);
+            expect(await vesting.getTotalAllocated()).to.equal(VESTING_AMOUNT);
+
+            await time.increaseTo(startTime + 28800);
+            await vesting.connect(beneficiary).releaseAll();
+            expect(await token.balanceOf(beneficiary.address)).to.equal(VESTING_AMOUNT + revoked.releasedAmount);
+            expect(await vesting.getTotalAllocated()).to.equal(0);
+        });
+
+        it("Should revert releaseAll when nothing is releasable", async function() {
+            await expect(vesting.connect(beneficiary).releaseAll())
+                .to.be.revertedWithCustomError(vesting, "NothingToRelease");
+            await expect(vesting.connect(addr2).releaseAll())
                 .to.be.revertedWithCustomError(vesting, "NoVestingSchedule");
         });
     });
 
+    describe("Vesting curves", function() {
+        const MONTH = 30 * 24 * 60 * 60;
+        let startTime;
+
+        // JS reference of the contract's vesting curves
+        function referenceVested(schedule, timestamp) {
+            const t = BigInt(timestamp);
+            if (t < schedule.startTime) return 0n;
+
+            const initialAmount = (schedule.totalAmount * schedule.initialUnlock) / 10000n;
+            if (t < schedule.cliff) return initialAmount;
+            if (t >= schedule.startTime + schedule.duration) return schedule.totalAmount;
+
+            let elapsed = t - schedule.startTime;
+            if (schedule.slicePeriod > 0n) {
+                elapsed = (elapsed / schedule.slicePeriod) * schedule.slicePeriod;
+            }
+            return initialAmount + ((schedule.totalAmount - initialAmount) * elapsed) / schedule.duration;
+        }
+
+        async function createCurve(params) {
+            await vesting.createCustomVestingSchedule(beneficiary.address, VESTING_AMOUNT, {
+                startTime,
+                revocable: true,
+                ...params,
+            });
+            return (await vesting.getSchedulesCount()) - 1n;
+        }
+
+        async function expectMatchesReference(scheduleId) {
+            const schedule = await vesting.getVestingSchedule(scheduleId);
+            const start = Number(schedule.startTime);
+            const end = start + Number(schedule.duration);
+            const slice = Number(schedule.slicePeriod) || Math.floor(Number(schedule.duration) / 7);
+
+            const timestamps = [start - 1, start, Number(schedule.cliff) - 1, Number(schedule.cliff), end - 1, end, end + 1];
+            for (let t = start; t < end; t += slice) {
+                timestamps.push(t - 1, t, t + 1, t + Math.floor(slice / 2));
+            }
+
+            for (const t of timestamps) {
+                expect(await vesting.getVestedAmount(scheduleId, t), `at ${t}`).to.equal(referenceVested(schedule, t));
+            }
+        }
+
+        beforeEach(async function() {
+            startTime = (await time.latest()) + 3600;
+        });
+
+        it("Should match the reference for linear vesting", async function() {
+            const scheduleId = await createCurve({
+                cliffDuration: 7200, vestingDuration: 14400, slicePeriod: 0, initialUnlock: 0,
+            });
+            await expectMatchesReference(scheduleId);
+        });
+
+        it("Should match the reference for monthly unlocks", async function() {
+            const scheduleId = await createCurve({
+                cliffDuration: MONTH, vestingDuration: 12 * MONTH, slicePeriod: MONTH, initialUnlock: 0,
+            });
+            await expectMatchesReference(scheduleId);
+            expect(await vesting.getVestedAmount(scheduleId, startTime + MONTH + 1)).to.equal(VESTING_AMOUNT / BigInt(12));
+        });
+
+        it("Should match the reference for TGE unlock then monthly unlocks", async function() {
+            // 10% at TGE, then monthly unlocks over 18 months
+            const scheduleId = await createCurve({
+                cliffDuration: MONTH, vestingDuration: 18 * MONTH, slicePeriod: MONTH, initialUnlock: 1000,
+            });
+            await expectMatchesReference(scheduleId);
+        });
+
+        it("Should match the reference for TGE unlock then linear vesting", async function() {
+            const scheduleId = await createCurve({
+                cliffDuration: 7200, vestingDuration: 14400, slicePeriod: 0, initialUnlock: 2500,
+            });
+            await expectMatchesReference(scheduleId);
+        });
+
+        it("Should release the TGE unlock before the cliff", async function() {
+            const scheduleId = await createCurve({
+                cliffDuration: MONTH, vestingDuration: 18 * MONTH, slicePeriod: MONTH, initialUnlock: 1000,
+            });
+
+            await time.increaseTo(startTime);
+            expect(await vesting.getReleasableAmount(scheduleId)).to.equal(VESTING_AMOUNT / BigInt(10));
+
+            await vesting.connect(beneficiary).release(scheduleId);
+            expect(await token.balanceOf(beneficiary.address)).to.equal(VESTING_AMOUNT / BigInt(10));
+
+            await time.increaseTo(startTime + 2 * MONTH - 1);
+            const schedule = await vesting.getVestingSchedule(scheduleId);
+            await vesting.connect(beneficiary).release(scheduleId);
+            expect(await token.balanceOf(beneficiary.address)).to.equal(referenceVested(schedule, startTime + 2 * MONTH));
+        });
+
+        it("Should revert on invalid curve parameters", async function() {
+            await expect(createCurve({
+                cliffDuration: 7200, vestingDuration: 14400, slicePeriod: 14401, initialUnlock: 0,
+            })).to.be.revertedWithCustomError(vesting, "InvalidVestingParameters");
+
+            await expect(createCurve({
+                cliffDuration: 7200, vestingDuration: 14400, slicePeriod: 0, initialUnlock: 10001,
+            })).to.be.revertedWithCustomError(vesting, "InvalidVestingParameters");
+        });
+
+        it("Should expose curve fields of the schedule", async function() {
+            const scheduleId = await createCurve({
+                cliffDuration: MONTH, vestingDuration: 18 * MONTH, slicePeriod: MONTH, initialUnlock: 1000,
+            });
+            const schedule = await vesting.getVestingSchedule(scheduleId);
+            expect(schedule.slicePeriod).to.equal(MONTH);
+            expect(schedule.initialUnlock).to.equal(1000);
+        });
+    });
+
+    describe("Schedule transfer", function() {
+        let startTime;
+        let newWallet;
+
+        beforeEach(async function() {
+            newWallet = (await ethers.getSigners())[3];
+            startTime = (await time.latest()) + 3600;
+            await vesting.createVestingSchedule(beneficiary.address, VESTING_AMOUNT, startTime, 7200, 14400, true);
+            await vesting.createVestingSchedule(beneficiary.address, VESTING_AMOUNT, startTime, 7200, 28800, false);
+        });
+
+        it("Should let the beneficiary move a schedule keeping its state", async function() {
+            await time.increaseTo(startTime + 10800);
+            await vesting.connect(beneficiary).release(0);
+            const before = await vesting.getVestingSchedule(0);
+
+            await expect(vesting.connect(beneficiary).transferVestingSchedule(0, newWallet.address))
+                .to.emit(vesting, "VestingTransferred")
+                .withArgs(0, beneficiary.address, newWallet.address);
+
+            const after = await vesting.getVestingSchedule(0);
+            expect(after.beneficiary).to.equal(newWallet.address);
+            expect(after.releasedAmount).to.equal(before.releasedAmount);
+            expect(after.cliff).to.equal(before.cliff);
+            expect(after.revocable).to.equal(before.revocable);
+
+            expect(await vesting.getScheduleIds(beneficiary.address)).to.deep.equal([1n]);
+            expect(await vesting.getScheduleIds(newWallet.address)).to.deep.equal([0n]);
+        });
+
+        it("Should let only the new beneficiary release a moved schedule", async function() {
+            await vesting.connect(beneficiary).transferVestingSchedule(0, newWallet.address);
+            await time.increaseTo(startTime + 14400);
+
+            await expect(vesting.connect(beneficiary).release(0))
+                .to.be.revertedWithCustomError(vesting, "NotBeneficiary");
+            await vesting.connect(newWallet).release(0);
+            expect(await token.balanceOf(newWallet.address)).to.equal(VESTING_AMOUNT);
+            expect(await vesting.getTotalAllocated()).to.equal(VESTING_AMOUNT);
+        });
+
+        it("Should require the new address to accept an owner-initiated transfer", async function() {
+            await expect(vesting.proposeVestingTransfer(1, newWallet.address))
+                .to.emit(vesting, "VestingTransferStarted")
+                .withArgs(1, newWallet.address);
+            expect(await vesting.getPendingBeneficiary(1)).to.equal(newWallet.address);
+            expect((await vesting.getVestingSchedule(1)).beneficiary).to.equal(beneficiary.address);
+
+            await expect(vesting.connect(addr2).acceptVestingTransfer(1))
+                .to.be.revertedWithCustomError(vesting, "NotPendingBeneficiary");
+
+            await expect(vesting.connect(newWallet).acceptVestingTransfer(1))
+                .to.emit(vesting, "VestingTransferred")
+                .withArgs(1, beneficiary.address, newWallet.address);
+            expect((await vesting.getVestingSchedule(1)).beneficiary).to.equal(newWallet.address);
+            expect(await vesting.getPendingBeneficiary(1)).to.equal(ethers.ZeroAddress);
+        });
+
+        it("Should restrict who can initiate a transfer", async function() {
+            await expect(vesting.connect(addr2).transferVestingSchedule(0, addr2.address))
+                .to.be.revertedWithCustomError(vesting, "NotBeneficiary");
+            await expect(vesting.connect(beneficiary).proposeVestingTransfer(0, newWallet.address))
+                .to.be.revertedWithCustomError(vesting, "AccessControlUnauthorizedAccount");
+            await expect(vesting.connect(beneficiary).transferVestingSchedule(0, ethers.ZeroAddress))
+                .to.be.revertedWithCustomError(vesting, "InvalidBeneficiary");
+            await expect(vesting.connect(beneficiary).transferVestingSchedule(0, beneficiary.address))
+                .to.be.revertedWithCustomError(vesting, "InvalidBeneficiary");
+        });
+
+        it("Should not transfer revoked schedules", async function() {
+            await vesting.proposeVestingTransfer(0, newWallet.address);
+            await vesting.revoke(0);
+
+            await expect(vesting.connect(newWallet).acceptVestingTransfer(0))
+                .to.be.revertedWithCustomError(vesting, "AlreadyRevoked");
+            await expect(vesting.connect(beneficiary).transferVestingSchedule(0, newWallet.address))
+                .to.be.revertedWithCustomError(vesting, "AlreadyRevoked");
+        });
+    });
+
     describe("Revocation", function() {
         beforeEach(async function() {
             const currentTime = await time.latest();
@@ -238,9 +600,9 @@ describe("CryptoSnackVesting", function() {
             await time.increase(10800); // 3 hours
 
             const ownerBalanceBefore = await token.balanceOf(owner.address);
-            await vesting.revoke(beneficiary.address);
+            await vesting.revoke(0);
 
-            const schedule = await vesting.getVestingSchedule(beneficiary.address);
+            const schedule = await vesting.getVestingSchedule(0);
             expect(schedule.revoked).to.equal(true);
 
             // Check that tokens were distributed correctly
@@ -260,11 +622,127 @@ describe("CryptoSnackVesting", function() {
                 false // non-revocable
             );
 
-            await expect(vesting.revoke(addr2.address))
+            await expect(vesting.revoke(1))
                 .to.be.revertedWithCustomError(vesting, "NotRevocable");
         });
     });
 
+    describe("Unreleased amount checkpoints", function() {
+        let startTime;
+        let newWallet;
+
+        beforeEach(async function() {
+            newWallet = (await ethers.getSigners())[3];
+            startTime = (await time.latest()) + 3600;
+            await vesting.createVestingSchedule(beneficiary.address, VESTING_AMOUNT, startTime, 7200, 14400, true);
+        });
+
+        it("Should track unreleased tokens through releases and transfers", async function() {
+            const createdAt = await ethers.provider.getBlockNumber();
+            expect(await vesting.getUnreleasedAmount(beneficiary.address)).to.equal(VESTING_AMOUNT);
+
+            await time.increaseTo(startTime + 10800);
+            await vesting.connect(beneficiary).release(0);
+            const releasedAt = await ethers.provider.getBlockNumber();
+            const released = (await vesting.getVestingSchedule(0)).releasedAmount;
+
+            await vesting.connect(beneficiary).transferVestingSchedule(0, newWallet.address);
+            const transferredAt = await ethers.provider.getBlockNumber();
+
+            expect(await vesting.getUnreleasedAmountAt(beneficiary.address, createdAt - 1)).to.equal(0);
+            expect(await vesting.getUnreleasedAmountAt(beneficiary.address, createdAt)).to.equal(VESTING_AMOUNT);
+            expect(await vesting.getUnreleasedAmountAt(beneficiary.address, releasedAt)).to.equal(VESTING_AMOUNT - released);
+            expect(await vesting.getUnreleasedAmountAt(beneficiary.address, transferredAt - 1)).to.equal(VESTING_AMOUNT - released);
+            expect(await vesting.getUnreleasedAmount(beneficiary.address)).to.equal(0);
+            expect(await vesting.getUnreleasedAmount(newWallet.address)).to.equal(VESTING_AMOUNT - released);
+        });
+
+        it("Should drop revoked schedules and sum all beneficiary's schedules", async function() {
+            await vesting.createVestingSchedule(beneficiary.address, VESTING_AMOUNT, startTime, 7200, 14400, false);
+            expect(await vesting.getUnreleasedAmount(beneficiary.address)).to.equal(VESTING_AMOUNT * 2n);
+
+            await time.increaseTo(startTime + 10800);
+            await vesting.revoke(0);
+            expect(await vesting.getUnreleasedAmount(beneficiary.address)).to.equal(VESTING_AMOUNT);
+
+            await time.increaseTo(startTime + 14400);
+            await vesting.connect(beneficiary).releaseAll();
+            expect(await vesting.getUnreleasedAmount(beneficiary.address)).to.equal(0);
+        });
+
+        it("Should revert lookups of the current or future blocks", async function() {
+            const blockNumber = await ethers.provider.getBlockNumber();
+            await expect(vesting.getUnreleasedAmountAt(beneficiary.address, blockNumber + 1))
+                .to.be.revertedWithCustomError(vesting, "FutureLookup")
+                .withArgs(blockNumber + 1);
+        });
+    });
+
+    describe("Roles", function() {
+        let adminRole;
+        let managerRole;
+
+        beforeEach(async function() {
+            adminRole = await vesting.DEFAULT_ADMIN_ROLE();
+            managerRole = await vesting.VESTING_MANAGER_ROLE();
+            await vesting.grantRole(managerRole, addr2.address);
+        });
+
+        it("Should let a vesting manager create, revoke and move schedules", async function() {
+            const startTime = (await time.latest()) + 3600;
+            await vesting.connect(addr2).createVestingSchedule(
+                beneficiary.address, VESTING_AMOUNT, startTime, 7200, 14400, true);
+            await vesting.connect(addr2).proposeVestingTransfer(0, owner.address);
+
+            // unvested tokens are refunded to the treasury, not to the revoking manager
+            const treasuryBalance = await token.balanceOf(owner.address);
+            await vesting.connect(addr2).revoke(0);
+            expect(await token.balanceOf(addr2.address)).to.equal(0);
+            expect(await token.balanceOf(owner.address)).to.equal(treasuryBalance + VESTING_AMOUNT);
+        });
+
+        it("Should let only the admin change the treasury", async function() {
+            const [, , , treasury] = await ethers.getSigners();
+            expect(await vesting.getTreasury()).to.equal(owner.address);
+            await expect(vesting.connect(addr2).setTreasury(addr2.address))
+                .to.be.revertedWithCustomError(vesting, "AccessControlUnauthorizedAccount")
+                .withArgs(addr2.address, adminRole);
+            await expect(vesting.setTreasury(ethers.ZeroAddress))
+                .to.be.revertedWithCustomError(vesting, "InvalidTreasury");
+
+            await expect(vesting.setTreasury(treasury.address))
+                .to.emit(vesting, "TreasuryUpdated")
+                .withArgs(owner.address, treasury.address);
+
+            const startTime = (await time.latest()) + 3600;
+            await vesting.createVestingSchedule(beneficiary.address, VESTING_AMOUNT, startTime, 7200, 14400, true);
+            await expect(vesting.connect(addr2).revoke(0))
+                .to.changeTokenBalances(token, [treasury, addr2], [VESTING_AMOUNT, 0]);
+        });
+
+        it("Should keep reclaims for the admin", async function() {
+            await expect(vesting.connect(addr2).reclaimBNB())
+                .to.be.revertedWithCustomError(vesting, "AccessControlUnauthorizedAccount")
+                .withArgs(addr2.address, adminRole);
+            await expect(vesting.connect(addr2).reclaimToken(await token.getAddress()))
+                .to.be.revertedWithCustomError(vesting, "AccessControlUnauthorizedAccount")
+                .withArgs(addr2.address, adminRole);
+            await expect(vesting.connect(addr2).grantRole(managerRole, beneficiary.address))
+                .to.be.revertedWithCustomError(vesting, "AccessControlUnauthorizedAccount")
+                .withArgs(addr2.address, adminRole);
+        });
+
+        it("Should not let an admin without the manager role manage schedules", async function() {
+            await vesting.grantRole(adminRole, beneficiary.address);
+            const startTime = (await time.latest()) + 3600;
+
+            await expect(vesting.connect(beneficiary).createVestingSchedule(
+                beneficiary.address, VESTING_AMOUNT, startTime, 7200, 14400, true))
+                .to.be.revertedWithCustomError(vesting, "AccessControlUnauthorizedAccount")
+                .withArgs(beneficiary.address, managerRole);
+        });
+    });
+
     describe("Utility Functions", function() {
         it("Should allow owner to reclaim other tokens", async function() {
             const OtherToken = await ethers.getContractFactory("CryptoSnackToken");
@@ -317,17 +795,17 @@ describe("CryptoSnackVesting", function() {
             );
 
             // Before cliff
-            expect(await vesting.getReleasableAmount(beneficiary.address)).to.equal(0);
+            expect(await vesting.getReleasableAmount(0)).to.equal(0);
 
             // Middle of vesting
             await time.increaseTo(startTime + 10800); // 75% through vesting
-            const midAmount = await vesting.getReleasableAmount(beneficiary.address);
+            const midAmount = await vesting.getReleasableAmount(0);
             expect(midAmount).to.be.gt(0);
             expect(midAmount).to.be.lt(VESTING_AMOUNT);
 
             // After vesting
             await time.increaseTo(startTime + 14400);
-            expect(await vesting.getReleasableAmount(beneficiary.address)).to.equal(VESTING_AMOUNT);
+            expect(await vesting.getReleasableAmount(0)).to.equal(VESTING_AMOUNT);
         });
     });
 
@@ -355,7 +833,7 @@ describe("CryptoSnackVesting", function() {
             await time.increase(10800); // 3 hours (past cliff)
 
             const totalBefore = await vesting.getTotalAllocated();
-            await vesting.connect(beneficiary).release();
+            await vesting.connect(beneficiary).release(0);
             const totalAfter = await vesting.getTotalAllocated();
 
             expect(totalAfter).to.be.lt(totalBefore);
@@ -365,7 +843,7 @@ describe("CryptoSnackVesting", function() {
         it("Should update allocation after full vesting completion", async function() {
             await time.increase(20000); // Past full vesting duration
 
-            await vesting.connect(beneficiary).release();
+            await vesting.connect(beneficiary).release(0);
             const totalAfter = await vesting.getTotalAllocated();
 
             expect(totalAfter).to.equal(0);
@@ -374,7 +852,7 @@ describe("CryptoSnackVesting", function() {
         it("Should update allocation correctly after revocation", async function() {
             await time.increase(10800); // 3 hours (past cliff)
 
-            await vesting.revoke(beneficiary.address);
+            await vesting.revoke(0);
             const totalAfter = await vesting.getTotalAllocated();
 
             expect(totalAfter).to.equal(0);
@@ -398,12 +876,12 @@ describe("CryptoSnackVesting", function() {
 
             // Release for first beneficiary
             await time.increase(20000);
-            await vesting.connect(beneficiary).release();
+            await vesting.connect(beneficiary).release(0);
 
             expect(await vesting.getTotalAllocated()).to.equal(VESTING_AMOUNT);
 
             // Release for second beneficiary
-            await vesting.connect(addr2).release();
+            await vesting.connect(addr2).release(1);
 
             expect(await vesting.getTotalAllocated()).to.equal(0);
         });
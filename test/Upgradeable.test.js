@@ -0,0 +1,142 @@
+const {expect} = require("chai");
+const hre = require("hardhat");
+const CryptoSnackTokenProxyModule = require("../ignition/modules/CryptoSnackTokenProxy");
+const CryptoSnackVestingProxyModule = require("../ignition/modules/CryptoSnackVestingProxy");
+
+const {ethers, ignition} = hre;
+
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+describe("Upgradeable deployment", function() {
+    let owner;
+    let taxWallet;
+    let dexV2;
+    let dexV3;
+    let addr1;
+    let token;
+    let vesting;
+    let proxyAdmin;
+
+    const INITIAL_SUPPLY = 1000000;
+    const SELLING_TAX = 500; // 5%
+    const BUYING_TAX = 300;  // 3%
+    const VESTING_AMOUNT = ethers.parseEther("1000");
+
+    async function implementationOf(proxy) {
+        const value = await ethers.provider.getStorage(await proxy.getAddress(), IMPLEMENTATION_SLOT);
+        return ethers.getAddress(ethers.dataSlice(value, 12));
+    }
+
+    beforeEach(async function() {
+        [owner, taxWallet, dexV2, dexV3, addr1] = await ethers.getSigners();
+
+        ({token, vesting, proxyAdmin} = await ignition.deploy(CryptoSnackVestingProxyModule, {
+            parameters: {
+                CryptoSnackTokenProxyModule: {
+                    tokenName: "CryptoSnack",
+                    tokenSymbol: "SNACK",
+                    initialSupply: INITIAL_SUPPLY,
+                    sellingTax: SELLING_TAX,
+                    buyingTax: BUYING_TAX,
+                    taxWallet: taxWallet.address,
+                    dexRouterV2: dexV2.address,
+                    dexRouterV3: dexV3.address,
+                },
+                CryptoSnackVestingProxyModule: {
+                    vestingAmount: VESTING_AMOUNT,
+                },
+            },
+        }));
+    });
+
+    it("Should initialize the token proxy", async function() {
+        expect(await token.name()).to.equal("CryptoSnack");
+        expect(await token.symbol()).to.equal("SNACK");
+        expect(await token.totalSupply()).to.equal(ethers.parseEther(INITIAL_SUPPLY.toString()));
+        expect(await token.hasRole(await token.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.true;
+        expect(await token.getSellingTax()).to.equal(SELLING_TAX);
+        expect(await token.getBuyingTax()).to.equal(BUYING_TAX);
+        expect(await token.getTaxWallet()).to.equal(taxWallet.address);
+        expect(await token.isDex(dexV2.address)).to.be.true;
+
+        const {name, version, verifyingContract} = await token.eip712Domain();
+        expect(name).to.equal("CryptoSnack");
+        expect(version).to.equal("1");
+        expect(verifyingContract).to.equal(await token.getAddress());
+    });
+
+    it("Should wire, whitelist and fund the vesting proxy", async function() {
+        expect(await vesting.getToken()).to.equal(await token.getAddress());
+        expect(await vesting.hasRole(await vesting.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.true;
+        expect(await token.isWhitelisted(await vesting.getAddress())).to.be.true;
+        expect(await token.balanceOf(await vesting.getAddress())).to.equal(VESTING_AMOUNT);
+        expect(await proxyAdmin.owner()).to.equal(owner.address);
+    });
+
+    it("Should not initialize twice or initialize the implementations", async function() {
+        await expect(token.initialize(1, 0, 0, addr1.address))
+            .to.be.revertedWithCustomError(token, "InvalidInitialization");
+        await expect(vesting.initialize(addr1.address))
+            .to.be.revertedWithCustomError(vesting, "InvalidInitialization");
+
+        const tokenImplementation = await ethers.getContractAt("CryptoSnackTokenUpgradeable", await implementationOf(token));
+        await expect(tokenImplementation.initialize(1, 0, 0, addr1.address))
+            .to.be.revertedWithCustomError(tokenImplementation, "InvalidInitialization");
+        const vestingImplementation = await ethers.getContractAt("CryptoSnackVestingUpgradeable", await implementationOf(vesting));
+        await expect(vestingImplementation.initialize(addr1.address))
+            .to.be.revertedWithCustomError(vestingImplementation, "InvalidInitialization");
+    });
+
+    it("Should keep the state when upgraded with snack:upgrade", async function() {
+        await token.transfer(addr1.address, ethers.parseEther("100"));
+        const previous = await implementationOf(token);
+
+        const implementation = await hre.run("snack:upgrade", {
+            proxy: await token.getAddress(),
+            contract: "CryptoSnackTokenUpgradeable",
+        });
+
+        expect(implementation).to.not.equal(previous);
+        expect(await token.name()).to.equal("CryptoSnack");
+        expect(await token.symbol()).to.equal("SNACK");
+        expect(await implementationOf(token)).to.equal(implementation);
+        expect(await token.balanceOf(addr1.address)).to.equal(ethers.parseEther("100"));
+        expect(await token.getSellingTax()).to.equal(SELLING_TAX);
+        expect(await token.isDex(dexV3.address)).to.be.true;
+        expect(await token.hasRole(await token.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.true;
+    });
+
+    it("Should keep the name, symbol and permit domain of the proxy across upgrades", async function() {
+        // name and symbol are immutables of the implementation, snack:upgrade passes the proxy's current ones
+        const {token: other} = await ignition.deploy(CryptoSnackTokenProxyModule, {
+            parameters: {
+                CryptoSnackTokenProxyModule: {
+                    tokenName: "Other Snack",
+                    tokenSymbol: "OSNACK",
+                    taxWallet: taxWallet.address,
+                    dexRouterV2: dexV2.address,
+                    dexRouterV3: dexV3.address,
+                },
+            },
+        });
+        const domainSeparator = await other.DOMAIN_SEPARATOR();
+
+        await hre.run("snack:upgrade", {proxy: await other.getAddress(), contract: "CryptoSnackTokenUpgradeable"});
+        expect(await other.name()).to.equal("Other Snack");
+        expect(await other.symbol()).to.equal("OSNACK");
+        expect(await other.DOMAIN_SEPARATOR()).to.equal(domainSeparator);
+        expect(await token.name()).to.equal("CryptoSnack");
+    });
+
+    it("Should only upgrade as the ProxyAdmin owner", async function() {
+        // proxyAdmin of the vesting proxy, each proxy deploys its own
+        await proxyAdmin.transferOwnership(addr1.address);
+
+        await expect(hre.run("snack:upgrade", {
+            proxy: await vesting.getAddress(),
+            contract: "CryptoSnackVestingUpgradeable",
+        })).to.be.rejectedWith(`${owner.address} is not the owner of ProxyAdmin`);
+        await expect(hre.run("snack:upgrade", {proxy: await token.getAddress(), contract: "CryptoSnackToken"}))
+            .to.be.rejectedWith("Unknown contract CryptoSnackToken");
+    });
+});
@@ -0,0 +1,214 @@
+const {expect} = require("chai");
+const {ethers} = require("hardhat");
+const {time} = require("@nomicfoundation/hardhat-network-helpers");
+const calculator = require("../lib/vesting");
+
+// Deterministic PRNG, so a failing run can be reproduced with VESTING_SEED
+function mulberry32(seed) {
+    return function() {
+        seed |= 0;
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+describe("Vesting calculator", function() {
+    const SEED = Number(process.env.VESTING_SEED || Date.now() % 1000000);
+    const SCHEDULES = 12;
+    const SAMPLES = 15;
+    const DAY = 24 * 60 * 60;
+
+    let token;
+    let vesting;
+    let owner;
+    let beneficiaries;
+    let random;
+
+    function randomInt(min, max) {
+        return min + Math.floor(random() * (max - min + 1));
+    }
+
+    before(function() {
+        console.log(`      VESTING_SEED=${SEED}`);
+    });
+
+    beforeEach(async function() {
+        random = mulberry32(SEED);
+        [owner, ...beneficiaries] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("CryptoSnackToken");
+        token = await Token.deploy("CryptoSnack", "SNACK", 1000000000, 0, 0, owner.address);
+        const Vesting = await ethers.getContractFactory("CryptoSnackVesting");
+        vesting = await Vesting.deploy(await token.getAddress());
+        await token.transfer(await vesting.getAddress(), ethers.parseEther("1000000000"));
+    });
+
+    async function createRandomSchedules() {
+        const now = await time.latest();
+        let end = 0;
+
+        for (let i = 0; i < SCHEDULES; i++) {
+            const vestingDuration = randomInt(DAY, 720 * DAY);
+            const cliffDuration = randomInt(1, vestingDuration);
+            const slicePeriod = random() < 0.5 ? 0 : randomInt(1, vestingDuration);
+            const initialUnlock = random() < 0.5 ? 0 : randomInt(1, 10000);
+            const startTime = now + randomInt(10, 90 * DAY);
+            // odd amounts to exercise rounding
+            const amount = BigInt(randomInt(1, 1000000)) * 10n ** 18n + BigInt(randomInt(0, 999999));
+
+            await vesting.createCustomVestingSchedule(beneficiaries[i % 5].address, amount, {
+                startTime,
+                cliffDuration,
+                vestingDuration,
+                slicePeriod,
+                initialUnlock,
+                revocable: true,
+            });
+            end = Math.max(end, startTime + vestingDuration);
+        }
+        return {start: now, end};
+    }
+
+    async function expectMatchesContract(scheduleId) {
+        const schedule = await vesting.getVestingSchedule(scheduleId);
+        const now = await time.latest();
+
+        expect(calculator.getReleasableAmount(schedule, now), `releasable of #${scheduleId} at ${now}`)
+            .to.equal(await vesting.getReleasableAmount(scheduleId));
+        expect(calculator.getVestedAmount(schedule, now), `vested of #${scheduleId} at ${now}`)
+            .to.equal(await vesting.getVestedAmount(scheduleId, now));
+
+        // the vested amount stays the same until the next unlock and grows at it
+        const vested = await vesting.getVestedAmount(scheduleId, now);
+        const nextUnlock = calculator.getNextUnlock(schedule, now);
+        if (nextUnlock === null) {
+            expect(schedule.revoked || vested === schedule.totalAmount, `next unlock of #${scheduleId} at ${now}`).to.be.true;
+        } else {
+            expect(await vesting.getVestedAmount(scheduleId, nextUnlock - 1n), `before next unlock of #${scheduleId} at ${now}`)
+                .to.equal(vested);
+            expect(await vesting.getVestedAmount(scheduleId, nextUnlock), `next unlock of #${scheduleId} at ${now}`)
+                .to.be.gt(vested);
+        }
+    }
+
+    it("Should match the contract across random schedules and timestamps", async function() {
+        const {start, end} = await createRandomSchedules();
+
+        const timestamps = Array.from({length: SAMPLES}, () => randomInt(start + 1, end + DAY)).sort((a, b) => a - b);
+        for (const timestamp of [...new Set(timestamps)]) {
+            if (timestamp > await time.latest()) await time.increaseTo(timestamp);
+
+            for (let scheduleId = 0; scheduleId < SCHEDULES; scheduleId++) {
+                await expectMatchesContract(scheduleId);
+
+                // release or revoke now and then, to cover released amounts and revoked schedules
+                const schedule = await vesting.getVestingSchedule(scheduleId);
+                const action = random();
+                if (action < 0.2 && !schedule.revoked && await vesting.getReleasableAmount(scheduleId) > 0n) {
+                    const signer = beneficiaries.find((b) => b.address === schedule.beneficiary);
+                    await vesting.connect(signer).release(scheduleId);
+                    await expectMatchesContract(scheduleId);
+                } else if (action > 0.98 && !schedule.revoked) {
+                    await vesting.revoke(scheduleId);
+                    await expectMatchesContract(scheduleId);
+                }
+            }
+        }
+    });
+
+    it("Should build a timeline consistent with the contract", async function() {
+        await createRandomSchedules();
+
+        for (let scheduleId = 0; scheduleId < SCHEDULES; scheduleId++) {
+            const schedule = await vesting.getVestingSchedule(scheduleId);
+            const timeline = calculator.getUnlockTimeline(schedule);
+
+            expect(timeline[timeline.length - 1].vested).to.equal(schedule.totalAmount);
+            expect(timeline.reduce((sum, point) => sum + point.unlocked, 0n)).to.equal(schedule.totalAmount);
+
+            for (const point of timeline) {
+                expect(await vesting.getVestedAmount(scheduleId, point.timestamp)).to.equal(point.vested);
+                expect(await vesting.getVestedAmount(scheduleId, point.timestamp - 1n)).to.be.lt(point.vested);
+            }
+        }
+    });
+
+    it("Should compute the status and next unlock of a monthly schedule", async function() {
+        const MONTH = 30 * DAY;
+        const schedule = {
+            totalAmount: 1000n,
+            startTime: 1000n,
+            cliff: 1000n + BigInt(MONTH),
+            duration: BigInt(10 * MONTH),
+            slicePeriod: BigInt(MONTH),
+            initialUnlock: 1000n, // 10%
+            releasedAmount: 100n,
+            revoked: false,
+        };
+
+        expect(calculator.getNextUnlock(schedule, 0)).to.equal(1000n);
+        expect(calculator.getNextUnlock(schedule, 1000)).to.equal(1000n + BigInt(MONTH));
+        expect(calculator.getNextUnlock(schedule, 1000 + MONTH)).to.equal(1000n + BigInt(2 * MONTH));
+        expect(calculator.getNextUnlock(schedule, 1000 + 10 * MONTH)).to.equal(null);
+
+        expect(calculator.getVestingStatus(schedule, 1000 + MONTH)).to.deep.equal({
+            vested: 190n,
+            released: 100n,
+            releasable: 90n,
+            locked: 810n,
+        });
+        expect(calculator.getUnlockTimeline(schedule).map((point) => point.unlocked))
+            .to.deep.equal([100n, 90n, 90n, 90n, 90n, 90n, 90n, 90n, 90n, 90n, 90n]);
+    });
+
+    it("Should skip a cliff that falls between two slice boundaries", async function() {
+        const MONTH = 30 * DAY;
+        const schedule = {
+            totalAmount: 1000n,
+            startTime: 1000n,
+            cliff: 1000n + BigInt(DAY),
+            duration: BigInt(10 * MONTH),
+            slicePeriod: BigInt(MONTH),
+            initialUnlock: 1000n, // 10%
+        };
+
+        expect(calculator.getVestedAmount(schedule, 1000 + DAY)).to.equal(100n); // nothing unlocks at the cliff
+        expect(calculator.getNextUnlock(schedule, 1000)).to.equal(1000n + BigInt(MONTH));
+        expect(calculator.getNextUnlock(schedule, 1000 + DAY)).to.equal(1000n + BigInt(MONTH));
+        expect(calculator.getVestedAmount(schedule, 1000 + MONTH)).to.equal(190n);
+        expect(calculator.getNextUnlock(schedule, 1000 + 9 * MONTH + DAY)).to.equal(1000n + BigInt(10 * MONTH));
+    });
+
+    it("Should unlock at a cliff longer than a slice that falls between two boundaries", async function() {
+        const schedule = {
+            totalAmount: 1200n,
+            startTime: 1000n,
+            cliff: 1000n + BigInt(45 * DAY),
+            duration: BigInt(360 * DAY),
+            slicePeriod: BigInt(30 * DAY),
+        };
+
+        expect(calculator.getVestedAmount(schedule, 1000 + 44 * DAY)).to.equal(0n);
+        expect(calculator.getVestedAmount(schedule, 1000 + 45 * DAY)).to.equal(100n); // the first slice, at the cliff
+        expect(calculator.getNextUnlock(schedule, 1000 + 10 * DAY)).to.equal(1000n + BigInt(45 * DAY));
+        expect(calculator.getNextUnlock(schedule, 1000 + 45 * DAY)).to.equal(1000n + BigInt(60 * DAY));
+        expect(calculator.getUnlockTimeline(schedule).slice(0, 2).map((point) => point.timestamp))
+            .to.deep.equal([1000n + BigInt(45 * DAY), 1000n + BigInt(60 * DAY)]);
+
+        await vesting.createCustomVestingSchedule(beneficiaries[0].address, 1200n, {
+            startTime: (await time.latest()) + 1000,
+            cliffDuration: 45 * DAY,
+            vestingDuration: 360 * DAY,
+            slicePeriod: 30 * DAY,
+            initialUnlock: 0,
+            revocable: false,
+        });
+        const onChain = await vesting.getVestingSchedule(0);
+        const cliff = calculator.getNextUnlock(onChain, await time.latest());
+        expect(cliff).to.equal(onChain.cliff);
+        expect(await vesting.getVestedAmount(0, cliff - 1n)).to.equal(0n);
+        expect(await vesting.getVestedAmount(0, cliff)).to.equal(100n);
+    });
+});
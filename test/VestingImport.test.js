@@ -0,0 +1,184 @@
+const {expect} = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const {time} = require("@nomicfoundation/hardhat-network-helpers");
+
+const {ethers} = hre;
+
+describe("vesting:import task", function() {
+    let token;
+    let vesting;
+    let owner;
+    let addr1;
+    let addr2;
+    let dir;
+    let startTime;
+
+    const VESTING_BALANCE = ethers.parseEther("1000");
+
+    function writeFile(name, content) {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, content);
+        return file;
+    }
+
+    beforeEach(async function() {
+        [owner, addr1, addr2] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("CryptoSnackToken");
+        token = await Token.deploy("CryptoSnack", "SNACK", 1000000, 0, 0, owner.address);
+        const Vesting = await ethers.getContractFactory("CryptoSnackVesting");
+        vesting = await Vesting.deploy(await token.getAddress());
+        await token.transfer(await vesting.getAddress(), VESTING_BALANCE);
+
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "vesting-import-"));
+        startTime = (await time.latest()) + 3600;
+    });
+
+    afterEach(function() {
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    it("Should create schedules from a CSV file and record tx hashes", async function() {
+        const file = writeFile("allocations.csv", [
+            "beneficiary,amount,start,cliff,duration,revocable",
+            `${addr1.address},100,${startTime},7200,14400,true`,
+            `${addr2.address},250.5,${startTime},3600,14400,false`,
+        ].join("\n"));
+
+        await hre.run("vesting:import", {file, vesting: await vesting.getAddress()});
+
+        const schedule1 = await vesting.getVestingSchedule(0);
+        expect(schedule1.totalAmount).to.equal(ethers.parseEther("100"));
+        expect(schedule1.cliff).to.equal(startTime + 7200);
+        expect(schedule1.revocable).to.be.true;
+
+        const schedule2 = await vesting.getVestingSchedule(1);
+        expect(schedule2.totalAmount).to.equal(ethers.parseEther("250.5"));
+        expect(schedule2.revocable).to.be.false;
+
+        const state = JSON.parse(fs.readFileSync(`${file}.state.json`, "utf8"));
+        expect(state.rows[0].beneficiary).to.equal(addr1.address);
+        expect(state.rows[0].status).to.equal("created");
+        expect(state.rows[0].txHash).to.match(/^0x[0-9a-f]{64}$/);
+        // both rows are sent in one createVestingSchedules batch
+        expect(state.rows[1].txHash).to.equal(state.rows[0].txHash);
+    });
+
+    it("Should skip schedules already created on-chain when re-run", async function() {
+        const file = writeFile("allocations.json", JSON.stringify([
+            {beneficiary: addr1.address, amount: "100", start: startTime, cliff: 7200, duration: 14400, revocable: true},
+            {beneficiary: addr2.address, amount: "100", start: startTime, cliff: 7200, duration: 14400, revocable: true},
+        ]));
+
+        await vesting.createVestingSchedule(addr1.address, ethers.parseEther("100"), startTime, 7200, 14400, true);
+
+        const {pending, skipped} = await hre.run("vesting:import", {file, vesting: await vesting.getAddress()});
+        expect(pending.map((s) => s.beneficiary)).to.deep.equal([addr2.address]);
+        expect(skipped.map((s) => s.beneficiary)).to.deep.equal([addr1.address]);
+        expect(await vesting.getTotalAllocated()).to.equal(ethers.parseEther("200"));
+    });
+
+    it("Should not re-create rows whose schedule was moved to another address", async function() {
+        const file = writeFile("allocations.csv", [
+            "beneficiary,amount,start,cliff,duration,revocable",
+            `${addr1.address},100,${startTime},7200,14400,true`,
+        ].join("\n"));
+
+        await hre.run("vesting:import", {file, vesting: await vesting.getAddress()});
+        await vesting.connect(addr1).transferVestingSchedule(0, addr2.address);
+
+        const {pending, skipped} = await hre.run("vesting:import", {file, vesting: await vesting.getAddress()});
+        expect(pending).to.be.empty;
+        expect(skipped).to.have.length(1);
+        expect(await vesting.getSchedulesCount()).to.equal(1);
+    });
+
+    it("Should create and resume several tranches of the same beneficiary", async function() {
+        const file = writeFile("allocations.csv", [
+            "beneficiary,amount,start,cliff,duration,revocable",
+            `${addr1.address},100,${startTime},7200,14400,true`,
+            `${addr1.address},100,${startTime},7200,14400,true`,
+            `${addr1.address},50,${startTime},3600,28800,false`,
+        ].join("\n"));
+
+        // first tranche was created by a previous, interrupted run
+        await vesting.createVestingSchedule(addr1.address, ethers.parseEther("100"), startTime, 7200, 14400, true);
+
+        const {pending, skipped} = await hre.run("vesting:import", {file, vesting: await vesting.getAddress()});
+        expect(skipped.map((s) => s.row)).to.deep.equal([0]);
+        expect(pending.map((s) => s.row)).to.deep.equal([1, 2]);
+        expect(await vesting.getScheduleIds(addr1.address)).to.have.length(3);
+        expect(await vesting.getTotalAllocated()).to.equal(ethers.parseEther("250"));
+    });
+
+    it("Should resume identical tranches recorded in the state file", async function() {
+        const file = writeFile("allocations.csv", [
+            "beneficiary,amount,start,cliff,duration,revocable",
+            `${addr1.address},100,${startTime},7200,14400,true`,
+            `${addr1.address},100,${startTime},7200,14400,true`,
+        ].join("\n"));
+
+        // a previous run created the first tranche and recorded it before being interrupted
+        await vesting.createVestingSchedule(addr1.address, ethers.parseEther("100"), startTime, 7200, 14400, true);
+        fs.writeFileSync(`${file}.state.json`, JSON.stringify({
+            vesting: await vesting.getAddress(),
+            rows: {0: {beneficiary: addr1.address, status: "created"}},
+        }));
+
+        const {pending, skipped} = await hre.run("vesting:import", {file, vesting: await vesting.getAddress()});
+        expect(skipped.map((s) => s.row)).to.deep.equal([0]);
+        expect(pending.map((s) => s.row)).to.deep.equal([1]);
+        expect(await vesting.getScheduleIds(addr1.address)).to.have.length(2);
+    });
+
+    it("Should create schedules with initial unlock and slice period", async function() {
+        const file = writeFile("allocations.csv", [
+            "beneficiary,amount,start,cliff,duration,revocable,slicePeriod,initialUnlock",
+            `${addr1.address},100,${startTime},3600,36000,false,3600,1000`,
+        ].join("\n"));
+
+        await hre.run("vesting:import", {file, vesting: await vesting.getAddress()});
+
+        const schedule = await vesting.getVestingSchedule(0);
+        expect(schedule.slicePeriod).to.equal(3600);
+        expect(schedule.initialUnlock).to.equal(1000);
+    });
+
+    it("Should reject invalid rows without sending anything", async function() {
+        const file = writeFile("allocations.csv", [
+            "beneficiary,amount,start,cliff,duration,revocable",
+            `${addr1.address},100,${startTime},14400,7200,true`,
+            `${addr2.address},100,${startTime},7200,14400,true`,
+            `${ethers.ZeroAddress},100,${startTime},7200,14400,true`,
+        ].join("\n"));
+
+        await expect(hre.run("vesting:import", {file, vesting: await vesting.getAddress()}))
+            .to.be.rejectedWith("2 error(s)");
+        expect(await vesting.getTotalAllocated()).to.equal(0);
+    });
+
+    it("Should reject allocations exceeding the free vesting balance", async function() {
+        const file = writeFile("allocations.csv", [
+            "beneficiary,amount,start,cliff,duration,revocable",
+            `${addr1.address},600,${startTime},7200,14400,true`,
+            `${addr2.address},600,${startTime},7200,14400,true`,
+        ].join("\n"));
+
+        await expect(hre.run("vesting:import", {file, vesting: await vesting.getAddress()}))
+            .to.be.rejectedWith("1 error(s)");
+    });
+
+    it("Should reject vesting contracts without schedule IDs", async function() {
+        const file = writeFile("allocations.csv", [
+            "beneficiary,amount,start,cliff,duration,revocable",
+            `${addr1.address},100,${startTime},7200,14400,true`,
+        ].join("\n"));
+
+        // any contract without createVestingSchedules, the token has a payable fallback like older deployments
+        await expect(hre.run("vesting:import", {file, vesting: await token.getAddress()}))
+            .to.be.rejectedWith("predates schedule IDs");
+    });
+});
@@ -0,0 +1,95 @@
+const {expect} = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const {time} = require("@nomicfoundation/hardhat-network-helpers");
+
+const {ethers} = hre;
+
+describe("vesting:report task", function() {
+    let vesting;
+    let owner;
+    let addr1;
+    let addr2;
+    let startTime;
+    let deployBlock;
+
+    const VESTING_AMOUNT = ethers.parseEther("1000");
+
+    beforeEach(async function() {
+        [owner, addr1, addr2] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("CryptoSnackToken");
+        const token = await Token.deploy("CryptoSnack", "SNACK", 1000000, 0, 0, owner.address);
+        const Vesting = await ethers.getContractFactory("CryptoSnackVesting");
+        vesting = await Vesting.deploy(await token.getAddress());
+        deployBlock = await ethers.provider.getBlockNumber();
+        await token.transfer(await vesting.getAddress(), VESTING_AMOUNT * BigInt(3));
+
+        startTime = (await time.latest()) + 3600;
+        await vesting.createVestingSchedule(addr1.address, VESTING_AMOUNT, startTime, 7200, 14400, true);
+        await vesting.createVestingSchedule(addr1.address, VESTING_AMOUNT, startTime, 7200, 28800, true);
+        await vesting.createVestingSchedule(addr2.address, VESTING_AMOUNT, startTime, 7200, 14400, true);
+
+        await time.increaseTo(startTime + 10800);
+        await vesting.connect(addr1).release(0);
+        await vesting.revoke(2);
+        await vesting.connect(addr1).transferVestingSchedule(0, owner.address);
+    });
+
+    it("Should rebuild all schedules and match the allocation", async function() {
+        const {rows, warnings, unreleased, allocated} = await hre.run("vesting:report", {
+            vesting: await vesting.getAddress(),
+            fromBlock: deployBlock,
+        });
+
+        expect(warnings).to.be.empty;
+        expect(unreleased).to.equal(allocated);
+        expect(rows.map((row) => row.beneficiary)).to.deep.equal([owner.address, addr1.address, addr2.address]);
+        expect(rows[0].previousBeneficiaries).to.equal(addr1.address);
+        expect(rows[0].released).to.equal(ethers.formatEther((await vesting.getVestingSchedule(0)).releasedAmount));
+        expect(rows[1].releasable).to.equal(ethers.formatEther(await vesting.getReleasableAmount(1)));
+        expect(rows[2].revoked).to.be.true;
+        expect(rows[2].nextUnlock).to.equal("");
+        expect(Number(rows[2].refunded)).to.be.gt(0);
+    });
+
+    it("Should flag a mismatch when schedules are missing from the block range", async function() {
+        const {rows, warnings} = await hre.run("vesting:report", {
+            vesting: await vesting.getAddress(),
+            fromBlock: deployBlock + 3,
+        });
+
+        expect(rows).to.have.length(2);
+        expect(warnings.join()).to.contain("doesn't match getTotalAllocated()");
+    });
+
+    it("Should export the report as CSV", async function() {
+        const out = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "vesting-report-")), "report.csv");
+        await hre.run("vesting:report", {vesting: await vesting.getAddress(), format: "csv", out});
+
+        const lines = fs.readFileSync(out, "utf8").trim().split("\n");
+        expect(lines[0]).to.equal("scheduleId,beneficiary,previousBeneficiaries,total,released,releasable,refunded,nextUnlock,revoked");
+        expect(lines).to.have.length(4);
+        fs.rmSync(path.dirname(out), {recursive: true, force: true});
+    });
+
+    it("Should keep the summary out of CSV printed to stdout", async function() {
+        let stdout = "";
+        const write = process.stdout.write;
+        process.stdout.write = (chunk) => {
+            stdout += chunk;
+            return true;
+        };
+        try {
+            await hre.run("vesting:report", {vesting: await vesting.getAddress(), format: "csv"});
+        } finally {
+            process.stdout.write = write;
+        }
+
+        const lines = stdout.trim().split("\n");
+        expect(lines[0]).to.match(/^scheduleId,/);
+        expect(lines).to.have.length(4);
+    });
+});